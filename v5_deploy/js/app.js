@@ -7,25 +7,81 @@ import { AnalysisService } from './services/analysis.js';
 import { StorageService } from './services/storage.js';
 import { VoiceService } from './services/voice.js';
 import { ChatService } from './services/chatbot.js';
+import { ProfileService, DEFAULT_PROFILE_ID } from './services/profiles.js';
+import { SyncService } from './services/sync.js';
+import { StoragePressureService, DEFAULT_ARCHIVE_DAYS, formatBytes } from './services/storage-pressure.js';
+import { CSV_FIELDS } from './services/csv-import.js';
+import { itemsFromAnalysis, mealFromItems, SOURCES } from './services/meal-items.js';
+import { FoodDatabaseService } from './services/food-db.js';
+import { ProductCatalogService } from './services/products.js';
+import { BarcodeScannerService } from './services/barcode-scanner.js';
+import { ResponseCacheService } from './services/response-cache.js';
+import { CaptureQueueService, CAPTURE_STATUS } from './services/capture-queue.js';
+import { UsageService, BudgetExceededError, BUDGET_LEVELS, FEATURE_LABELS, formatCost, formatTokens } from './services/usage.js';
+import { portionOf, portionFactor, portionedItem } from './utils/nutrition.js';
+import { toDateTimeLocalValue, fromDateTimeLocalValue, editedTimestamp } from './utils/dates.js';
+import { resizeImage, blobToDataURL } from './utils/image.js';
+import { isAbortError } from './utils/http.js';
 
 console.log('NutriMood V5S - App loading...');
 
+const HISTORY_PAGE_SIZE = 30;
+const UNDO_TIMEOUT_MS = 6000;
+
 export default class App {
     constructor() {
         this.state = {
             currentMood: null,
             currentImage: null,
             currentAnalysis: null,
-            currentPlan: null
+            analysisName: '',
+            analysisItems: [],
+            detectedItemNames: '',
+            analysisServings: 1,
+            currentPortion: null,
+            currentPlan: null,
+            editingLogId: null,
+            historyCursor: null,
+            historyDone: false,
+            historyLoading: false,
+            historyGeneration: 0,
+            pendingImport: null,
+            pendingCSV: null,
+            labelBarcode: null,
+            pendingCaptureId: null,
+            reviewingCapture: null,
+            storageLevel: 'ok'
         };
 
+        // Object URLs for history thumbnails, keyed by log id
+        this.thumbnailUrls = new Map();
+        // Object URLs for photos in the pending list
+        this.pendingPhotoUrls = [];
+        // Aborts the AI request behind the visible loader
+        this.requestController = null;
+
         console.log('Initializing services...');
 
         try {
-            this.storageService = new StorageService();
+            this.profileService = new ProfileService();
+            const profileId = this.profileService.activeId;
+
+            this.storageService = new StorageService(profileId);
+            this.foodDatabase = new FoodDatabaseService(this.storageService);
+            this.productCatalog = new ProductCatalogService(this.storageService, profileId);
+            this.barcodeScanner = new BarcodeScannerService();
             this.voiceService = new VoiceService();
-            this.analysisService = new AnalysisService();
+            this.responseCache = new ResponseCacheService(this.storageService);
+            this.usageService = new UsageService(this.storageService, profileId);
+            this.analysisService = new AnalysisService(profileId, {
+                foodDatabase: this.foodDatabase,
+                responseCache: this.responseCache,
+                usageService: this.usageService
+            });
+            this.captureQueue = new CaptureQueueService(this.storageService, this.analysisService);
             this.chatService = new ChatService(this.analysisService, this.storageService);
+            this.syncService = new SyncService(this.storageService, profileId);
+            this.storagePressure = new StoragePressureService(this.storageService);
 
             console.log('Services initialized successfully');
         } catch (e) {
@@ -41,13 +97,22 @@ export default class App {
             console.log('Initializing app...');
 
             // Wait for storage to initialize (IndexedDB)
-            await this.storageService.init();
+            await this.storageService.ready;
+            await this.foodDatabase.load();
 
             this.cacheDOM();
             this.bindEvents();
+            this.renderProfiles();
             this.renderHistory();
+            this.renderSavedProducts();
             this.updateStreak();
             this.loadSettings();
+            this.initSync();
+            this.initCaptureQueue();
+            this.usageService.onBudget = (status) => this.handleBudgetChange(status);
+
+            this.storageService.onStorageFull = () => this.checkStoragePressure();
+            this.checkStoragePressure();
 
             console.log('App initialized successfully');
         } catch (e) {
@@ -68,19 +133,31 @@ export default class App {
             recipes: document.getElementById('recipes-view'),
             plan: document.getElementById('plan-view'),
             grocery: document.getElementById('grocery-view'),
-            trends: document.getElementById('trends-view')
+            trends: document.getElementById('trends-view'),
+            edit: document.getElementById('edit-view'),
+            trash: document.getElementById('trash-view'),
+            label: document.getElementById('label-view'),
+            pending: document.getElementById('pending-view')
         };
 
         // Navigation
         this.appLogo = document.getElementById('app-logo');
+        this.profileSelect = document.getElementById('profile-select');
         this.historyBtn = document.getElementById('history-btn');
         this.reportBtn = document.getElementById('report-btn');
         this.insightsBtn = document.getElementById('insights-btn');
         this.settingsBtn = document.getElementById('settings-btn');
+        this.pendingBtn = document.getElementById('pending-btn');
+        this.pendingCount = document.getElementById('pending-count');
 
         // Home buttons
         this.scanBtn = document.getElementById('scan-btn');
         this.fileInput = document.getElementById('file-input');
+        this.barcodeBtn = document.getElementById('barcode-btn');
+        this.labelBtn = document.getElementById('label-btn');
+        this.labelInput = document.getElementById('label-input');
+        this.savedProducts = document.getElementById('saved-products');
+        this.savedProductsList = document.getElementById('saved-products-list');
         this.voiceBtn = document.getElementById('voice-btn');
         this.typeBtn = document.getElementById('type-btn');
         this.homeTrendsBtn = document.getElementById('home-trends-btn');
@@ -93,12 +170,100 @@ export default class App {
         this.claudeApiKeyInput = document.getElementById('claude-api-key-input');
         this.geminiApiKeyInput = document.getElementById('gemini-api-key-input');
         this.geminiModelSelect = document.getElementById('gemini-model-select');
+        this.providerFallbackInput = document.getElementById('provider-fallback-input');
+        this.openaiBaseUrlInput = document.getElementById('openai-base-url-input');
+        this.openaiApiKeyInput = document.getElementById('openai-api-key-input');
+        this.openaiModelInput = document.getElementById('openai-model-input');
+        this.openaiModelList = document.getElementById('openai-model-list');
+        this.openaiModelsBtn = document.getElementById('openai-models-btn');
         this.testConnectionBtn = document.getElementById('test-connection-btn');
         this.saveSettingsBtn = document.getElementById('save-settings-btn');
         this.closeSettingsBtn = document.getElementById('close-settings-btn');
+        this.syncEndpointInput = document.getElementById('sync-endpoint-input');
+        this.syncJournalInput = document.getElementById('sync-journal-input');
+        this.syncTokenInput = document.getElementById('sync-token-input');
+        this.syncStatus = document.getElementById('sync-status');
+        this.syncNowBtn = document.getElementById('sync-now-btn');
+        this.productServerInput = document.getElementById('product-server-input');
+        this.productCatalogStatus = document.getElementById('product-catalog-status');
+        this.productDumpInput = document.getElementById('product-dump-input');
+        this.profileName = document.getElementById('profile-name');
+        this.renameProfileBtn = document.getElementById('rename-profile-btn');
+        this.deleteProfileBtn = document.getElementById('delete-profile-btn');
+        this.exportJsonBtn = document.getElementById('export-json-btn');
+        this.exportCsvBtn = document.getElementById('export-csv-btn');
+        this.exportEncryptedBtn = document.getElementById('export-encrypted-btn');
+        this.exportFhirBtn = document.getElementById('export-fhir-btn');
+        this.exportOmhBtn = document.getElementById('export-omh-btn');
+        this.importFileInput = document.getElementById('import-file-input');
+        this.storageUsage = document.getElementById('storage-usage');
+        this.settingsArchiveBtn = document.getElementById('settings-archive-btn');
+        this.trashRetentionInput = document.getElementById('trash-retention-input');
+        this.clearJournalBtn = document.getElementById('clear-journal-btn');
+        this.clearAiCacheBtn = document.getElementById('clear-ai-cache-btn');
+        this.usageSummary = document.getElementById('usage-summary');
+        this.usageMeter = document.getElementById('usage-meter');
+        this.usageMeterFill = document.getElementById('usage-meter-fill');
+        this.usageBreakdown = document.getElementById('usage-breakdown');
+        this.usageBudgetInput = document.getElementById('usage-budget-input');
+        this.usageBlockInput = document.getElementById('usage-block-input');
+        this.clearUsageBtn = document.getElementById('clear-usage-btn');
+
+        // CSV mapping modal
+        this.csvMappingModal = document.getElementById('csv-mapping-modal');
+        this.csvMappingFields = document.getElementById('csv-mapping-fields');
+        this.csvDateOrder = document.getElementById('csv-date-order');
+        this.csvPreviewBtn = document.getElementById('csv-preview-btn');
+        this.csvCancelBtn = document.getElementById('csv-cancel-btn');
+
+        // Import preview modal
+        this.importModal = document.getElementById('import-modal');
+        this.importSummary = document.getElementById('import-summary');
+        this.importDetails = document.getElementById('import-details');
+        this.importMergeBtn = document.getElementById('import-merge-btn');
+        this.importReplaceBtn = document.getElementById('import-replace-btn');
+        this.importCancelBtn = document.getElementById('import-cancel-btn');
+
+        // Passphrase modal
+        this.passphraseModal = document.getElementById('passphrase-modal');
+        this.passphraseTitle = document.getElementById('passphrase-title');
+        this.passphraseMessage = document.getElementById('passphrase-message');
+        this.passphraseInput = document.getElementById('passphrase-input');
+        this.passphraseRepeatInput = document.getElementById('passphrase-repeat-input');
+        this.passphraseError = document.getElementById('passphrase-error');
+        this.passphraseOkBtn = document.getElementById('passphrase-ok-btn');
+        this.passphraseCancelBtn = document.getElementById('passphrase-cancel-btn');
+
+        // Barcode modal
+        this.barcodeModal = document.getElementById('barcode-modal');
+        this.barcodeVideo = document.getElementById('barcode-video');
+        this.barcodeStatus = document.getElementById('barcode-status');
+        this.barcodeCodeInput = document.getElementById('barcode-code-input');
+        this.barcodeLookupBtn = document.getElementById('barcode-lookup-btn');
+        this.barcodeFileInput = document.getElementById('barcode-file-input');
+        this.closeBarcodeBtn = document.getElementById('close-barcode-btn');
+        this.barcodeLabelBtn = document.getElementById('barcode-label-btn');
+
+        // Nutrition label view
+        this.labelLoader = document.getElementById('label-loader');
+        this.labelLoaderCancelBtn = document.getElementById('label-loader-cancel-btn');
+        this.labelForm = document.getElementById('label-form');
+        this.labelFields = document.querySelectorAll('[data-label-field]');
+        this.labelBarcode = document.getElementById('label-barcode');
+        this.labelLogBtn = document.getElementById('label-log-btn');
+        this.labelSaveBtn = document.getElementById('label-save-btn');
+        this.labelCancelBtn = document.getElementById('label-cancel-btn');
+
+        // Storage warning
+        this.storageBanner = document.getElementById('storage-banner');
+        this.storageBannerMessage = document.getElementById('storage-banner-message');
+        this.archiveBtn = document.getElementById('archive-btn');
+        this.storageEmptyTrashBtn = document.getElementById('storage-empty-trash-btn');
+        this.storageDismissBtn = document.getElementById('storage-dismiss-btn');
 
         // Analysis view
         this.loaderContainer = document.querySelector('.loader-container');
+        this.analysisLoaderCancelBtn = document.getElementById('analysis-loader-cancel-btn');
         this.resultsCard = document.getElementById('analysis-results');
         this.previewImg = document.getElementById('preview-img');
         this.foodName = document.getElementById('food-name');
@@ -106,15 +271,57 @@ export default class App {
         this.protein = document.getElementById('protein');
         this.carbs = document.getElementById('carbs');
         this.fats = document.getElementById('fats');
+        this.foodItemsList = document.getElementById('food-items');
+        this.servingsInput = document.getElementById('servings-input');
+        this.servingPresetBtns = document.querySelectorAll('.serving-preset-btn');
+        this.foodSuggestions = document.getElementById('food-suggestions');
+        this.nutritionSource = document.getElementById('nutrition-source');
+        this.productIngredients = document.getElementById('product-ingredients');
+        this.mealDetails = document.getElementById('meal-details');
+        this.addFoodItemBtn = document.getElementById('add-food-item-btn');
+        this.mealTimeInput = document.getElementById('meal-time-input');
         this.confirmFoodBtn = document.getElementById('confirm-food-btn');
         this.cancelFoodBtn = document.getElementById('cancel-food-btn');
 
         // Mood view
         this.moodBtns = document.querySelectorAll('.mood-btn');
+        this.moodPendingNote = document.getElementById('mood-pending-note');
+
+        // Pending view
+        this.pendingList = document.getElementById('pending-list');
+        this.processPendingBtn = document.getElementById('process-pending-btn');
+        this.backHomePendingBtn = document.getElementById('back-home-pending-btn');
 
         // History view
         this.historyList = document.getElementById('history-list');
         this.backHomeBtn = document.getElementById('back-home-btn');
+        this.trashBtn = document.getElementById('trash-btn');
+        this.historySentinel = document.createElement('div');
+        this.historySentinel.className = 'history-sentinel';
+
+        // Edit view
+        this.editFoodName = document.getElementById('edit-food-name');
+        this.editCalories = document.getElementById('edit-calories');
+        this.editProtein = document.getElementById('edit-protein');
+        this.editCarbs = document.getElementById('edit-carbs');
+        this.editFats = document.getElementById('edit-fats');
+        this.editMoodSelect = document.getElementById('edit-mood-select');
+        this.editTimestamp = document.getElementById('edit-timestamp');
+        this.editOriginal = document.getElementById('edit-original');
+        this.saveEditBtn = document.getElementById('save-edit-btn');
+        this.cancelEditBtn = document.getElementById('cancel-edit-btn');
+        this.deleteEditBtn = document.getElementById('delete-edit-btn');
+
+        // Trash view
+        this.trashList = document.getElementById('trash-list');
+        this.trashNote = document.getElementById('trash-note');
+        this.emptyTrashBtn = document.getElementById('empty-trash-btn');
+        this.backHistoryTrashBtn = document.getElementById('back-history-trash-btn');
+
+        // Undo toast
+        this.toast = document.getElementById('toast');
+        this.toastMessage = document.getElementById('toast-message');
+        this.toastUndoBtn = document.getElementById('toast-undo-btn');
 
         // Report view
         this.totalCals = document.getElementById('total-cals');
@@ -136,12 +343,14 @@ export default class App {
 
         // Plan view
         this.planLoader = document.getElementById('plan-loader');
+        this.planLoaderCancelBtn = document.getElementById('plan-loader-cancel-btn');
         this.planContainer = document.getElementById('plan-container');
         this.backInsightsPlanBtn = document.getElementById('back-insights-plan-btn');
         this.generateListBtn = document.getElementById('generate-list-btn');
 
         // Grocery view
         this.groceryLoader = document.getElementById('grocery-loader');
+        this.groceryLoaderCancelBtn = document.getElementById('grocery-loader-cancel-btn');
         this.groceryContainer = document.getElementById('grocery-container');
         this.backPlanGroceryBtn = document.getElementById('back-plan-grocery-btn');
 
@@ -152,6 +361,7 @@ export default class App {
         // Recipes view
         this.recipesList = document.getElementById('recipes-list');
         this.recipeLoader = document.getElementById('recipe-loader');
+        this.recipeLoaderCancelBtn = document.getElementById('recipe-loader-cancel-btn');
         this.backHomeRecipesBtn = document.getElementById('back-home-recipes-btn');
 
         // Chat
@@ -183,13 +393,82 @@ export default class App {
         if (this.settingsBtn) this.settingsBtn.addEventListener('click', () => this.openSettings());
         if (this.closeSettingsBtn) this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
         if (this.testConnectionBtn) this.testConnectionBtn.addEventListener('click', () => this.testConnection());
+        if (this.openaiModelsBtn) this.openaiModelsBtn.addEventListener('click', () => this.findLocalModels());
         if (this.saveSettingsBtn) this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
 
+        // Sync
+        if (this.syncNowBtn) this.syncNowBtn.addEventListener('click', () => this.handleSyncNow());
+
+        // Product catalog
+        if (this.productDumpInput) this.productDumpInput.addEventListener('change', (e) => this.handleProductImport(e));
+
+        // Profiles
+        if (this.profileSelect) this.profileSelect.addEventListener('change', () => this.handleProfileSelect());
+        if (this.renameProfileBtn) this.renameProfileBtn.addEventListener('click', () => this.handleRenameProfile());
+        if (this.deleteProfileBtn) this.deleteProfileBtn.addEventListener('click', () => this.handleDeleteProfile());
+
+        // Data export / import
+        if (this.exportJsonBtn) this.exportJsonBtn.addEventListener('click', () => this.handleExport('json'));
+        if (this.exportCsvBtn) this.exportCsvBtn.addEventListener('click', () => this.handleExport('csv'));
+        if (this.exportEncryptedBtn) this.exportEncryptedBtn.addEventListener('click', () => this.handleEncryptedExport());
+        if (this.exportFhirBtn) this.exportFhirBtn.addEventListener('click', () => this.handleExport('fhir'));
+        if (this.exportOmhBtn) this.exportOmhBtn.addEventListener('click', () => this.handleExport('omh'));
+        if (this.importFileInput) this.importFileInput.addEventListener('change', (e) => this.handleImportFile(e));
+        if (this.importMergeBtn) this.importMergeBtn.addEventListener('click', () => this.confirmImport('merge'));
+        if (this.importReplaceBtn) this.importReplaceBtn.addEventListener('click', () => this.confirmImport('replace'));
+        if (this.importCancelBtn) this.importCancelBtn.addEventListener('click', () => this.closeImportPreview());
+
+        // Passphrase modal
+        if (this.passphraseOkBtn) this.passphraseOkBtn.addEventListener('click', () => this.submitPassphrase());
+        if (this.passphraseCancelBtn) this.passphraseCancelBtn.addEventListener('click', () => this.closePassphrase(null));
+        [this.passphraseInput, this.passphraseRepeatInput].forEach(input => {
+            if (input) input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.submitPassphrase();
+            });
+        });
+        if (this.csvPreviewBtn) this.csvPreviewBtn.addEventListener('click', () => this.previewCSVImport());
+        if (this.csvCancelBtn) this.csvCancelBtn.addEventListener('click', () => this.closeCSVMapping());
+        if (this.clearJournalBtn) this.clearJournalBtn.addEventListener('click', () => this.handleClearJournal());
+        if (this.clearAiCacheBtn) this.clearAiCacheBtn.addEventListener('click', () => this.handleClearAiCache());
+        if (this.clearUsageBtn) this.clearUsageBtn.addEventListener('click', () => this.handleClearUsage());
+
+        // Storage pressure
+        if (this.archiveBtn) this.archiveBtn.addEventListener('click', () => this.handleArchive());
+        if (this.settingsArchiveBtn) this.settingsArchiveBtn.addEventListener('click', () => this.handleArchive());
+        if (this.storageEmptyTrashBtn) this.storageEmptyTrashBtn.addEventListener('click', () => this.handleEmptyTrash());
+        if (this.storageDismissBtn) this.storageDismissBtn.addEventListener('click', () => this.dismissStorageBanner());
+
         // File input
         if (this.fileInput) {
             this.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         }
 
+        // Barcode
+        if (this.barcodeBtn) this.barcodeBtn.addEventListener('click', () => this.openBarcodeScanner());
+        if (this.closeBarcodeBtn) this.closeBarcodeBtn.addEventListener('click', () => this.closeBarcodeScanner());
+        if (this.barcodeFileInput) this.barcodeFileInput.addEventListener('change', (e) => this.handleBarcodeFile(e));
+        if (this.barcodeLookupBtn) this.barcodeLookupBtn.addEventListener('click', () => this.handleBarcode(this.barcodeCodeInput.value));
+        if (this.barcodeCodeInput) this.barcodeCodeInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleBarcode(this.barcodeCodeInput.value);
+        });
+        if (this.barcodeLabelBtn) this.barcodeLabelBtn.addEventListener('click', () => {
+            // The label opens the file picker; remember which pack it belongs to
+            this.state.labelBarcode = this.barcodeCodeInput.value.trim();
+            this.closeBarcodeScanner();
+        });
+
+        // Nutrition label
+        if (this.labelBtn) this.labelBtn.addEventListener('click', () => {
+            this.state.labelBarcode = null;
+        });
+        if (this.labelInput) this.labelInput.addEventListener('change', (e) => this.handleLabelUpload(e));
+        if (this.labelLogBtn) this.labelLogBtn.addEventListener('click', () => this.saveLabel(true));
+        if (this.labelSaveBtn) this.labelSaveBtn.addEventListener('click', () => this.saveLabel(false));
+        if (this.labelCancelBtn) this.labelCancelBtn.addEventListener('click', () => {
+            this.state.labelBarcode = null;
+            this.switchView('home');
+        });
+
         // Voice and type
         if (this.voiceBtn) this.voiceBtn.addEventListener('click', () => this.handleVoiceInput());
         if (this.typeBtn) this.typeBtn.addEventListener('click', () => this.handleTypeInput());
@@ -205,7 +484,13 @@ export default class App {
         if (this.fridgeInput) this.fridgeInput.addEventListener('change', (e) => this.handleFridgeUpload(e));
 
         // Analysis flow
-        if (this.confirmFoodBtn) this.confirmFoodBtn.addEventListener('click', () => this.switchView('mood'));
+        if (this.confirmFoodBtn) this.confirmFoodBtn.addEventListener('click', () => this.confirmAnalysis());
+        if (this.addFoodItemBtn) this.addFoodItemBtn.addEventListener('click', () => this.addAnalysisItem());
+        if (this.servingsInput) this.servingsInput.addEventListener('input', () => this.handleServingsChange());
+        this.servingPresetBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.servingsInput.value = btn.dataset.servings;
+            this.handleServingsChange();
+        }));
         if (this.cancelFoodBtn) this.cancelFoodBtn.addEventListener('click', () => this.switchView('home'));
 
         // Mood selection
@@ -217,6 +502,39 @@ export default class App {
             });
         });
 
+        // History paging: load the next page as the end of the list scrolls into view
+        if ('IntersectionObserver' in window) {
+            this.historyObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMoreHistory();
+            }, { root: document.getElementById('main-content'), rootMargin: '300px' });
+        } else {
+            this.historySentinel.innerHTML = '<button class=\"secondary-btn small-btn\">Load more</button>';
+            this.historySentinel.addEventListener('click', () => this.loadMoreHistory());
+        }
+
+        // Edit entry
+        if (this.saveEditBtn) this.saveEditBtn.addEventListener('click', () => this.saveEditLog());
+        if (this.cancelEditBtn) this.cancelEditBtn.addEventListener('click', () => this.switchView('history'));
+        if (this.deleteEditBtn) this.deleteEditBtn.addEventListener('click', () => this.deleteEditLog());
+
+        // Trash
+        if (this.trashBtn) this.trashBtn.addEventListener('click', () => this.openTrash());
+        if (this.emptyTrashBtn) this.emptyTrashBtn.addEventListener('click', () => this.handleEmptyTrash());
+        if (this.backHistoryTrashBtn) this.backHistoryTrashBtn.addEventListener('click', () => this.switchView('history'));
+        if (this.toastUndoBtn) this.toastUndoBtn.addEventListener('click', () => this.handleUndo());
+
+        // Loader cancel buttons
+        if (this.analysisLoaderCancelBtn) this.analysisLoaderCancelBtn.addEventListener('click', () => this.cancelRequest('home'));
+        if (this.labelLoaderCancelBtn) this.labelLoaderCancelBtn.addEventListener('click', () => this.cancelRequest());
+        if (this.planLoaderCancelBtn) this.planLoaderCancelBtn.addEventListener('click', () => this.cancelRequest('insights'));
+        if (this.groceryLoaderCancelBtn) this.groceryLoaderCancelBtn.addEventListener('click', () => this.cancelRequest('plan'));
+        if (this.recipeLoaderCancelBtn) this.recipeLoaderCancelBtn.addEventListener('click', () => this.cancelRequest('home'));
+
+        // Pending captures
+        if (this.pendingBtn) this.pendingBtn.addEventListener('click', () => this.openPending());
+        if (this.processPendingBtn) this.processPendingBtn.addEventListener('click', () => this.handleProcessPending());
+        if (this.backHomePendingBtn) this.backHomePendingBtn.addEventListener('click', () => this.switchView('home'));
+
         // Back buttons
         if (this.backHomeBtn) this.backHomeBtn.addEventListener('click', () => this.switchView('home'));
         if (this.backHomeReportBtn) this.backHomeReportBtn.addEventListener('click', () => this.switchView('home'));
@@ -255,18 +573,44 @@ export default class App {
     // Settings Management
     loadSettings() {
         const provider = this.analysisService.provider;
-        const claudeKey = this.analysisService.claudeApiKey;
-        const geminiKey = this.analysisService.geminiApiKey;
-        const geminiModel = this.analysisService.geminiModel;
+        const claude = this.analysisService.getProviderSettings('claude');
+        const gemini = this.analysisService.getProviderSettings('gemini');
+        const openai = this.analysisService.getProviderSettings('openai');
 
         if (this.providerSelect) this.providerSelect.value = provider;
-        if (this.claudeApiKeyInput) this.claudeApiKeyInput.value = claudeKey;
-        if (this.geminiApiKeyInput) this.geminiApiKeyInput.value = geminiKey;
-        if (this.geminiModelSelect) this.geminiModelSelect.value = geminiModel;
+        if (this.providerFallbackInput) {
+            this.providerFallbackInput.value = this.analysisService.getProviderOrder().slice(1).join(', ');
+        }
+        if (this.claudeApiKeyInput) this.claudeApiKeyInput.value = claude.apiKey;
+        if (this.geminiApiKeyInput) this.geminiApiKeyInput.value = gemini.apiKey;
+        if (this.geminiModelSelect) this.geminiModelSelect.value = gemini.model;
+        if (this.openaiBaseUrlInput) this.openaiBaseUrlInput.value = openai.baseUrl;
+        if (this.openaiApiKeyInput) this.openaiApiKeyInput.value = openai.apiKey;
+        if (this.openaiModelInput) this.openaiModelInput.value = openai.model;
+        if (this.trashRetentionInput) this.trashRetentionInput.value = this.storageService.getTrashRetentionDays();
+
+        const budget = this.usageService.getBudget();
+        if (this.usageBudgetInput) this.usageBudgetInput.value = budget.limit || '';
+        if (this.usageBlockInput) this.usageBlockInput.checked = budget.block;
+        this.renderUsage();
+
+        const sync = this.syncService.getConfig();
+        if (this.syncEndpointInput) this.syncEndpointInput.value = sync.endpoint;
+        if (this.syncJournalInput) this.syncJournalInput.value = sync.journal;
+        if (this.syncTokenInput) this.syncTokenInput.value = sync.token;
+        this.updateSyncStatus();
+
+        if (this.productServerInput) this.productServerInput.value = this.productCatalog.getServerUrl();
+        this.updateProductCatalogStatus();
+
+        const profile = this.profileService.getActiveProfile();
+        if (this.profileName) this.profileName.textContent = profile.name;
+        if (this.deleteProfileBtn) this.deleteProfileBtn.disabled = profile.id === DEFAULT_PROFILE_ID;
     }
 
     openSettings() {
         this.loadSettings();
+        this.checkStoragePressure();
         if (this.settingsModal) this.settingsModal.classList.remove('hidden');
     }
 
@@ -274,17 +618,45 @@ export default class App {
         if (this.settingsModal) this.settingsModal.classList.add('hidden');
     }
 
+    /**
+     * Save the AI provider fields of the settings form
+     * @returns {boolean} false if a value was rejected (the user has been told)
+     */
+    applyProviderSettings() {
+        try {
+            this.analysisService.setProvider(this.providerSelect.value);
+            if (this.providerFallbackInput) {
+                this.analysisService.setFallbacks(this.providerFallbackInput.value
+                    .split(/[\s,]+/).map(id => id.toLowerCase()).filter(Boolean));
+            }
+            this.analysisService.setProviderSettings('claude', { apiKey: this.claudeApiKeyInput.value });
+            this.analysisService.setProviderSettings('gemini', {
+                apiKey: this.geminiApiKeyInput.value,
+                model: this.geminiModelSelect.value
+            });
+            if (this.openaiBaseUrlInput) {
+                this.analysisService.setProviderSettings('openai', {
+                    baseUrl: this.openaiBaseUrlInput.value,
+                    apiKey: this.openaiApiKeyInput.value,
+                    model: this.openaiModelInput.value
+                });
+            }
+            return true;
+        } catch (error) {
+            alert(`⚠️ ${error.message}`);
+            return false;
+        }
+    }
+
     async testConnection() {
-        const provider = this.providerSelect.value;
-        const claudeKey = this.claudeApiKeyInput.value.trim();
-        const geminiKey = this.geminiApiKeyInput.value.trim();
+        if (!this.applyProviderSettings()) return;
 
-        if (provider === 'claude' && !claudeKey) {
-            alert('Please enter a Claude API key');
-            return;
-        }
-        if (provider === 'gemini' && !geminiKey) {
-            alert('Please enter a Gemini API key');
+        const provider = this.providerSelect.value;
+        const label = this.providerSelect.selectedOptions[0]?.textContent || provider;
+        if (!this.analysisService.getAvailableProviders().includes(provider)) {
+            alert(provider === 'openai'
+                ? 'Please enter the model server URL and a model name'
+                : `Please enter a ${label} API key`);
             return;
         }
 
@@ -292,15 +664,9 @@ export default class App {
         this.testConnectionBtn.disabled = true;
 
         try {
-            // Temporarily set keys
-            this.analysisService.setClaudeApiKey(claudeKey);
-            this.analysisService.setGeminiApiKey(geminiKey);
-            this.analysisService.setProvider(provider);
-
-            // Test with a simple text analysis
-            const result = await this.analysisService.parseVoiceLog('I ate an apple');
+            const reply = await this.analysisService.testProvider(provider);
 
-            alert(`✅ Connection successful!\n\nProvider: ${provider}\nResponse: ${result.name}`);
+            alert(`✅ Connection successful!\n\nProvider: ${label}\nResponse: ${reply.trim()}`);
         } catch (error) {
             alert(`❌ Connection failed:\n\n${error.message}`);
         } finally {
@@ -309,21 +675,616 @@ export default class App {
         }
     }
 
-    saveSettings() {
-        const provider = this.providerSelect.value;
-        const claudeKey = this.claudeApiKeyInput.value.trim();
-        const geminiKey = this.geminiApiKeyInput.value.trim();
-        const geminiModel = this.geminiModelSelect.value;
+    /**
+     * Offer the models the local model server has as suggestions
+     */
+    async findLocalModels() {
+        if (!this.applyProviderSettings()) return;
+
+        this.openaiModelsBtn.disabled = true;
+        try {
+            const models = await this.analysisService.listModels('openai');
+            if (this.openaiModelList) {
+                this.openaiModelList.innerHTML = '';
+                models.forEach(model => {
+                    const option = document.createElement('option');
+                    option.value = model;
+                    this.openaiModelList.appendChild(option);
+                });
+            }
+            if (models.length === 0) alert('The model server has no models installed');
+            else if (!this.openaiModelInput.value) this.openaiModelInput.value = models[0];
+        } catch (error) {
+            alert(`❌ Could not reach the model server: ${error.message}`);
+        } finally {
+            this.openaiModelsBtn.disabled = false;
+        }
+    }
+
+    async saveSettings() {
+        if (!this.applyProviderSettings()) return;
+
+        if (this.trashRetentionInput) {
+            try {
+                this.storageService.setTrashRetentionDays(this.trashRetentionInput.value);
+            } catch (error) {
+                alert(`⚠️ ${error.message}`);
+                return;
+            }
+        }
+
+        if (this.usageBudgetInput) {
+            try {
+                this.usageService.setBudget({
+                    limit: this.usageBudgetInput.value,
+                    block: this.usageBlockInput?.checked
+                });
+            } catch (error) {
+                alert(`⚠️ ${error.message}`);
+                return;
+            }
+        }
+
+        if (this.syncEndpointInput) {
+            try {
+                await this.syncService.configure({
+                    endpoint: this.syncEndpointInput.value,
+                    journal: this.syncJournalInput.value,
+                    token: this.syncTokenInput.value
+                });
+                this.syncService.scheduleSync(0);
+            } catch (error) {
+                alert(`⚠️ ${error.message}`);
+                return;
+            }
+        }
 
-        this.analysisService.setProvider(provider);
-        this.analysisService.setClaudeApiKey(claudeKey);
-        this.analysisService.setGeminiApiKey(geminiKey);
-        this.analysisService.setGeminiModel(geminiModel);
+        if (this.productServerInput) {
+            try {
+                this.productCatalog.setServerUrl(this.productServerInput.value);
+            } catch (error) {
+                alert(`⚠️ ${error.message}`);
+                return;
+            }
+        }
 
         this.closeSettings();
         alert('✅ Settings saved!');
     }
 
+    // Sync
+    initSync() {
+        this.syncService.onStatus = ({ message }) => {
+            if (this.syncStatus) this.syncStatus.textContent = message;
+        };
+
+        this.syncService.onRemoteChange = () => {
+            this.renderHistory();
+            this.updateStreak();
+        };
+
+        if (this.syncService.isEnabled()) this.syncService.scheduleSync(0);
+    }
+
+    async updateSyncStatus() {
+        if (!this.syncStatus) return;
+
+        if (!this.syncService.isEnabled()) {
+            this.syncStatus.textContent = 'Sync is off';
+            return;
+        }
+
+        const { lastSyncAt } = this.syncService.getConfig();
+        const pending = await this.syncService.getPendingCount();
+        const last = lastSyncAt ? `Last sync ${new Date(lastSyncAt).toLocaleString()}` : 'Not synced yet';
+        this.syncStatus.textContent = pending > 0 ? `${last} · ${pending} changes waiting` : last;
+    }
+
+    async handleSyncNow() {
+        if (!this.syncService.isEnabled()) {
+            alert('Enter a sync server URL and journal name, then press Save');
+            return;
+        }
+
+        this.syncNowBtn.disabled = true;
+        try {
+            const { pushed, pulled, conflicts } = await this.syncService.sync();
+            alert(`✅ Sync complete\n\nSent: ${pushed}\nReceived: ${pulled}${conflicts ? `\nNewer on server: ${conflicts}` : ''}`);
+        } catch (error) {
+            const message = {
+                SYNC_OFFLINE: 'You are offline. Changes will sync when you reconnect.',
+                SYNC_UNAUTHORIZED: 'The sync server rejected the access token.'
+            }[error.message] || error.message;
+            alert(`❌ Sync Failed: ${message}`);
+        } finally {
+            this.syncNowBtn.disabled = false;
+            this.updateSyncStatus();
+        }
+    }
+
+    // Product catalog
+    async updateProductCatalogStatus() {
+        if (!this.productCatalogStatus) return;
+
+        const count = await this.productCatalog.count();
+        this.productCatalogStatus.textContent = count > 0
+            ? `${count} product${count === 1 ? '' : 's'} on this device`
+            : 'No products on this device yet';
+    }
+
+    async handleProductImport(event) {
+        const file = event.target.files[0];
+        this.productDumpInput.value = '';
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = await this.productCatalog.importDump(file, (count) => {
+                if (this.productCatalogStatus) this.productCatalogStatus.textContent = `Importing… ${count} products`;
+            });
+            alert(`✅ Imported ${imported} products${skipped ? `\n${skipped} rows without a barcode or energy value were skipped` : ''}`);
+        } catch (error) {
+            console.error('Product import failed:', error);
+            alert(`❌ Import Failed: ${error.message}`);
+        } finally {
+            this.updateProductCatalogStatus();
+        }
+    }
+
+    // Profiles
+    renderProfiles() {
+        if (!this.profileSelect) return;
+
+        this.profileSelect.innerHTML = '';
+        this.profileService.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `👤 ${profile.name}`;
+            this.profileSelect.appendChild(option);
+        });
+
+        const addOption = document.createElement('option');
+        addOption.value = '__new__';
+        addOption.textContent = '➕ Add profile…';
+        this.profileSelect.appendChild(addOption);
+
+        this.profileSelect.value = this.profileService.activeId;
+    }
+
+    async handleProfileSelect() {
+        const value = this.profileSelect.value;
+
+        if (value === '__new__') {
+            const name = prompt('Name for the new profile');
+            if (name === null) {
+                this.profileSelect.value = this.profileService.activeId;
+                return;
+            }
+
+            try {
+                const profile = this.profileService.createProfile(name);
+                await this.switchProfile(profile.id);
+            } catch (error) {
+                alert(`⚠️ ${error.message}`);
+                this.profileSelect.value = this.profileService.activeId;
+            }
+            return;
+        }
+
+        await this.switchProfile(value);
+    }
+
+    /**
+     * Load another profile's journal and settings and reset per-profile UI state
+     */
+    async switchProfile(profileId) {
+        const previousId = this.profileService.activeId;
+        if (profileId === previousId) return;
+
+        try {
+            await this.syncService.idle();
+            await this.switchServicesTo(profileId);
+            this.profileService.setActiveProfile(profileId);
+        } catch (error) {
+            console.error('Profile switch failed:', error);
+            alert(`❌ Could not switch profile: ${error.message}`);
+
+            // Some services may already point at the new profile: move them all back
+            try {
+                await this.switchServicesTo(previousId);
+            } catch (restoreError) {
+                console.error('Could not return to the previous profile:', restoreError);
+            }
+            this.profileSelect.value = previousId;
+            return;
+        }
+
+        // Undo actions and chat context belong to the previous profile
+        this.hideToast();
+        this.chatService.history = [];
+        if (this.chatMessages) {
+            // Keep only the greeting
+            while (this.chatMessages.children.length > 1) this.chatMessages.lastElementChild.remove();
+        }
+        this.state.currentImage = null;
+        this.state.currentAnalysis = null;
+        this.state.analysisItems = [];
+        this.state.currentPortion = null;
+        this.state.currentPlan = null;
+        this.state.editingLogId = null;
+        this.state.pendingImport = null;
+        this.state.labelBarcode = null;
+        this.state.pendingCaptureId = null;
+        this.state.reviewingCapture = null;
+        this.refreshCaptureQueue();
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls.clear();
+
+        this.renderProfiles();
+        this.renderHistory();
+        this.renderSavedProducts();
+        this.updateStreak();
+        this.loadSettings();
+        this.checkStoragePressure();
+        this.switchView('home');
+    }
+
+    /**
+     * Point storage and every profile-scoped service at a profile
+     */
+    async switchServicesTo(profileId) {
+        await this.storageService.switchProfile(profileId);
+        await this.foodDatabase.load();
+        this.productCatalog.switchProfile(profileId);
+        this.usageService.switchProfile(profileId);
+        this.analysisService.switchProfile(profileId);
+        this.syncService.switchProfile(profileId);
+    }
+
+    handleRenameProfile() {
+        const profile = this.profileService.getActiveProfile();
+        const name = prompt('Profile name', profile.name);
+        if (name === null) return;
+
+        try {
+            this.profileService.renameProfile(profile.id, name);
+        } catch (error) {
+            alert(`⚠️ ${error.message}`);
+            return;
+        }
+
+        this.renderProfiles();
+        this.loadSettings();
+    }
+
+    async handleDeleteProfile() {
+        const profile = this.profileService.getActiveProfile();
+        if (profile.id === DEFAULT_PROFILE_ID) return;
+
+        if (!confirm(`Delete the profile "${profile.name}" with its journal, photos and API keys? This cannot be undone.
+
+Export a backup first if you want to keep the data.`)) {
+            return;
+        }
+
+        try {
+            await this.switchProfile(DEFAULT_PROFILE_ID);
+            await this.profileService.deleteProfile(profile.id);
+        } catch (error) {
+            console.error('Profile deletion failed:', error);
+            alert(`❌ Delete Failed: ${error.message}`);
+        }
+
+        this.renderProfiles();
+        this.loadSettings();
+    }
+
+    /**
+     * Export file name, e.g. nutrimood-sam-2024-05-01.json
+     */
+    exportFileName(suffix) {
+        const date = new Date().toISOString().slice(0, 10);
+        const slug = this.profileService.getActiveProfile().name
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `nutrimood-${slug ? `${slug}-` : ''}${date}${suffix}`;
+    }
+
+    // Data Export / Import
+    async handleExport(format) {
+        try {
+            const data = await this.storageService.exportData(format, { profile: this.profileService.getActiveProfile() });
+            const files = {
+                csv: { suffix: '.csv', type: 'text/csv' },
+                fhir: { suffix: '.fhir.json', type: 'application/fhir+json' },
+                omh: { suffix: '.omh.json', type: 'application/json' }
+            };
+            const { suffix, type } = files[format] || { suffix: `.${format}`, type: 'application/json' };
+            this.downloadFile(data, this.exportFileName(suffix), type);
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert(`❌ Export Failed: ${error.message}`);
+        }
+    }
+
+    async handleEncryptedExport() {
+        const passphrase = await this.askPassphrase({
+            title: '🔒 Encrypted Backup',
+            message: 'Choose a passphrase for this backup (at least 8 characters). You will need it to restore - it cannot be recovered.',
+            repeat: true
+        });
+        if (passphrase === null) return;
+
+        try {
+            const data = await this.storageService.exportData('encrypted', { passphrase, profile: this.profileService.getActiveProfile() });
+            this.downloadFile(data, this.exportFileName('-encrypted.json'), 'application/json');
+        } catch (error) {
+            console.error('Encrypted export failed:', error);
+            alert(`❌ Export Failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask for a backup passphrase in a masked field
+     * @param {boolean} [options.repeat] - New passphrase: ask twice, at least 8 characters
+     * @returns {Promise<string|null>} null if cancelled
+     */
+    askPassphrase({ title, message, repeat = false }) {
+        if (!this.passphraseModal) return Promise.resolve(null);
+
+        this.passphraseTitle.textContent = title;
+        this.passphraseMessage.textContent = message;
+        this.passphraseError.textContent = '';
+        this.passphraseInput.value = '';
+        this.passphraseRepeatInput.value = '';
+        this.passphraseRepeatInput.classList.toggle('hidden', !repeat);
+        this.passphraseModal.classList.remove('hidden');
+        this.passphraseInput.focus();
+
+        return new Promise(resolve => {
+            this.passphraseRequest = { repeat, resolve };
+        });
+    }
+
+    submitPassphrase() {
+        if (!this.passphraseRequest) return;
+
+        const passphrase = this.passphraseInput.value;
+        let error = '';
+        if (!passphrase) {
+            error = 'Enter the passphrase';
+        } else if (this.passphraseRequest.repeat && passphrase.length < 8) {
+            error = 'Passphrase must be at least 8 characters';
+        } else if (this.passphraseRequest.repeat && this.passphraseRepeatInput.value !== passphrase) {
+            error = 'Passphrases do not match';
+        }
+
+        if (error) {
+            this.passphraseError.textContent = `⚠️ ${error}`;
+            return;
+        }
+        this.closePassphrase(passphrase);
+    }
+
+    closePassphrase(passphrase) {
+        const request = this.passphraseRequest;
+        this.passphraseRequest = null;
+
+        // Do not leave the passphrase in the DOM
+        this.passphraseInput.value = '';
+        this.passphraseRepeatInput.value = '';
+        this.passphraseModal.classList.add('hidden');
+
+        if (request) request.resolve(passphrase);
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async handleImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+
+            if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+                this.showCSVMapping(text);
+            } else {
+                const preview = await this.previewJSONImport(text);
+                if (preview) this.showImportPreview(preview);
+            }
+        } catch (error) {
+            console.error('Import preview failed:', error);
+            if (error.message === 'DECRYPTION_FAILED') {
+                alert('❌ Wrong passphrase, or the backup file is damaged');
+            } else if (error.message === 'UNSUPPORTED_BACKUP') {
+                alert('❌ This backup was made by a newer version of NutriMood, or uses encryption settings it does not accept');
+            } else {
+                alert(`❌ Import Error: ${error.message}`);
+            }
+        }
+
+        this.importFileInput.value = '';
+    }
+
+    /**
+     * Preview a JSON import, asking for the passphrase if the file is an encrypted backup
+     */
+    async previewJSONImport(text) {
+        try {
+            return await this.storageService.previewImport(text);
+        } catch (error) {
+            if (error.message !== 'PASSPHRASE_REQUIRED') throw error;
+
+            const passphrase = await this.askPassphrase({
+                title: '🔒 Encrypted Backup',
+                message: 'This backup is encrypted. Enter its passphrase.'
+            });
+            if (!passphrase) return null;
+
+            return await this.storageService.previewImport(text, { passphrase });
+        }
+    }
+
+    showCSVMapping(csvText) {
+        const { headers, mapping, sample } = this.storageService.inspectCSV(csvText);
+        this.state.pendingCSV = csvText;
+
+        if (this.csvMappingFields) {
+            this.csvMappingFields.innerHTML = '';
+
+            CSV_FIELDS.forEach(field => {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'form-field';
+
+                const label = document.createElement('label');
+                label.textContent = field.required ? `${field.label} *` : field.label;
+
+                const select = document.createElement('select');
+                select.className = 'form-input';
+                select.dataset.field = field.key;
+                select.innerHTML = '<option value=\"\">— Not in file —</option>';
+
+                headers.forEach((header, index) => {
+                    const option = document.createElement('option');
+                    option.value = index;
+                    const example = sample[0]?.[index];
+                    option.textContent = example ? `${header} (e.g. ${example})` : header;
+                    select.appendChild(option);
+                });
+
+                select.value = mapping[field.key] === null ? '' : mapping[field.key];
+
+                wrapper.appendChild(label);
+                wrapper.appendChild(select);
+                this.csvMappingFields.appendChild(wrapper);
+            });
+        }
+
+        if (this.csvDateOrder) this.csvDateOrder.value = 'auto';
+        if (this.csvMappingModal) this.csvMappingModal.classList.remove('hidden');
+    }
+
+    closeCSVMapping() {
+        this.state.pendingCSV = null;
+        if (this.csvMappingModal) this.csvMappingModal.classList.add('hidden');
+    }
+
+    async previewCSVImport() {
+        if (!this.state.pendingCSV) return;
+
+        const mapping = {};
+        this.csvMappingFields.querySelectorAll('select').forEach(select => {
+            mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value, 10);
+        });
+
+        const order = this.csvDateOrder.value;
+        const dateOrder = order === 'auto' ? null : order.split(',');
+
+        try {
+            const preview = await this.storageService.previewCSVImport(this.state.pendingCSV, { mapping, dateOrder });
+            this.closeCSVMapping();
+            this.showImportPreview(preview);
+        } catch (error) {
+            console.error('CSV preview failed:', error);
+            alert(`❌ Import Error: ${error.message}`);
+        }
+    }
+
+    showImportPreview(preview) {
+        this.state.pendingImport = preview;
+
+        const current = this.storageService.getLogs().length;
+        const updates = preview.updates || [];
+        const active = this.profileService.getActiveProfile();
+        const source = preview.sourceProfile;
+        const profileNote = source && source.id !== active.id
+            ? `This file was exported from the profile "${source.name || source.id}". `
+            : '';
+
+        if (this.importSummary) {
+            this.importSummary.textContent = `${profileNote}Entries go into the "${active.name}" profile. ` +
+                `${preview.total} rows found: ${preview.toAdd.length} new, ` +
+                `${updates.length} changed, ${preview.skipped.length} duplicates skipped, ${preview.invalid.length} invalid. ` +
+                `Merge adds the ${preview.toAdd.length} new entries${updates.length ? ` and applies ${updates.length} changes` : ''}. ` +
+                `Replace swaps your ${current} current entries for ${preview.valid.length} imported ones.`;
+        }
+
+        if (this.importDetails) {
+            this.importDetails.innerHTML = '';
+
+            // [title, detail]; details come from the file, so they are set as text
+            const rows = [
+                ...preview.invalid.map(item => [`Row ${item.row}: invalid`, item.errors.join('; ')]),
+                ...updates.map(item => [`Row ${item.row}: changed`, `${item.entry.food.name} · ${item.entry.food.calories} kcal`]),
+                ...preview.skipped.map(item => [`Row ${item.row}: skipped`, `${item.entry.food.name} · ${item.reason}`])
+            ];
+
+            rows.slice(0, 50).forEach(([title, detail]) => {
+                const li = document.createElement('li');
+                const strong = document.createElement('strong');
+                strong.textContent = title;
+                const span = document.createElement('span');
+                span.textContent = detail;
+                li.append(strong, span);
+                this.importDetails.appendChild(li);
+            });
+
+            if (rows.length > 50) {
+                const li = document.createElement('li');
+                li.textContent = `…and ${rows.length - 50} more`;
+                this.importDetails.appendChild(li);
+            }
+        }
+
+        if (this.importMergeBtn) this.importMergeBtn.disabled = preview.toAdd.length === 0 && updates.length === 0;
+        if (this.importReplaceBtn) this.importReplaceBtn.disabled = preview.valid.length === 0;
+        if (this.importModal) this.importModal.classList.remove('hidden');
+    }
+
+    closeImportPreview() {
+        this.state.pendingImport = null;
+        if (this.importModal) this.importModal.classList.add('hidden');
+    }
+
+    async confirmImport(mode) {
+        const preview = this.state.pendingImport;
+        if (!preview) return;
+
+        if (mode === 'replace' && !confirm('Replace your entire journal with the imported entries?')) {
+            return;
+        }
+
+        try {
+            const count = await this.storageService.commitImport(preview, mode);
+            this.closeImportPreview();
+            this.renderHistory();
+            this.updateStreak();
+            this.checkStoragePressure();
+
+            if (preview.replacedBatch) {
+                this.showUndoToast(`Imported ${count} entries, previous journal moved to trash`, async () => {
+                    await this.storageService.undoReplaceImport(preview);
+                });
+            } else {
+                alert(`✅ Imported ${count} entries`);
+            }
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(`❌ Import Failed: ${error.message}`);
+        }
+    }
+
     // View Management
     switchView(viewName) {
         Object.values(this.views).forEach(view => {
@@ -342,6 +1303,26 @@ export default class App {
         }
     }
 
+    // AI Requests
+    /**
+     * Signal for a new AI request shown behind a loader. Starting one cancels
+     * the previous request.
+     */
+    beginRequest() {
+        if (this.requestController) this.requestController.abort();
+        this.requestController = new AbortController();
+        return this.requestController.signal;
+    }
+
+    /**
+     * Loader cancel button: abort the request and leave its view
+     */
+    cancelRequest(viewName = null) {
+        if (this.requestController) this.requestController.abort();
+        this.requestController = null;
+        if (viewName) this.switchView(viewName);
+    }
+
     // File Upload
     async handleFileUpload(event) {
         try {
@@ -357,10 +1338,10 @@ export default class App {
 
                 this.switchView('analysis');
                 this.resetAnalysisView();
+                this.setMealTime(this.getPhotoTakenTime(file));
 
                 try {
-                    const result = await this.analysisService.analyzeImage(file);
-                    this.state.currentAnalysis = result;
+                    const result = await this.analysisService.analyzeImage(file, { signal: this.beginRequest() });
                     this.showAnalysisResults(result, imageUrl);
                 } catch (error) {
                     console.error('Analysis failed:', error);
@@ -368,9 +1349,12 @@ export default class App {
                         alert('⚠️ Please configure your API keys in Settings');
                         this.openSettings();
                         this.switchView('home');
-                    } else {
-                        alert(`❌ Analysis Error: ${error.message}`);
-                        this.switchView('home');
+                    } else if (!isAbortError(error)) {
+                        this.queueCapture({
+                            kind: 'photo',
+                            photo: file,
+                            eatenAt: fromDateTimeLocalValue(this.mealTimeInput?.value)
+                        }, error);
                     }
                 }
             };
@@ -383,20 +1367,270 @@ export default class App {
         this.fileInput.value = '';
     }
 
-    resetAnalysisView() {
-        if (this.loaderContainer) this.loaderContainer.style.display = 'flex';
+    // Barcode
+    async openBarcodeScanner() {
+        if (!this.barcodeModal) return;
+
+        this.barcodeModal.classList.remove('hidden');
+        this.barcodeCodeInput.value = '';
+        this.setBarcodeStatus('');
+        if (this.barcodeLabelBtn) this.barcodeLabelBtn.classList.add('hidden');
+
+        if (!this.barcodeScanner.isCameraSupported()) {
+            this.setBarcodeStatus('No camera available. Use a photo or type the code.');
+            return;
+        }
+
+        this.setBarcodeStatus('Starting camera…');
+        try {
+            await this.barcodeScanner.startCamera(this.barcodeVideo, ({ code, format }) => {
+                this.barcodeVideo.classList.add('hidden');
+                this.handleBarcode(code, format);
+            });
+            this.barcodeVideo.classList.remove('hidden');
+            this.setBarcodeStatus('Looking for a barcode…');
+        } catch (error) {
+            console.warn('Camera unavailable:', error);
+            this.setBarcodeStatus('The camera could not be opened. Use a photo or type the code.');
+        }
+    }
+
+    closeBarcodeScanner() {
+        this.barcodeScanner.stopCamera();
+        if (this.barcodeVideo) this.barcodeVideo.classList.add('hidden');
+        if (this.barcodeModal) this.barcodeModal.classList.add('hidden');
+    }
+
+    setBarcodeStatus(message) {
+        if (this.barcodeStatus) this.barcodeStatus.textContent = message;
+    }
+
+    async handleBarcodeFile(event) {
+        const file = event.target.files[0];
+        this.barcodeFileInput.value = '';
+        if (!file) return;
+
+        this.setBarcodeStatus('Reading barcode…');
+        try {
+            const result = await this.barcodeScanner.decodeFile(file);
+            if (!result) {
+                this.setBarcodeStatus('No barcode found in this photo. Try a sharper, closer shot or type the code.');
+                return;
+            }
+            this.handleBarcode(result.code, result.format);
+        } catch (error) {
+            console.error('Barcode photo failed:', error);
+            this.setBarcodeStatus(`Could not read the photo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Look a code up in the product catalog and show the product for logging
+     */
+    async handleBarcode(code, format = '') {
+        const text = String(code || '').trim();
+        if (!text) return;
+
+        if (this.barcodeCodeInput) this.barcodeCodeInput.value = text;
+        this.setBarcodeStatus(`Looking up ${text}…`);
+
+        let product;
+        try {
+            product = await this.productCatalog.lookup(text, format);
+        } catch (error) {
+            this.setBarcodeStatus(error.message === 'INVALID_BARCODE'
+                ? `${text} is not a valid EAN or UPC code.`
+                : `❌ ${error.message}`);
+            return;
+        }
+
+        if (!product) {
+            this.setBarcodeStatus(this.productCatalog.getServerUrl()
+                ? `Product ${text} was not found. You can read its nutrition label instead.`
+                : `Product ${text} is not on this device. Read its nutrition label, or import a catalog or add a product server in Settings.`);
+            if (this.barcodeLabelBtn) this.barcodeLabelBtn.classList.remove('hidden');
+            return;
+        }
+
+        this.closeBarcodeScanner();
+        this.showProduct(product);
+    }
+
+    /**
+     * Open a catalog or saved product in the analysis view, ready to log
+     */
+    showProduct(product) {
+        this.state.currentImage = null;
+        this.switchView('analysis');
+        this.resetAnalysisView();
+        if (this.previewImg) this.previewImg.style.display = 'none';
+
+        const item = this.productCatalog.toItem(product);
+        this.showAnalysisResults(mealFromItems(item.name, [item]), null);
+    }
+
+    // Nutrition Label
+    async handleLabelUpload(event) {
+        const file = event.target.files[0];
+        this.labelInput.value = '';
+        if (!file) return;
+
+        this.switchView('label');
+        if (this.labelLoader) this.labelLoader.style.display = 'flex';
+        if (this.labelForm) this.labelForm.classList.add('hidden');
+
+        let label = null;
+        try {
+            label = await this.analysisService.readNutritionLabel(file, { signal: this.beginRequest() });
+        } catch (error) {
+            console.error('Label reading failed:', error);
+            // Cancelled: go straight to entering the values by hand
+            if (!isAbortError(error)) {
+                alert(error.message === 'API_KEY_MISSING'
+                    ? '⚠️ No AI provider is configured, so the label cannot be read automatically.\n\nEnter the values from the label by hand.'
+                    : `❌ Could not read the label: ${error.message}\n\nEnter the values from the label by hand.`);
+            }
+        }
+
+        this.fillLabelForm(label);
+        if (this.labelLoader) this.labelLoader.style.display = 'none';
+        if (this.labelForm) this.labelForm.classList.remove('hidden');
+    }
+
+    /**
+     * Put a label record into the form (empty form for null)
+     */
+    fillLabelForm(label) {
+        const values = {
+            ...label,
+            ...label?.perServing
+        };
+
+        this.labelFields.forEach(input => {
+            const value = values[input.dataset.labelField];
+            input.value = value === null || value === undefined ? '' : value;
+        });
+
+        if (this.labelBarcode) {
+            this.labelBarcode.textContent = this.state.labelBarcode ? `Barcode: ${this.state.labelBarcode}` : '';
+            this.labelBarcode.classList.toggle('hidden', !this.state.labelBarcode);
+        }
+    }
+
+    /**
+     * Save the confirmed label as a product, then log it or go back home
+     */
+    async saveLabel(logNow) {
+        const raw = {};
+        this.labelFields.forEach(input => {
+            raw[input.dataset.labelField] = input.value;
+        });
+
+        if (raw.calories === '' || !(parseFloat(raw.calories) >= 0)) {
+            alert('⚠️ Enter the calories per serving from the label');
+            return;
+        }
+
+        let product;
+        try {
+            product = await this.productCatalog.saveLabel(raw, this.state.labelBarcode);
+        } catch (error) {
+            console.error('Saving label failed:', error);
+            alert(`❌ Could not save the product: ${error.message}`);
+            return;
+        }
+
+        this.state.labelBarcode = null;
+        this.renderSavedProducts();
+
+        if (logNow) {
+            this.showProduct(product);
+        } else {
+            this.switchView('home');
+            alert(`✅ ${product.name} saved. Tap it under Saved products to log it.`);
+        }
+    }
+
+    /**
+     * One-tap relogging of products saved from nutrition labels
+     */
+    async renderSavedProducts() {
+        if (!this.savedProductsList) return;
+
+        let products = [];
+        try {
+            products = await this.productCatalog.getSaved();
+        } catch (error) {
+            console.warn('Saved products could not be loaded:', error);
+        }
+
+        this.savedProductsList.innerHTML = '';
+        products.forEach(product => {
+            const row = document.createElement('div');
+            row.className = 'saved-product-row';
+
+            const logBtn = document.createElement('button');
+            logBtn.className = 'secondary-btn';
+            const calories = product.perServing?.calories ?? product.per100g?.calories;
+            logBtn.textContent = `${product.name} · ${Math.round(calories)} kcal / ${product.serving?.label || '100 g'}`;
+            logBtn.addEventListener('click', () => this.showProduct(product));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'food-item-remove';
+            removeBtn.setAttribute('aria-label', `Remove ${product.name}`);
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => this.removeSavedProduct(product));
+
+            row.append(logBtn, removeBtn);
+            this.savedProductsList.appendChild(row);
+        });
+
+        if (this.savedProducts) this.savedProducts.classList.toggle('hidden', products.length === 0);
+    }
+
+    async removeSavedProduct(product) {
+        if (!confirm(`Remove ${product.name} from saved products?`)) return;
+
+        await this.productCatalog.remove(product.code);
+        this.renderSavedProducts();
+    }
+
+    resetAnalysisView() {
+        if (this.loaderContainer) this.loaderContainer.style.display = 'flex';
         if (this.resultsCard) this.resultsCard.classList.add('hidden');
+        this.setMealTime(new Date());
+        this.state.pendingCaptureId = null;
+        this.state.reviewingCapture = null;
+        if (this.moodPendingNote) this.moodPendingNote.classList.add('hidden');
+    }
+
+    setMealTime(date) {
+        if (!this.mealTimeInput) return;
+        this.mealTimeInput.max = toDateTimeLocalValue(new Date());
+        this.mealTimeInput.value = toDateTimeLocalValue(date);
+    }
+
+    /**
+     * Gallery photos keep their capture time in lastModified; camera shots are "now"
+     */
+    getPhotoTakenTime(file) {
+        const taken = new Date(file.lastModified);
+        const age = Date.now() - taken.getTime();
+        const maxAge = 7 * 24 * 60 * 60 * 1000;
+
+        return !isNaN(taken) && age > 0 && age < maxAge ? taken : new Date();
     }
 
     showAnalysisResults(data, imageUrl = null) {
         if (this.loaderContainer) this.loaderContainer.style.display = 'none';
         if (this.resultsCard) this.resultsCard.classList.remove('hidden');
 
-        if (this.foodName) this.foodName.textContent = data.name;
-        if (this.calories) this.calories.textContent = data.calories;
-        if (this.protein) this.protein.textContent = data.protein;
-        if (this.carbs) this.carbs.textContent = data.carbs;
-        if (this.fats) this.fats.textContent = data.fats;
+        this.state.analysisName = data.name || '';
+        this.state.analysisServings = 1;
+        this.state.analysisItems = itemsFromAnalysis(data).map(item => this.toEditableItem(item));
+        this.state.detectedItemNames = this.state.analysisItems.map(item => item.name).join('|');
+        if (this.servingsInput) this.servingsInput.value = 1;
+        this.renderAnalysisItems();
 
         if (imageUrl && this.previewImg) {
             this.previewImg.src = imageUrl;
@@ -404,6 +1638,235 @@ export default class App {
         }
     }
 
+    /**
+     * Working copy of an item: its nutrient basis plus the amount eaten
+     * (grams, or servings when the weight is unknown)
+     */
+    toEditableItem(item) {
+        const { basis, amount } = portionOf(item);
+        return {
+            name: item.name,
+            portion: item.portion || '',
+            basis,
+            amount,
+            source: item.source,
+            foodId: item.foodId,
+            barcode: item.barcode,
+            ingredients: item.ingredients
+        };
+    }
+
+    /**
+     * Editable list of the detected items; totals follow every change
+     */
+    renderAnalysisItems() {
+        if (this.foodItemsList) {
+            this.foodItemsList.innerHTML = '';
+            this.state.analysisItems.forEach((item, index) => {
+                this.foodItemsList.appendChild(this.createAnalysisItemRow(item, index));
+            });
+        }
+        this.updateAnalysisTotals();
+    }
+
+    createAnalysisItemRow(item, index) {
+        const row = document.createElement('div');
+        row.className = 'food-item-row';
+        row.innerHTML = `
+            <div class=\"food-item-main\">
+                <input type=\"text\" class=\"form-input\" data-field=\"name\" placeholder=\"Food\" aria-label=\"Food name\" list=\"food-suggestions\" autocomplete=\"off\">
+                <input type=\"number\" class=\"form-input\" data-field=\"amount\" min=\"0\" aria-label=\"Amount eaten\">
+                <span class=\"food-item-unit tiny-text\"></span>
+                <button class=\"food-item-remove\" aria-label=\"Remove item\">✕</button>
+            </div>
+            <div class=\"food-item-macros\">
+                <label>kcal <input type=\"number\" class=\"form-input\" data-field=\"calories\" min=\"0\" step=\"1\"></label>
+                <label>P <input type=\"number\" class=\"form-input\" data-field=\"protein\" min=\"0\" step=\"1\"></label>
+                <label>C <input type=\"number\" class=\"form-input\" data-field=\"carbs\" min=\"0\" step=\"1\"></label>
+                <label>F <input type=\"number\" class=\"form-input\" data-field=\"fats\" min=\"0\" step=\"1\"></label>
+            </div>
+        `;
+
+        const byGrams = item.basis.per === '100g';
+        const amountInput = row.querySelector('[data-field=\"amount\"]');
+        amountInput.step = byGrams ? 5 : 0.25;
+        row.querySelector('.food-item-unit').textContent = byGrams ? 'g' : `× ${item.portion || 'serving'}`;
+
+        // Values are set as properties so model output is never parsed as HTML
+        row.querySelector('[data-field=\"name\"]').value = item.name;
+        amountInput.value = Math.round(item.amount * 100) / 100;
+        this.fillItemMacros(row, item);
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+
+            input.addEventListener('input', () => {
+                const value = Math.max(0, parseFloat(input.value) || 0);
+
+                if (field === 'name') {
+                    item.name = input.value;
+                    this.suggestFoods(input.value);
+                } else if (field === 'amount') {
+                    item.amount = value;
+                    this.fillItemMacros(row, item);
+                } else {
+                    // A corrected value updates the basis so later portion changes keep it
+                    const factor = portionFactor(item.basis, item.amount * this.state.analysisServings);
+                    if (factor > 0) item.basis = { ...item.basis, [field]: value / factor };
+                    item.source = { ...item.source, [field]: SOURCES.MANUAL };
+                }
+                this.updateAnalysisTotals();
+            });
+        });
+
+        // Picking a suggestion fills the item from the offline food database
+        row.querySelector('[data-field=\"name\"]').addEventListener('change', (e) => {
+            const match = this.foodDatabase.search(e.target.value, 1)[0];
+            if (!match || match.food.name.toLowerCase() !== e.target.value.trim().toLowerCase()) return;
+
+            this.state.analysisItems[index] = this.toEditableItem(this.foodDatabase.toItem(match.food));
+            this.renderAnalysisItems();
+        });
+
+        row.querySelector('.food-item-remove').addEventListener('click', () => {
+            this.state.analysisItems.splice(index, 1);
+            this.renderAnalysisItems();
+        });
+
+        return row;
+    }
+
+    /**
+     * Show an item's nutrients for the amount eaten (serving multiplier included)
+     */
+    fillItemMacros(row, item) {
+        const eaten = portionedItem(item, this.state.analysisServings);
+        row.querySelectorAll('.food-item-macros [data-field]').forEach(input => {
+            input.value = parseInt(eaten[input.dataset.field], 10) || 0;
+        });
+    }
+
+    /**
+     * Fill the name autocomplete with matches from the offline food database
+     */
+    suggestFoods(query) {
+        if (!this.foodSuggestions) return;
+
+        this.foodSuggestions.innerHTML = '';
+        this.foodDatabase.search(query).forEach(({ food }) => {
+            const option = document.createElement('option');
+            option.value = food.name;
+            option.textContent = `${food.per100g.calories} kcal / 100 g`;
+            this.foodSuggestions.appendChild(option);
+        });
+    }
+
+    addAnalysisItem() {
+        this.state.analysisItems.push({
+            name: '',
+            portion: '',
+            basis: { per: 'serving', calories: 0, protein: 0, carbs: 0, fats: 0 },
+            amount: 1,
+            source: { calories: SOURCES.MANUAL, protein: SOURCES.MANUAL, carbs: SOURCES.MANUAL, fats: SOURCES.MANUAL }
+        });
+        this.renderAnalysisItems();
+
+        const inputs = this.foodItemsList?.querySelectorAll('[data-field=\"name\"]');
+        if (inputs && inputs.length > 0) inputs[inputs.length - 1].focus();
+    }
+
+    /**
+     * "I only ate half": scale every item by the serving multiplier
+     */
+    handleServingsChange() {
+        const servings = parseFloat(this.servingsInput.value);
+        if (!(servings > 0)) return;
+
+        this.state.analysisServings = servings;
+        this.renderAnalysisItems();
+    }
+
+    /**
+     * Rebuild the meal from the edited items. The detected meal name is kept
+     * until the item list changes, then the item names take over.
+     */
+    updateAnalysisTotals() {
+        const servings = this.state.analysisServings;
+        const items = this.state.analysisItems
+            .filter(item => item.name.trim())
+            .map(item => portionedItem({ ...item, name: item.name.trim() }, servings));
+        const unchanged = items.map(item => item.name).join('|') === this.state.detectedItemNames;
+        const meal = items.length > 0
+            ? mealFromItems(unchanged ? this.state.analysisName : '', items)
+            : null;
+
+        this.state.currentAnalysis = meal;
+        this.state.currentPortion = meal ? {
+            servings,
+            grams: items.every(item => item.grams !== undefined)
+                ? items.reduce((sum, item) => sum + item.grams, 0)
+                : null
+        } : null;
+
+        if (this.foodName) this.foodName.textContent = meal ? meal.name : 'No items';
+        if (this.calories) this.calories.textContent = meal ? meal.calories : 0;
+        if (this.protein) this.protein.textContent = meal ? meal.protein : '0g';
+        if (this.carbs) this.carbs.textContent = meal ? meal.carbs : '0g';
+        if (this.fats) this.fats.textContent = meal ? meal.fats : '0g';
+        if (this.nutritionSource) this.nutritionSource.textContent = this.describeSource(meal?.source);
+
+        if (this.mealDetails) {
+            const details = meal?.details || {};
+            const parts = [
+                details.fiber !== undefined ? `Fiber ${details.fiber} g` : null,
+                details.sugar !== undefined ? `Sugar ${details.sugar} g` : null,
+                details.sodium !== undefined ? `Sodium ${Math.round(details.sodium)} mg` : null
+            ].filter(Boolean);
+            this.mealDetails.textContent = parts.join(' · ');
+            this.mealDetails.classList.toggle('hidden', parts.length === 0);
+        }
+
+        if (this.productIngredients) {
+            const withIngredients = items.filter(item => item.ingredients);
+            this.productIngredients.textContent = withIngredients.length === 1
+                ? `Ingredients: ${withIngredients[0].ingredients}`
+                : withIngredients.map(item => `${item.name}: ${item.ingredients}`).join('\n');
+            this.productIngredients.classList.toggle('hidden', withIngredients.length === 0);
+        }
+    }
+
+    /**
+     * Where the shown values came from, e.g. "Values: offline food database"
+     */
+    describeSource(source) {
+        if (!source) return '';
+
+        const labels = {
+            [SOURCES.AI]: 'AI estimate',
+            [SOURCES.FOOD_DB]: `offline food database (${this.foodDatabase.getSourceLabel()})`,
+            [SOURCES.PRODUCT]: 'product label (barcode)',
+            [SOURCES.MANUAL]: 'entered by you',
+            [SOURCES.MIXED]: 'mixed sources'
+        };
+        const kinds = [...new Set(Object.values(source))];
+        return `Values: ${kinds.length === 1 ? labels[kinds[0]] : 'mixed sources'}`;
+    }
+
+    confirmAnalysis() {
+        if (!this.state.currentAnalysis) {
+            alert('⚠️ Add at least one food item');
+            return;
+        }
+
+        // A queued meal may already have its mood
+        const mood = this.state.reviewingCapture?.mood;
+        if (mood) {
+            this.handleMoodSelection(mood.mood, mood.color);
+            return;
+        }
+        this.switchView('mood');
+    }
+
     // Voice Input
     handleVoiceInput() {
         if (!this.voiceService.isSupported()) {
@@ -443,16 +1906,16 @@ export default class App {
             this.switchView('analysis');
             this.resetAnalysisView();
 
-            const result = await this.analysisService.parseVoiceLog(text);
+            const { eatenAt, ...result } = await this.analysisService.parseVoiceLog(text, new Date(), { signal: this.beginRequest() });
 
             // Show results first (without image)
             this.showAnalysisResults(result, null);
+            if (eatenAt) this.setMealTime(eatenAt);
 
             // Generate AI image with loading indicator
             const encodedFood = encodeURIComponent(result.name + ' food photorealistic');
             const imageUrl = `https://image.pollinations.ai/prompt/${encodedFood}?width=800&height=800&nologo=true`;
 
-            this.state.currentAnalysis = result;
             this.state.currentImage = imageUrl;
 
             // Show "Generating image..." text
@@ -493,14 +1956,18 @@ export default class App {
             }
         } catch (error) {
             console.error('Voice analysis failed:', error);
-            alert(`❌ Voice Analysis Failed: ${error.message}`);
-            this.switchView('home');
+            if (error.message === 'API_KEY_MISSING') {
+                alert(`❌ Voice Analysis Failed: ${error.message}`);
+                this.switchView('home');
+            } else if (!isAbortError(error)) {
+                this.queueCapture({ kind: 'text', text }, error);
+            }
         }
     }
 
     // Type Input
     handleTypeInput() {
-        const text = prompt('What did you eat and how do you feel?\\n\\nExample: "I had a salad and feel great"');
+        const text = prompt('What did you eat, when, and how do you feel?\\n\\nExample: "I had a salad yesterday at lunch and feel great"');
         if (text && text.trim().length > 0) {
             this.processVoiceText(text);
         }
@@ -510,57 +1977,777 @@ export default class App {
     async handleMoodSelection(mood, color) {
         this.state.currentMood = { mood, color };
 
+        // The meal is waiting in the queue; keep the mood with it
+        if (this.state.pendingCaptureId) {
+            await this.captureQueue.update(this.state.pendingCaptureId, { mood: this.state.currentMood });
+            this.state.pendingCaptureId = null;
+            if (this.moodPendingNote) this.moodPendingNote.classList.add('hidden');
+            this.switchView('home');
+            return;
+        }
+
         if (!this.state.currentAnalysis) {
             alert('❌ Error: No food data found');
             return;
         }
 
+        const timestamp = fromDateTimeLocalValue(this.mealTimeInput?.value);
+        if (timestamp && new Date(timestamp) > new Date()) {
+            alert('⚠️ Meal time cannot be in the future');
+            this.switchView('analysis');
+            return;
+        }
+
         const logEntry = {
             food: this.state.currentAnalysis,
             mood: this.state.currentMood,
             image: null
         };
 
-        await this.storageService.addLog(logEntry);
+        if (this.state.currentPortion) logEntry.portion = this.state.currentPortion;
+
+        if (timestamp) logEntry.timestamp = timestamp;
+
+        // Keep the photo (scan flow only - voice logs use a generated preview URL)
+        let photo = null;
+        if (this.state.currentImage instanceof Blob) {
+            try {
+                photo = {
+                    blob: await resizeImage(this.state.currentImage, 800),
+                    thumbnail: await resizeImage(this.state.currentImage, 160, 0.7)
+                };
+            } catch (error) {
+                console.warn('Could not process photo:', error);
+            }
+        }
+
+        await this.storageService.addLog(logEntry, { photo });
+        this.state.currentImage = null;
+        if (this.state.reviewingCapture) {
+            await this.captureQueue.remove(this.state.reviewingCapture.id);
+            this.state.reviewingCapture = null;
+        }
         this.renderHistory();
         this.updateStreak();
+        this.checkStoragePressure();
         this.switchView('history');
     }
 
     // History
-    renderHistory() {
+    async renderHistory() {
         if (!this.historyList) return;
 
         this.historyList.innerHTML = '';
-        const logs = this.storageService.getLogs();
+        this.state.historyCursor = null;
+        this.state.historyDone = false;
+        this.state.historyLoading = false;
+        this.state.historyGeneration++;
 
-        if (logs.length === 0) {
+        await this.loadMoreHistory();
+
+        if (!this.historyList.querySelector('.history-item')) {
             this.historyList.innerHTML = '<div class=\"empty-state\">No logs yet. Start scanning!</div>';
+        }
+    }
+
+    /**
+     * Append the next page of history. Stale pages from a previous
+     * render (e.g. after an edit) are discarded via the generation counter.
+     */
+    async loadMoreHistory() {
+        if (!this.historyList || this.state.historyLoading || this.state.historyDone) return;
+
+        const generation = this.state.historyGeneration;
+        this.state.historyLoading = true;
+
+        let page;
+        try {
+            page = await this.storageService.queryLogs({
+                limit: HISTORY_PAGE_SIZE,
+                cursor: this.state.historyCursor
+            });
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            page = { logs: [], nextCursor: null };
+        }
+
+        if (generation !== this.state.historyGeneration) return;
+
+        this.state.historyLoading = false;
+        this.state.historyCursor = page.nextCursor;
+        this.state.historyDone = !page.nextCursor;
+
+        page.logs.forEach(log => this.historyList.appendChild(this.createHistoryItem(log)));
+
+        if (this.state.historyDone) {
+            this.historySentinel.remove();
+            if (this.historyObserver) this.historyObserver.unobserve(this.historySentinel);
+        } else {
+            this.historyList.appendChild(this.historySentinel);
+            if (this.historyObserver) {
+                // Re-observe so a sentinel that is still visible triggers the next page
+                this.historyObserver.unobserve(this.historySentinel);
+                this.historyObserver.observe(this.historySentinel);
+            }
+        }
+    }
+
+    createHistoryItem(log, { editable = true } = {}) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const date = new Date(log.timestamp);
+        const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const dateStr = date.toLocaleDateString();
+
+        item.innerHTML = `
+            <div class=\"history-info\">
+                <h4><span class=\"history-name\"></span>${log.editedAt ? ' <span class=\"tiny-text\">(edited)</span>' : ''}</h4>
+                <p class=\"history-meta\"></p>
+            </div>
+            <div class=\"history-mood\">
+                ${this.getMoodEmoji(log.mood?.mood)}
+            </div>
+            ${editable ? '<button class=\"history-edit-btn\" aria-label=\"Edit entry\">✏️</button>' : ''}
+        `;
+
+        // Names, amounts and colors come from the model or imported/synced data:
+        // set as text and style properties, never as markup
+        item.querySelector('.history-name').textContent = log.food?.name || 'Unknown';
+        item.querySelector('.history-meta').textContent = `${log.food?.calories || 0} cal | ${timeStr}, ${dateStr}`;
+        item.querySelector('.history-mood').style.backgroundColor = log.mood?.color || '#ccc';
+        if (log.food?.items?.length > 1) {
+            const itemsLine = document.createElement('p');
+            itemsLine.className = 'tiny-text';
+            itemsLine.textContent = log.food.items.map(food => food.name).join(' · ');
+            item.querySelector('.history-info').appendChild(itemsLine);
+        }
+
+        if (editable) {
+            item.querySelector('.history-edit-btn').addEventListener('click', () => this.openEditLog(log.id));
+        }
+
+        if (log.hasPhoto) {
+            const img = document.createElement('img');
+            img.alt = log.food?.name || 'Meal photo';
+            item.prepend(img);
+
+            this.getThumbnailURL(log.id).then(url => {
+                if (url) img.src = url;
+                else img.remove();
+            });
+        }
+
+        return item;
+    }
+
+    async getThumbnailURL(logId) {
+        if (this.thumbnailUrls.has(logId)) return this.thumbnailUrls.get(logId);
+
+        try {
+            const record = await this.storageService.getPhoto(logId);
+            if (!record) return null;
+
+            const url = URL.createObjectURL(record.thumbnail || record.blob);
+            this.thumbnailUrls.set(logId, url);
+            return url;
+        } catch (error) {
+            console.warn('Failed to load thumbnail:', error);
+            return null;
+        }
+    }
+
+    // Edit Entry
+    openEditLog(id) {
+        const log = this.storageService.getLog(id);
+        if (!log) return;
+
+        this.state.editingLogId = id;
+
+        if (this.editFoodName) this.editFoodName.value = log.food?.name || '';
+        if (this.editCalories) this.editCalories.value = parseInt(log.food?.calories) || 0;
+        if (this.editProtein) this.editProtein.value = parseInt(log.food?.protein) || 0;
+        if (this.editCarbs) this.editCarbs.value = parseInt(log.food?.carbs) || 0;
+        if (this.editFats) this.editFats.value = parseInt(log.food?.fats) || 0;
+        if (this.editTimestamp) this.editTimestamp.value = toDateTimeLocalValue(log.timestamp);
+
+        if (this.editMoodSelect) {
+            this.editMoodSelect.innerHTML = '';
+            this.moodBtns.forEach(btn => {
+                const option = document.createElement('option');
+                option.value = btn.dataset.mood;
+                option.textContent = `${this.getMoodEmoji(btn.dataset.mood)} ${btn.dataset.mood}`;
+                this.editMoodSelect.appendChild(option);
+            });
+            this.editMoodSelect.value = log.mood?.mood || '';
+        }
+
+        if (this.editOriginal) {
+            const original = log.original?.food;
+            if (original) {
+                this.editOriginal.textContent = `Originally logged: ${original.name} · ${original.calories} kcal · P ${original.protein} · C ${original.carbs} · F ${original.fats}`;
+                this.editOriginal.classList.remove('hidden');
+            } else {
+                this.editOriginal.classList.add('hidden');
+            }
+        }
+
+        this.switchView('edit');
+    }
+
+    async saveEditLog() {
+        const id = this.state.editingLogId;
+        if (id === null) return;
+
+        const name = this.editFoodName.value.trim();
+        if (!name) {
+            alert('Please enter a food name');
+            return;
+        }
+
+        const moodName = this.editMoodSelect.value;
+        const moodBtn = Array.from(this.moodBtns).find(btn => btn.dataset.mood === moodName);
+
+        // Decimals are rounded the way imported entries are, not truncated
+        const amount = value => Math.round(parseFloat(value)) || 0;
+        const patch = {
+            food: {
+                name,
+                calories: amount(this.editCalories.value),
+                protein: `${amount(this.editProtein.value)}g`,
+                carbs: `${amount(this.editCarbs.value)}g`,
+                fats: `${amount(this.editFats.value)}g`
+            }
+        };
+
+        // Values the user changed are no longer the AI's or the database's
+        const log = this.storageService.getLog(id);
+        const current = log?.food || {};
+        const changed = ['calories', 'protein', 'carbs', 'fats']
+            .filter(key => amount(current[key]) !== amount(patch.food[key]));
+        if (changed.length > 0) {
+            patch.food.source = { ...current.source };
+            changed.forEach(key => { patch.food.source[key] = SOURCES.MANUAL; });
+        }
+
+        if (moodBtn) {
+            patch.mood = { mood: moodName, color: moodBtn.dataset.color };
+        }
+
+        const timestamp = editedTimestamp(this.editTimestamp.value, log?.timestamp);
+        if (timestamp && timestamp !== log?.timestamp) patch.timestamp = timestamp;
+
+        try {
+            await this.storageService.updateLog(id, patch);
+        } catch (error) {
+            console.error('Failed to update log:', error);
+            alert(`❌ Update Failed: ${error.message}`);
             return;
         }
 
-        logs.forEach(log => {
-            const item = document.createElement('div');
-            item.className = 'history-item';
+        this.state.editingLogId = null;
+        this.renderHistory();
+        this.updateStreak();
+        this.switchView('history');
+    }
+
+    async deleteEditLog() {
+        const id = this.state.editingLogId;
+        if (id === null) return;
+
+        const batchId = await this.storageService.deleteLog(id);
+        this.state.editingLogId = null;
+        this.renderHistory();
+        this.updateStreak();
+        this.switchView('history');
+
+        if (batchId) {
+            this.showUndoToast('Entry moved to trash', () => this.storageService.restoreBatch(batchId));
+        }
+    }
+
+    async handleClearJournal() {
+        const count = this.storageService.getLogs().length;
+        if (count === 0) {
+            alert('Your journal is already empty');
+            return;
+        }
+
+        if (!confirm(`Move all ${count} entries to the trash?`)) return;
+
+        const batchId = await this.storageService.clearLogs();
+        this.closeSettings();
+        this.renderHistory();
+        this.updateStreak();
+
+        if (batchId) {
+            this.showUndoToast(`${count} entries moved to trash`, () => this.storageService.restoreBatch(batchId));
+        }
+    }
+
+    async handleClearAiCache() {
+        try {
+            await this.responseCache.clear();
+            alert('✅ Cached AI answers cleared. The next photo or request is sent to the AI again.');
+        } catch (error) {
+            alert(`❌ Could not clear the cache: ${error.message}`);
+        }
+    }
+
+    // AI Usage
+    async renderUsage() {
+        if (!this.usageSummary) return;
+
+        let summary;
+        let status;
+        try {
+            [summary, status] = await Promise.all([
+                this.usageService.getMonthSummary(),
+                this.usageService.getBudgetStatus()
+            ]);
+        } catch (error) {
+            console.error('Failed to load AI usage:', error);
+            this.usageSummary.textContent = 'Usage is not available';
+            return;
+        }
+
+        const budget = status.limit ? ` of ${formatCost(status.limit)} budget` : '';
+        this.usageSummary.textContent = summary.calls
+            ? `${summary.calls} calls · ${formatTokens(summary.inputTokens)} tokens in, ${formatTokens(summary.outputTokens)} out · ${formatCost(summary.cost)}${budget}`
+            : `No AI calls yet this month${budget ? ` (${formatCost(status.limit)} budget)` : ''}`;
+        if (summary.unpriced) this.usageSummary.textContent += ` · ${summary.unpriced} calls to models without a known price`;
+
+        if (this.usageMeter) {
+            this.usageMeter.classList.toggle('hidden', !status.limit);
+            this.usageMeterFill.style.width = `${Math.min(100, status.limit ? status.spent / status.limit * 100 : 0)}%`;
+            this.usageMeterFill.classList.toggle('warning', status.level === BUDGET_LEVELS.WARNING);
+            this.usageMeterFill.classList.toggle('over', status.level === BUDGET_LEVELS.OVER);
+        }
+
+        if (!this.usageBreakdown) return;
+        this.usageBreakdown.innerHTML = '';
+
+        const addRow = (label, group) => {
+            const row = document.createElement('div');
+            row.className = 'usage-row';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const value = document.createElement('span');
+            value.textContent = `${group.calls} · ${formatTokens(group.inputTokens + group.outputTokens)} tokens · ${group.unpriced === group.calls ? '–' : formatCost(group.cost)}`;
+            row.append(name, value);
+            this.usageBreakdown.appendChild(row);
+        };
+
+        summary.byModel.forEach(group => addRow(`${group.provider} · ${group.model || 'unknown model'}`, group));
+        summary.byFeature.forEach(group => addRow(FEATURE_LABELS[group.id] || group.id, group));
+    }
+
+    /**
+     * A call moved this month's spending into the warning range or over budget
+     */
+    handleBudgetChange({ limit, spent, level, block }) {
+        if (level === BUDGET_LEVELS.WARNING) {
+            alert(`⚠️ AI usage has reached ${formatCost(spent)} of this month's ${formatCost(limit)} budget.`);
+        } else if (level === BUDGET_LEVELS.OVER) {
+            alert(`⚠️ This month's AI budget of ${formatCost(limit)} is used up (${formatCost(spent)}).${block
+                ? '\n\nMeal plans, shopping lists, recipes and chat are paused until next month. Meal photos, labels and spoken logs still work.'
+                : ''}`);
+        }
+    }
+
+    async handleClearUsage() {
+        if (!confirm('Reset the AI usage history of this profile? This month\'s spending starts again from zero.')) return;
+
+        try {
+            await this.usageService.clear();
+        } catch (error) {
+            alert(`❌ Could not reset usage: ${error.message}`);
+        }
+        this.renderUsage();
+    }
+
+    // Storage Pressure
+    async checkStoragePressure() {
+        const { level, usage, saveFailed } = await this.storagePressure.check();
+        const percent = usage ? Math.round(usage.percentage) : null;
+
+        if (this.storageUsage) {
+            this.storageUsage.textContent = usage
+                ? `Using ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} (${percent}%)`
+                : '';
+        }
+
+        if (!this.storageBanner) return;
+
+        this.state.storageLevel = level;
+        if (level === 'ok' || this.storagePressure.isDismissed(level)) {
+            this.storageBanner.classList.add('hidden');
+            return;
+        }
+
+        let message;
+        if (saveFailed) {
+            message = '⚠️ Storage is full, so your latest changes are not saved yet. Archive old entries to free space - nothing has been deleted.';
+        } else if (level === 'critical') {
+            message = `⚠️ Storage is almost full (${percent}% of ${formatBytes(usage.quota)}). Archive old entries to keep logging.`;
+        } else {
+            message = `Storage is ${percent}% full. Consider archiving older entries.`;
+        }
+
+        this.storageBannerMessage.textContent = message;
+        this.storageBanner.classList.toggle('critical', level === 'critical');
+        this.storageEmptyTrashBtn.classList.toggle('hidden', this.storageService.getTrash().length === 0);
+        this.storageDismissBtn.classList.toggle('hidden', level === 'critical');
+        this.storageBanner.classList.remove('hidden');
+    }
+
+    dismissStorageBanner() {
+        this.storagePressure.dismiss(this.state.storageLevel);
+        if (this.storageBanner) this.storageBanner.classList.add('hidden');
+    }
+
+    /**
+     * Download old entries to a file, then remove them only if the user agrees
+     */
+    async handleArchive() {
+        const input = prompt('Archive entries older than how many days?\n\nThey are downloaded to a file first. You decide afterwards whether to remove them from this device.', DEFAULT_ARCHIVE_DAYS);
+        if (input === null) return;
+
+        const days = parseInt(input, 10);
+        if (isNaN(days) || days < 0) {
+            alert('⚠️ Please enter a number of days');
+            return;
+        }
+
+        const logs = this.storagePressure.getArchiveCandidates(days);
+        if (logs.length === 0) {
+            alert(`No entries older than ${days} days`);
+            return;
+        }
+
+        try {
+            const data = await this.storageService.exportArchive(logs, { profile: this.profileService.getActiveProfile() });
+            this.downloadFile(data, this.exportFileName(`-archive-${days}d.json`), 'application/json');
+        } catch (error) {
+            console.error('Archive failed:', error);
+            alert(`❌ Archive Failed: ${error.message}`);
+            return;
+        }
+
+        if (!confirm(`Downloaded an archive of ${logs.length} entries.\n\nMake sure the file was saved, then press OK to remove these entries from this device. You can import the archive again at any time.\n\nPress Cancel to keep them.`)) {
+            return;
+        }
+
+        const removed = await this.storageService.removeArchivedLogs(logs.map(log => log.id));
+        logs.forEach(log => this.forgetThumbnail(log.id));
+
+        this.renderHistory();
+        this.updateStreak();
+        await this.checkStoragePressure();
+        alert(`✅ Removed ${removed} archived entries from this device`);
+    }
+
+    // Trash
+    openTrash() {
+        this.renderTrash();
+        this.switchView('trash');
+    }
+
+    renderTrash() {
+        if (!this.trashList) return;
 
-            const date = new Date(log.timestamp);
-            const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            const dateStr = date.toLocaleDateString();
+        const trash = this.storageService.getTrash();
+        const days = this.storageService.getTrashRetentionDays();
 
-            item.innerHTML = `
-                <div class=\"history-info\">
-                    <h4>${log.food?.name || 'Unknown'}</h4>
-                    <p>${log.food?.calories || 0} cal | ${timeStr}, ${dateStr}</p>
-                </div>
-                <div class=\"history-mood\" style=\"background-color: ${log.mood?.color || '#ccc'}\">
-                    ${this.getMoodEmoji(log.mood?.mood)}
-                </div>
+        if (this.trashNote) this.trashNote.textContent = `Deleted entries are removed for good after ${days} days.`;
+        if (this.emptyTrashBtn) this.emptyTrashBtn.disabled = trash.length === 0;
+
+        this.trashList.innerHTML = '';
+        if (trash.length === 0) {
+            this.trashList.innerHTML = '<div class="empty-state">Trash is empty.</div>';
+            return;
+        }
+
+        trash.forEach(log => {
+            const item = this.createHistoryItem(log, { editable: false });
+            const deletedStr = new Date(log.deletedAt).toLocaleDateString();
+
+            const actions = document.createElement('div');
+            actions.className = 'trash-actions';
+            actions.innerHTML = `
+                <span class="tiny-text">Deleted ${deletedStr}</span>
+                <button class="secondary-btn small-btn trash-restore-btn">Restore</button>
+                <button class="secondary-btn small-btn trash-delete-btn">Delete forever</button>
             `;
+            actions.querySelector('.trash-restore-btn').addEventListener('click', () => this.restoreTrashItem(log.id));
+            actions.querySelector('.trash-delete-btn').addEventListener('click', () => this.deleteTrashItem(log.id));
 
-            this.historyList.appendChild(item);
+            item.appendChild(actions);
+            this.trashList.appendChild(item);
         });
     }
 
+    async restoreTrashItem(id) {
+        await this.storageService.restoreFromTrash([id]);
+        this.renderTrash();
+        this.renderHistory();
+        this.updateStreak();
+    }
+
+    async deleteTrashItem(id) {
+        if (!confirm('Delete this entry forever? This cannot be undone.')) return;
+
+        await this.storageService.deleteFromTrash([id]);
+        this.forgetThumbnail(id);
+        this.renderTrash();
+    }
+
+    async handleEmptyTrash() {
+        const trash = this.storageService.getTrash();
+        if (trash.length === 0) return;
+
+        if (!confirm(`Delete ${trash.length} entries forever? This cannot be undone.`)) return;
+
+        await this.storageService.emptyTrash();
+        trash.forEach(log => this.forgetThumbnail(log.id));
+        this.renderTrash();
+        this.checkStoragePressure();
+    }
+
+    forgetThumbnail(logId) {
+        const url = this.thumbnailUrls.get(logId);
+        if (url) {
+            URL.revokeObjectURL(url);
+            this.thumbnailUrls.delete(logId);
+        }
+    }
+
+    // Capture Queue
+    initCaptureQueue() {
+        this.captureQueue.onChange = (entries) => {
+            this.updatePendingBadge(entries);
+            if (this.views.pending && !this.views.pending.classList.contains('hidden')) this.renderPending(entries);
+        };
+
+        this.refreshCaptureQueue();
+    }
+
+    /**
+     * Show the active profile's queue and analyze what is waiting
+     */
+    async refreshCaptureQueue() {
+        this.updatePendingBadge(await this.captureQueue.list());
+        if (navigator.onLine) this.captureQueue.process();
+    }
+
+    updatePendingBadge(entries) {
+        if (!this.pendingBtn) return;
+
+        const ready = entries.filter(entry => entry.status === CAPTURE_STATUS.READY).length;
+        const label = `${entries.length} meals waiting${ready ? `, ${ready} ready to review` : ''}`;
+
+        this.pendingBtn.classList.toggle('hidden', entries.length === 0);
+        this.pendingBtn.classList.toggle('has-ready', ready > 0);
+        this.pendingBtn.title = label;
+        this.pendingBtn.setAttribute('aria-label', label);
+        if (this.pendingCount) this.pendingCount.textContent = entries.length;
+    }
+
+    /**
+     * Keep a meal whose analysis failed so it can be analyzed later. Offline
+     * it is kept right away, otherwise the user decides.
+     */
+    async queueCapture(capture, error) {
+        if (navigator.onLine && !confirm(`❌ Analysis Error: ${error.message}\n\nSave this meal and try again later?`)) {
+            this.switchView('home');
+            return;
+        }
+
+        try {
+            const entry = await this.captureQueue.add(capture);
+            this.state.currentImage = null;
+            this.state.pendingCaptureId = entry.id;
+        } catch (queueError) {
+            console.error('Could not queue meal:', queueError);
+            alert(`❌ ${queueError.message}`);
+            this.switchView('home');
+            return;
+        }
+
+        if (this.moodPendingNote) this.moodPendingNote.classList.remove('hidden');
+        this.switchView('mood');
+    }
+
+    async openPending() {
+        await this.renderPending();
+        this.switchView('pending');
+    }
+
+    async renderPending(entries = null) {
+        if (!this.pendingList) return;
+
+        entries = entries || await this.captureQueue.list();
+
+        this.pendingPhotoUrls.forEach(url => URL.revokeObjectURL(url));
+        this.pendingPhotoUrls = [];
+
+        if (this.processPendingBtn) {
+            this.processPendingBtn.disabled = !entries.some(entry => entry.status === CAPTURE_STATUS.PENDING);
+        }
+
+        this.pendingList.innerHTML = '';
+        if (entries.length === 0) {
+            this.pendingList.innerHTML = '<div class="empty-state">No meals waiting.</div>';
+            return;
+        }
+
+        entries.forEach(entry => this.pendingList.appendChild(this.createPendingItem(entry)));
+    }
+
+    createPendingItem(entry) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const date = new Date(entry.eatenAt || entry.capturedAt);
+        const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const dateStr = date.toLocaleDateString();
+        const status = {
+            [CAPTURE_STATUS.PENDING]: navigator.onLine ? 'Waiting to be analyzed' : 'Waiting for a connection',
+            [CAPTURE_STATUS.READY]: `${entry.result?.calories || 0} cal · ready to review`,
+            [CAPTURE_STATUS.FAILED]: `Could not analyze: ${entry.error}`
+        }[entry.status];
+
+        item.innerHTML = `
+            <div class=\"history-info\">
+                <h4></h4>
+                <p>${timeStr}, ${dateStr}</p>
+                <p class=\"tiny-text pending-status\"></p>
+            </div>
+            <div class=\"history-mood\" style=\"background-color: ${entry.mood?.color || '#ccc'}\">
+                ${this.getMoodEmoji(entry.mood?.mood)}
+            </div>
+        `;
+
+        // Transcripts and error messages are shown as text, not markup
+        item.querySelector('h4').textContent = entry.result?.name || (entry.kind === 'photo' ? 'Meal photo' : `"${entry.text}"`);
+        item.querySelector('.pending-status').textContent = status;
+
+        if (entry.photo) {
+            const img = document.createElement('img');
+            const url = URL.createObjectURL(entry.photo);
+            this.pendingPhotoUrls.push(url);
+            img.src = url;
+            img.alt = entry.result?.name || 'Meal photo';
+            item.prepend(img);
+        } else {
+            const icon = document.createElement('div');
+            icon.className = 'pending-icon';
+            icon.textContent = '🎙️';
+            item.prepend(icon);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'trash-actions';
+        actions.innerHTML = `
+            ${entry.status === CAPTURE_STATUS.READY ? '<button class="secondary-btn small-btn pending-review-btn">Review</button>' : ''}
+            ${entry.status === CAPTURE_STATUS.FAILED ? '<button class="secondary-btn small-btn pending-retry-btn">Retry</button>' : ''}
+            ${entry.status === CAPTURE_STATUS.FAILED ? '<button class="secondary-btn small-btn pending-review-btn">Enter by hand</button>' : ''}
+            <button class="secondary-btn small-btn pending-discard-btn">Discard</button>
+        `;
+        actions.querySelector('.pending-review-btn')?.addEventListener('click', () => this.reviewPendingCapture(entry.id));
+        actions.querySelector('.pending-retry-btn')?.addEventListener('click', () => this.retryPendingCapture(entry.id));
+        actions.querySelector('.pending-discard-btn').addEventListener('click', () => this.discardPendingCapture(entry.id));
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    async handleProcessPending() {
+        if (!navigator.onLine) {
+            alert('⚠️ You are offline. Queued meals are analyzed when you reconnect.');
+            return;
+        }
+        if (!this.analysisService.hasApiKey()) {
+            alert('⚠️ Please configure your API keys in Settings');
+            this.openSettings();
+            return;
+        }
+
+        this.processPendingBtn.disabled = true;
+        try {
+            await this.captureQueue.process();
+        } finally {
+            this.renderPending();
+        }
+    }
+
+    async retryPendingCapture(id) {
+        await this.captureQueue.retry(id);
+        this.renderPending();
+    }
+
+    async discardPendingCapture(id) {
+        if (!confirm('Discard this meal? It will not be logged.')) return;
+
+        await this.captureQueue.remove(id);
+    }
+
+    /**
+     * Open a queued meal in the analysis view. It is logged, and leaves the
+     * queue, once the user confirms it. Failed meals open without items so
+     * they can be entered by hand.
+     */
+    async reviewPendingCapture(id) {
+        const entry = await this.captureQueue.get(id);
+        if (!entry) return;
+
+        this.switchView('analysis');
+        this.resetAnalysisView();
+
+        const imageUrl = entry.photo ? await blobToDataURL(entry.photo) : null;
+        if (!imageUrl && this.previewImg) this.previewImg.style.display = 'none';
+
+        this.state.currentImage = entry.photo || null;
+        this.state.reviewingCapture = { id: entry.id, mood: entry.mood };
+        this.showAnalysisResults(entry.result || { name: entry.text || '', items: [] }, imageUrl);
+        this.setMealTime(new Date(entry.eatenAt || entry.capturedAt));
+    }
+
+    // Undo Toast
+    showUndoToast(message, onUndo) {
+        if (!this.toast) return;
+
+        clearTimeout(this.toastTimer);
+        this.pendingUndo = onUndo;
+        this.toastMessage.textContent = message;
+        this.toast.classList.remove('hidden');
+
+        this.toastTimer = setTimeout(() => this.hideToast(), UNDO_TIMEOUT_MS);
+    }
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.pendingUndo = null;
+        if (this.toast) this.toast.classList.add('hidden');
+    }
+
+    async handleUndo() {
+        const onUndo = this.pendingUndo;
+        this.hideToast();
+        if (!onUndo) return;
+
+        try {
+            await onUndo();
+        } catch (error) {
+            console.error('Undo failed:', error);
+            alert(`❌ Undo Failed: ${error.message}`);
+        }
+
+        this.renderHistory();
+        this.updateStreak();
+        if (this.views.trash && !this.views.trash.classList.contains('hidden')) this.renderTrash();
+    }
+
     // Report
     renderReport() {
         const summary = this.storageService.getWeeklySummary();
@@ -608,15 +2795,35 @@ export default class App {
                 container.innerHTML = '<li><span>None yet</span></li>';
                 return;
             }
+            // Food names come from logs (model output, imports, sync): text only
             list.slice(0, 5).forEach(item => {
                 const li = document.createElement('li');
-                li.innerHTML = `<span>${item.name}</span>`;
+                const name = document.createElement('span');
+                name.textContent = item.name;
+                li.appendChild(name);
                 container.appendChild(li);
             });
         };
 
         renderList(sensitivity.safe, this.reportGoodFoods);
         renderList(sensitivity.triggers, this.reportBadFoods);
+
+        this.renderReportMealList();
+    }
+
+    async renderReportMealList() {
+        if (!this.reportMealList) return;
+
+        const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const { logs } = await this.storageService.queryLogs({ from: oneWeekAgo, limit: 200 });
+
+        this.reportMealList.innerHTML = '';
+        if (logs.length === 0) {
+            this.reportMealList.innerHTML = '<div class=\"empty-state\">No meals this week.</div>';
+            return;
+        }
+
+        logs.forEach(log => this.reportMealList.appendChild(this.createHistoryItem(log, { editable: false })));
     }
 
     // Insights
@@ -632,10 +2839,12 @@ export default class App {
             }
             list.slice(0, 5).forEach(item => {
                 const li = document.createElement('li');
-                li.innerHTML = `
-                    <span>${item.name}</span>
-                    <span class=\"insight-count\">${item.count}x</span>
-                `;
+                const name = document.createElement('span');
+                const count = document.createElement('span');
+                name.textContent = item.name;
+                count.className = 'insight-count';
+                count.textContent = `${item.count}x`;
+                li.append(name, count);
                 container.appendChild(li);
             });
         };
@@ -664,9 +2873,10 @@ export default class App {
         if (this.planContainer) this.planContainer.classList.add('hidden');
 
         try {
-            const result = await this.analysisService.generateMealPlan(safeFoods, 7);
+            const result = await this.analysisService.generateMealPlan(safeFoods, 7, { signal: this.beginRequest() });
             this.renderPlan(result.plan);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Plan generation failed:', error);
             alert(`❌ Plan Generation Failed: ${error.message}`);
             this.switchView('insights');
@@ -691,7 +2901,7 @@ export default class App {
                 const mealDiv = document.createElement('div');
                 mealDiv.className = 'plan-meal';
                 mealDiv.innerHTML = `
-                    <strong>${meal.type}:</strong> ${meal.name} <span class=\"tiny-text\">(${meal.calories})</span>
+                    <strong>${meal.type}:</strong> ${meal.name} <span class=\"tiny-text\">(${meal.calories} kcal)</span>
                 `;
                 dayDiv.appendChild(mealDiv);
             });
@@ -709,9 +2919,10 @@ export default class App {
         if (this.groceryContainer) this.groceryContainer.classList.add('hidden');
 
         try {
-            const result = await this.analysisService.generateGroceryList(this.state.currentPlan);
+            const result = await this.analysisService.generateGroceryList(this.state.currentPlan, { signal: this.beginRequest() });
             this.renderGroceryList(result.shopping_list);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Grocery list failed:', error);
             alert(`❌ Grocery List Failed: ${error.message}`);
             this.switchView('plan');
@@ -807,7 +3018,7 @@ export default class App {
             if (this.recipeLoader) this.recipeLoader.style.display = 'flex';
             if (this.recipesList) this.recipesList.classList.add('hidden');
 
-            const result = await this.analysisService.analyzeFridge(file);
+            const result = await this.analysisService.analyzeFridge(file, { signal: this.beginRequest() });
             this.renderRecipes(result.recipes);
         } catch (error) {
             console.error('Fridge analysis failed:', error);
@@ -815,7 +3026,7 @@ export default class App {
                 alert('⚠️ Please configure your API keys in Settings');
                 this.openSettings();
                 this.switchView('home');
-            } else {
+            } else if (!isAbortError(error)) {
                 alert(`❌ Chef Error: ${error.message}`);
                 this.switchView('home');
             }
@@ -842,7 +3053,7 @@ export default class App {
             card.innerHTML = `
                 <h4>${recipe.name}</h4>
                 <p>${recipe.description}</p>
-                <div class=\"recipe-meta\">🔥 ${recipe.calories}</div>
+                <div class=\"recipe-meta\">🔥 ${recipe.calories} kcal per serving</div>
             `;
             if (this.recipesList) this.recipesList.appendChild(card);
         });
@@ -861,7 +3072,9 @@ export default class App {
             this.addChatMessage(reply, 'bot');
         } catch (error) {
             console.error('Chat error:', error);
-            this.addChatMessage('Sorry, I\'m having trouble thinking right now. Check your API key!', 'bot');
+            this.addChatMessage(error instanceof BudgetExceededError
+                ? error.message
+                : 'Sorry, I\'m having trouble thinking right now. Check your API key!', 'bot');
         }
     }
 
@@ -0,0 +1,35 @@
+/**
+ * AI Model Prices
+ * US dollars per million tokens, from the providers' published price lists
+ * (standard tier, prompts under 200k tokens). A model matches the longest
+ * prefix listed, so dated versions such as claude-sonnet-4-20250514 are
+ * covered. Models not listed, e.g. on a local server, have no price.
+ *
+ * Row: [model prefix, input $ per 1M tokens, output $ per 1M tokens]
+ */
+
+export const MODEL_PRICES = [
+    // Anthropic
+    ['claude-opus-4', 15, 75],
+    ['claude-sonnet-4', 3, 15],
+    ['claude-3-7-sonnet', 3, 15],
+    ['claude-3-5-sonnet', 3, 15],
+    ['claude-3-5-haiku', 0.8, 4],
+    ['claude-3-haiku', 0.25, 1.25],
+
+    // Google
+    ['gemini-2.5-pro', 1.25, 10],
+    ['gemini-2.5-flash', 0.3, 2.5],
+    ['gemini-2.0-flash-lite', 0.075, 0.3],
+    ['gemini-2.0-flash', 0.1, 0.4],
+    ['gemini-1.5-pro', 1.25, 5],
+    ['gemini-1.5-flash-8b', 0.0375, 0.15],
+    ['gemini-1.5-flash', 0.075, 0.3],
+
+    // OpenAI
+    ['gpt-4.1-nano', 0.1, 0.4],
+    ['gpt-4.1-mini', 0.4, 1.6],
+    ['gpt-4.1', 2, 8],
+    ['gpt-4o-mini', 0.15, 0.6],
+    ['gpt-4o', 2.5, 10]
+];
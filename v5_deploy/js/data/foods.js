@@ -0,0 +1,113 @@
+/**
+ * Bundled Food Composition Table
+ * A compact subset of common foods, values per 100 g rounded from USDA
+ * FoodData Central (SR Legacy). Cooked values are used where a food is
+ * usually eaten cooked.
+ *
+ * Row: [id, name, kcal, protein g, carbs g, fat g, serving g, serving label, aliases?]
+ *
+ * Bump FOODS_VERSION whenever rows change so stored copies are replaced.
+ */
+
+export const FOODS_VERSION = 1;
+export const FOODS_SOURCE = 'USDA FoodData Central (SR Legacy)';
+
+export const FOODS = [
+    // Fruit
+    ['banana', 'Banana', 89, 1.1, 22.8, 0.3, 118, '1 medium'],
+    ['apple', 'Apple', 52, 0.3, 13.8, 0.2, 182, '1 medium'],
+    ['orange', 'Orange', 47, 0.9, 11.8, 0.1, 131, '1 medium'],
+    ['pear', 'Pear', 57, 0.4, 15.2, 0.1, 178, '1 medium'],
+    ['strawberries', 'Strawberries', 32, 0.7, 7.7, 0.3, 152, '1 cup'],
+    ['blueberries', 'Blueberries', 57, 0.7, 14.5, 0.3, 148, '1 cup'],
+    ['grapes', 'Grapes', 69, 0.7, 18.1, 0.2, 151, '1 cup'],
+    ['mango', 'Mango', 60, 0.8, 15, 0.4, 165, '1 cup'],
+    ['pineapple', 'Pineapple', 50, 0.5, 13.1, 0.1, 165, '1 cup'],
+    ['watermelon', 'Watermelon', 30, 0.6, 7.6, 0.2, 152, '1 cup'],
+    ['avocado', 'Avocado', 160, 2, 8.5, 14.7, 150, '1 fruit'],
+
+    // Vegetables
+    ['broccoli', 'Broccoli', 34, 2.8, 6.6, 0.4, 91, '1 cup chopped'],
+    ['carrot', 'Carrot', 41, 0.9, 9.6, 0.2, 61, '1 medium'],
+    ['spinach', 'Spinach', 23, 2.9, 3.6, 0.4, 30, '1 cup'],
+    ['tomato', 'Tomato', 18, 0.9, 3.9, 0.2, 123, '1 medium'],
+    ['cucumber', 'Cucumber', 15, 0.7, 3.6, 0.1, 104, '1 cup sliced'],
+    ['lettuce', 'Lettuce', 15, 1.4, 2.9, 0.2, 36, '1 cup shredded', ['salad greens', 'green salad']],
+    ['onion', 'Onion', 40, 1.1, 9.3, 0.1, 110, '1 medium'],
+    ['bell-pepper', 'Bell pepper', 31, 1, 6, 0.3, 119, '1 medium', ['pepper', 'capsicum']],
+    ['mushrooms', 'Mushrooms', 22, 3.1, 3.3, 0.3, 70, '1 cup'],
+    ['sweet-corn', 'Sweet corn, cooked', 96, 3.4, 21, 1.5, 145, '1 cup', ['corn']],
+    ['green-beans', 'Green beans, cooked', 35, 1.9, 7.9, 0.3, 125, '1 cup'],
+    ['peas', 'Green peas, cooked', 84, 5.4, 15.6, 0.2, 160, '1 cup', ['peas']],
+    ['potato', 'Potato, baked', 93, 2.5, 21.2, 0.1, 173, '1 medium', ['potatoes']],
+    ['sweet-potato', 'Sweet potato, baked', 90, 2, 20.7, 0.2, 114, '1 medium'],
+    ['french-fries', 'French fries', 312, 3.4, 41, 15, 117, '1 medium serving', ['fries', 'chips']],
+
+    // Grains
+    ['white-rice', 'White rice, cooked', 130, 2.7, 28.2, 0.3, 158, '1 cup', ['rice']],
+    ['brown-rice', 'Brown rice, cooked', 123, 2.7, 25.6, 1, 195, '1 cup'],
+    ['pasta', 'Pasta, cooked', 158, 5.8, 30.9, 0.9, 140, '1 cup', ['spaghetti', 'penne', 'macaroni', 'noodles']],
+    ['white-bread', 'White bread', 265, 9, 49, 3.2, 25, '1 slice', ['bread', 'toast']],
+    ['whole-wheat-bread', 'Whole wheat bread', 252, 12.4, 42.7, 3.5, 32, '1 slice', ['wholemeal bread', 'brown bread']],
+    ['bagel', 'Bagel', 250, 10, 48.9, 1.5, 105, '1 bagel'],
+    ['croissant', 'Croissant', 406, 8.2, 45.8, 21, 57, '1 croissant'],
+    ['tortilla', 'Flour tortilla', 304, 8, 50, 8, 45, '1 tortilla', ['wrap']],
+    ['oatmeal', 'Oatmeal, cooked', 71, 2.5, 12, 1.5, 234, '1 cup', ['porridge', 'oats']],
+    ['granola', 'Granola', 471, 10, 64, 20, 60, '1/2 cup'],
+    ['corn-flakes', 'Corn flakes', 357, 7.5, 84, 0.4, 28, '1 cup', ['cereal']],
+    ['quinoa', 'Quinoa, cooked', 120, 4.4, 21.3, 1.9, 185, '1 cup'],
+    ['pancakes', 'Pancakes', 227, 6.4, 28.3, 9.7, 38, '1 pancake', ['pancake']],
+
+    // Meat, fish, eggs, legumes
+    ['chicken-breast', 'Chicken breast, cooked', 165, 31, 0, 3.6, 120, '1 fillet', ['chicken', 'grilled chicken']],
+    ['chicken-thigh', 'Chicken thigh, cooked', 209, 26, 0, 10.9, 100, '1 thigh'],
+    ['beef-steak', 'Beef steak, cooked', 250, 26, 0, 15, 150, '1 steak', ['steak']],
+    ['ground-beef', 'Ground beef, cooked', 250, 25.9, 0, 15.4, 100, '1 patty', ['beef', 'mince', 'minced beef']],
+    ['pork-chop', 'Pork chop, cooked', 231, 25.5, 0, 13.5, 150, '1 chop', ['pork']],
+    ['bacon', 'Bacon, cooked', 541, 37, 1.4, 42, 8, '1 slice'],
+    ['ham', 'Ham, sliced', 145, 21, 1.5, 6, 28, '1 slice'],
+    ['salmon', 'Salmon, cooked', 206, 22, 0, 12.4, 150, '1 fillet'],
+    ['tuna', 'Tuna, canned in water', 116, 25.5, 0, 0.8, 142, '1 can'],
+    ['shrimp', 'Shrimp, cooked', 99, 24, 0.2, 0.3, 85, '3 oz', ['prawns']],
+    ['egg', 'Egg, boiled', 155, 12.6, 1.1, 10.6, 50, '1 large', ['eggs', 'boiled egg', 'scrambled eggs']],
+    ['tofu', 'Tofu', 76, 8, 1.9, 4.8, 126, '1/2 cup'],
+    ['lentils', 'Lentils, cooked', 116, 9, 20, 0.4, 198, '1 cup'],
+    ['chickpeas', 'Chickpeas, cooked', 164, 8.9, 27.4, 2.6, 164, '1 cup', ['garbanzo beans']],
+    ['black-beans', 'Black beans, cooked', 132, 8.9, 23.7, 0.5, 172, '1 cup', ['beans']],
+    ['hummus', 'Hummus', 166, 7.9, 14.3, 9.6, 30, '2 tbsp'],
+
+    // Dairy
+    ['milk', 'Milk, whole', 61, 3.2, 4.8, 3.3, 244, '1 cup'],
+    ['skim-milk', 'Milk, skim', 34, 3.4, 5, 0.1, 245, '1 cup'],
+    ['yogurt', 'Yogurt, plain', 61, 3.5, 4.7, 3.3, 245, '1 cup', ['yoghurt']],
+    ['greek-yogurt', 'Greek yogurt, nonfat', 59, 10.2, 3.6, 0.4, 170, '1 container'],
+    ['cheddar', 'Cheddar cheese', 403, 24.9, 1.3, 33.1, 28, '1 slice', ['cheese']],
+    ['mozzarella', 'Mozzarella', 300, 22.2, 2.2, 22.4, 28, '1 oz'],
+    ['cottage-cheese', 'Cottage cheese', 98, 11.1, 3.4, 4.3, 113, '1/2 cup'],
+    ['butter', 'Butter', 717, 0.9, 0.1, 81.1, 14, '1 tbsp'],
+    ['ice-cream', 'Ice cream, vanilla', 207, 3.5, 23.6, 11, 66, '1/2 cup'],
+
+    // Nuts and fats
+    ['almonds', 'Almonds', 579, 21.2, 21.6, 49.9, 28, '1 oz'],
+    ['walnuts', 'Walnuts', 654, 15.2, 13.7, 65.2, 28, '1 oz'],
+    ['peanut-butter', 'Peanut butter', 588, 25, 20, 50, 32, '2 tbsp'],
+    ['olive-oil', 'Olive oil', 884, 0, 0, 100, 14, '1 tbsp'],
+
+    // Prepared foods and snacks
+    ['pizza', 'Cheese pizza', 266, 11.4, 33.3, 9.7, 107, '1 slice'],
+    ['hamburger', 'Hamburger', 250, 12.3, 30.6, 9, 100, '1 burger', ['burger']],
+    ['chicken-noodle-soup', 'Chicken noodle soup', 26, 1.5, 3.3, 0.8, 241, '1 cup', ['soup']],
+    ['potato-chips', 'Potato chips', 536, 7, 53, 34.6, 28, '1 oz', ['crisps']],
+    ['popcorn', 'Popcorn, air-popped', 387, 12.9, 77.8, 4.5, 8, '1 cup'],
+    ['cookie', 'Chocolate chip cookie', 488, 5.4, 64, 24, 16, '1 cookie', ['cookies', 'biscuit']],
+    ['dark-chocolate', 'Dark chocolate', 598, 7.8, 45.9, 42.6, 28, '1 oz'],
+    ['milk-chocolate', 'Milk chocolate', 535, 7.7, 59.4, 29.7, 44, '1 bar', ['chocolate']],
+
+    // Drinks
+    ['orange-juice', 'Orange juice', 45, 0.7, 10.4, 0.2, 248, '1 cup'],
+    ['coffee', 'Coffee, black', 2, 0.3, 0, 0, 237, '1 cup'],
+    ['tea', 'Tea', 1, 0, 0.3, 0, 237, '1 cup'],
+    ['cola', 'Cola', 42, 0, 10.6, 0, 355, '1 can', ['soda', 'coke']],
+    ['beer', 'Beer', 43, 0.5, 3.6, 0, 355, '1 can'],
+    ['wine', 'Red wine', 85, 0.1, 2.6, 0, 147, '1 glass']
+];
@@ -0,0 +1,133 @@
+/**
+ * AI Response Schemas
+ * JSON schemas for the replies analysis.js asks the model for, one per kind
+ * of request. Replies are coerced toward these (numbers given as "300kcal"
+ * or "12g" become numbers) and validated before the app uses them; see
+ * ai-response.js.
+ */
+
+// Calories in kcal, macros in grams
+const amount = { type: 'number', minimum: 0 };
+const optionalAmount = { type: ['number', 'null'], minimum: 0 };
+const optionalText = { type: ['string', 'null'] };
+
+const foodItem = {
+    type: 'object',
+    required: ['name', 'calories'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        portion: { type: 'string' },
+        calories: amount,
+        protein: amount,
+        carbs: amount,
+        fats: amount
+    }
+};
+
+export const AI_RESPONSE_SCHEMAS = {
+    image: {
+        title: 'Meal photo analysis',
+        type: 'object',
+        required: ['items'],
+        properties: {
+            name: { type: 'string' },
+            items: { type: 'array', items: foodItem }
+        }
+    },
+
+    label: {
+        title: 'Nutrition label',
+        type: 'object',
+        properties: {
+            name: optionalText,
+            brand: optionalText,
+            servingSize: optionalText,
+            servingGrams: optionalAmount,
+            servingsPerContainer: optionalAmount,
+            basis: optionalText,
+            calories: optionalAmount,
+            protein: optionalAmount,
+            carbs: optionalAmount,
+            fat: optionalAmount,
+            fiber: optionalAmount,
+            sugar: optionalAmount,
+            sodium: optionalAmount,
+            salt: optionalAmount,
+            ingredients: optionalText
+        }
+    },
+
+    voice: {
+        title: 'Spoken food log',
+        type: 'object',
+        required: ['name', 'calories'],
+        properties: {
+            ...foodItem.properties,
+            mood: optionalText,
+            eatenAt: optionalText
+        }
+    },
+
+    plan: {
+        title: 'Meal plan',
+        type: 'object',
+        required: ['plan'],
+        properties: {
+            plan: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['day', 'meals'],
+                    properties: {
+                        day: { type: 'string', minLength: 1 },
+                        meals: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type', 'name', 'calories'],
+                                properties: {
+                                    type: { type: 'string' },
+                                    name: { type: 'string', minLength: 1 },
+                                    calories: amount
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    grocery: {
+        title: 'Grocery list',
+        type: 'object',
+        required: ['shopping_list'],
+        properties: {
+            shopping_list: {
+                type: 'object',
+                additionalProperties: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+
+    fridge: {
+        title: 'Recipe ideas',
+        type: 'object',
+        required: ['recipes'],
+        properties: {
+            recipes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'description', 'calories'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        description: { type: 'string' },
+                        calories: amount
+                    }
+                }
+            }
+        }
+    }
+};
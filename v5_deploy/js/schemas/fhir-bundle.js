@@ -0,0 +1,160 @@
+/**
+ * FHIR Bundle Schema
+ * JSON schema for the FHIR R5 Bundle produced by health-export.js.
+ * It covers the resources and elements this app writes (Patient,
+ * NutritionIntake, Observation) rather than the whole FHIR specification,
+ * and checks the parts intake systems reject most often: resource ids,
+ * UCUM quantities, coded values and date-times.
+ */
+
+export const FHIR_BUNDLE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'NutriMood FHIR export (Bundle, R5)',
+    type: 'object',
+    required: ['resourceType', 'type', 'timestamp', 'entry'],
+    properties: {
+        resourceType: { const: 'Bundle' },
+        id: { $ref: '#/definitions/id' },
+        meta: {
+            type: 'object',
+            properties: { lastUpdated: { $ref: '#/definitions/dateTime' } }
+        },
+        type: { const: 'collection' },
+        timestamp: { $ref: '#/definitions/dateTime' },
+        entry: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['fullUrl', 'resource'],
+                additionalProperties: false,
+                properties: {
+                    fullUrl: { type: 'string', pattern: '^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' },
+                    resource: {
+                        oneOf: [
+                            { $ref: '#/definitions/Patient' },
+                            { $ref: '#/definitions/NutritionIntake' },
+                            { $ref: '#/definitions/Observation' }
+                        ]
+                    }
+                }
+            }
+        }
+    },
+    definitions: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9\\-.]{1,64}$' },
+        dateTime: { type: 'string', format: 'date-time' },
+        Coding: {
+            type: 'object',
+            required: ['system', 'code'],
+            properties: {
+                system: { type: 'string', format: 'uri' },
+                code: { type: 'string', pattern: '^\\S+( \\S+)*$' },
+                display: { type: 'string' }
+            }
+        },
+        CodeableConcept: {
+            type: 'object',
+            anyOf: [{ required: ['coding'] }, { required: ['text'] }],
+            properties: {
+                coding: { type: 'array', minItems: 1, items: { $ref: '#/definitions/Coding' } },
+                text: { type: 'string', minLength: 1 }
+            }
+        },
+        CodeableReference: {
+            type: 'object',
+            required: ['concept'],
+            properties: { concept: { $ref: '#/definitions/CodeableConcept' } }
+        },
+        Reference: {
+            type: 'object',
+            required: ['reference'],
+            properties: {
+                reference: { type: 'string', minLength: 1 },
+                display: { type: 'string' }
+            }
+        },
+        Quantity: {
+            type: 'object',
+            required: ['value', 'unit', 'system', 'code'],
+            properties: {
+                value: { type: 'number', minimum: 0 },
+                unit: { type: 'string' },
+                system: { const: 'http://unitsofmeasure.org' },
+                code: { enum: ['kcal', 'g'] }
+            }
+        },
+        Identifier: {
+            type: 'object',
+            required: ['system', 'value'],
+            properties: {
+                system: { type: 'string', format: 'uri' },
+                value: { type: 'string', minLength: 1 }
+            }
+        },
+        Patient: {
+            type: 'object',
+            required: ['resourceType', 'id'],
+            properties: {
+                resourceType: { const: 'Patient' },
+                id: { $ref: '#/definitions/id' },
+                name: {
+                    type: 'array',
+                    items: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } }
+                }
+            }
+        },
+        NutritionIntake: {
+            type: 'object',
+            required: ['resourceType', 'id', 'status', 'subject', 'occurrenceDateTime', 'consumedItem'],
+            properties: {
+                resourceType: { const: 'NutritionIntake' },
+                id: { $ref: '#/definitions/id' },
+                identifier: { type: 'array', items: { $ref: '#/definitions/Identifier' } },
+                status: { enum: ['preparation', 'in-progress', 'not-done', 'on-hold', 'stopped', 'completed', 'entered-in-error', 'unknown'] },
+                subject: { $ref: '#/definitions/Reference' },
+                occurrenceDateTime: { $ref: '#/definitions/dateTime' },
+                reportedBoolean: { type: 'boolean' },
+                consumedItem: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['type', 'nutritionProduct'],
+                        properties: {
+                            type: { $ref: '#/definitions/CodeableConcept' },
+                            nutritionProduct: { $ref: '#/definitions/CodeableReference' },
+                            amount: { $ref: '#/definitions/Quantity' }
+                        }
+                    }
+                },
+                ingredientLabel: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['nutrient', 'amount'],
+                        properties: {
+                            nutrient: { $ref: '#/definitions/CodeableReference' },
+                            amount: { $ref: '#/definitions/Quantity' }
+                        }
+                    }
+                }
+            }
+        },
+        Observation: {
+            type: 'object',
+            required: ['resourceType', 'id', 'status', 'category', 'code', 'subject', 'effectiveDateTime', 'valueCodeableConcept'],
+            properties: {
+                resourceType: { const: 'Observation' },
+                id: { $ref: '#/definitions/id' },
+                identifier: { type: 'array', items: { $ref: '#/definitions/Identifier' } },
+                status: { enum: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'] },
+                category: { type: 'array', minItems: 1, items: { $ref: '#/definitions/CodeableConcept' } },
+                code: { $ref: '#/definitions/CodeableConcept' },
+                subject: { $ref: '#/definitions/Reference' },
+                focus: { type: 'array', items: { $ref: '#/definitions/Reference' } },
+                effectiveDateTime: { $ref: '#/definitions/dateTime' },
+                valueCodeableConcept: { $ref: '#/definitions/CodeableConcept' }
+            }
+        }
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * Open mHealth Schema
+ * JSON schema for the Open mHealth export produced by health-export.js: an
+ * array of data points, each an Open mHealth header plus a body. Open mHealth
+ * has no food-intake or mood schema, so the bodies use the app's own
+ * namespace ('nutrimood') built from the standard building blocks
+ * (unit-value, time-frame).
+ */
+
+export const OMH_NAMESPACE = 'nutrimood';
+export const OMH_SCHEMA_VERSION = '1.0';
+
+export const OMH_DATA_POINTS_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'NutriMood Open mHealth export',
+    type: 'array',
+    items: {
+        oneOf: [
+            { $ref: '#/definitions/foodIntakeDataPoint' },
+            { $ref: '#/definitions/moodDataPoint' }
+        ]
+    },
+    definitions: {
+        dateTime: { type: 'string', format: 'date-time' },
+        uuid: { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' },
+        unitValue: {
+            type: 'object',
+            required: ['value', 'unit'],
+            additionalProperties: false,
+            properties: {
+                value: { type: 'number', minimum: 0 },
+                unit: { enum: ['kcal', 'g'] }
+            }
+        },
+        timeFrame: {
+            type: 'object',
+            required: ['date_time'],
+            properties: { date_time: { $ref: '#/definitions/dateTime' } }
+        },
+        header: {
+            type: 'object',
+            required: ['id', 'creation_date_time', 'schema_id', 'acquisition_provenance'],
+            properties: {
+                id: { $ref: '#/definitions/uuid' },
+                creation_date_time: { $ref: '#/definitions/dateTime' },
+                schema_id: {
+                    type: 'object',
+                    required: ['namespace', 'name', 'version'],
+                    properties: {
+                        namespace: { const: OMH_NAMESPACE },
+                        name: { enum: ['food-intake', 'mood'] },
+                        version: { const: OMH_SCHEMA_VERSION }
+                    }
+                },
+                acquisition_provenance: {
+                    type: 'object',
+                    required: ['source_name', 'modality'],
+                    properties: {
+                        source_name: { type: 'string', minLength: 1 },
+                        modality: { enum: ['self-reported', 'sensed'] }
+                    }
+                },
+                user_id: { type: 'string' }
+            }
+        },
+        foodIntakeDataPoint: {
+            type: 'object',
+            required: ['header', 'body'],
+            properties: {
+                header: {
+                    allOf: [
+                        { $ref: '#/definitions/header' },
+                        { properties: { schema_id: { properties: { name: { const: 'food-intake' } } } } }
+                    ]
+                },
+                body: {
+                    type: 'object',
+                    required: ['food_name', 'effective_time_frame', 'calories'],
+                    additionalProperties: false,
+                    properties: {
+                        food_name: { type: 'string', minLength: 1 },
+                        effective_time_frame: { $ref: '#/definitions/timeFrame' },
+                        calories: { $ref: '#/definitions/unitValue' },
+                        protein: { $ref: '#/definitions/unitValue' },
+                        carbohydrate: { $ref: '#/definitions/unitValue' },
+                        fat: { $ref: '#/definitions/unitValue' }
+                    }
+                }
+            }
+        },
+        moodDataPoint: {
+            type: 'object',
+            required: ['header', 'body'],
+            properties: {
+                header: {
+                    allOf: [
+                        { $ref: '#/definitions/header' },
+                        { properties: { schema_id: { properties: { name: { const: 'mood' } } } } }
+                    ]
+                },
+                body: {
+                    type: 'object',
+                    required: ['mood', 'effective_time_frame'],
+                    additionalProperties: false,
+                    properties: {
+                        mood: { type: 'string', minLength: 1 },
+                        is_symptom: { type: 'boolean' },
+                        effective_time_frame: { $ref: '#/definitions/timeFrame' },
+                        food_intake_id: { $ref: '#/definitions/uuid' }
+                    }
+                }
+            }
+        }
+    }
+};
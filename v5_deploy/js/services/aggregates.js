@@ -0,0 +1,206 @@
+/**
+ * Daily Aggregates
+ * Per-day totals kept next to the logs so reports never rescan the journal.
+ * One record per local calendar day:
+ * {
+ *   date: 'YYYY-MM-DD',
+ *   entries, calories, protein, carbs, fats,
+ *   moodCounts: { [mood]: count },
+ *   moodNutrients: { [mood]: { calories, protein, carbs, fats, count } },
+ *   foods: { [name]: { count, moods: { [mood]: count } } }
+ * }
+ * Itemized meals count each item in `foods`, so sensitivity reports look at
+ * individual foods rather than whole plates.
+ * StorageService adds (+1) or subtracts (-1) a log whenever one is written
+ * or removed; buildDailyAggregates rebuilds everything from the logs.
+ */
+
+import { parseAmount } from './log-schema.js';
+import { foodNames } from './meal-items.js';
+
+const NEGATIVE_MOODS = ['Very Bad', 'Bad', 'Uneasy', 'Bloated', 'Tired'];
+const POSITIVE_MOODS = ['Good', 'Energetic', 'Happy', 'Feel OK'];
+
+/**
+ * Local calendar day of a timestamp, e.g. '2024-05-01'
+ */
+export function dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function emptyDay(date) {
+    return {
+        date,
+        entries: 0,
+        calories: 0,
+        protein: 0,
+        carbs: 0,
+        fats: 0,
+        moodCounts: {},
+        moodNutrients: {},
+        foods: {}
+    };
+}
+
+function nutrients(log) {
+    return {
+        calories: parseAmount(log.food?.calories) || 0,
+        protein: parseAmount(log.food?.protein) || 0,
+        carbs: parseAmount(log.food?.carbs) || 0,
+        fats: parseAmount(log.food?.fats) || 0
+    };
+}
+
+// Add delta to counter[key], dropping the key when it reaches zero
+function bump(counter, key, delta) {
+    const value = (counter[key] || 0) + delta;
+    if (value > 0) counter[key] = value;
+    else delete counter[key];
+}
+
+/**
+ * Add (sign = 1) or subtract (sign = -1) one log from its day. Mutates `day`.
+ */
+export function applyLogToDay(day, log, sign = 1) {
+    const values = nutrients(log);
+    const mood = log.mood?.mood;
+
+    day.entries += sign;
+    ['calories', 'protein', 'carbs', 'fats'].forEach(key => {
+        day[key] += sign * values[key];
+    });
+
+    if (mood) {
+        bump(day.moodCounts, mood, sign);
+
+        const totals = day.moodNutrients[mood] || { calories: 0, protein: 0, carbs: 0, fats: 0, count: 0 };
+        ['calories', 'protein', 'carbs', 'fats'].forEach(key => {
+            totals[key] += sign * values[key];
+        });
+        totals.count += sign;
+        if (totals.count > 0) day.moodNutrients[mood] = totals;
+        else delete day.moodNutrients[mood];
+    }
+
+    foodNames(log.food).forEach(foodName => {
+        const food = day.foods[foodName] || { count: 0, moods: {} };
+        food.count += sign;
+        if (mood) bump(food.moods, mood, sign);
+        if (food.count > 0) day.foods[foodName] = food;
+        else delete day.foods[foodName];
+    });
+
+    return day;
+}
+
+/**
+ * Aggregates for a whole journal
+ * @returns {Map<string, Object>} date → day record
+ */
+export function buildDailyAggregates(logs) {
+    const days = new Map();
+
+    logs.forEach(log => {
+        const key = dayKey(log.timestamp);
+        if (!days.has(key)) days.set(key, emptyDay(key));
+        applyLogToDay(days.get(key), log, 1);
+    });
+
+    return days;
+}
+
+/**
+ * Totals for the last 7 calendar days (today included)
+ */
+export function summarizeWeek(days, now = new Date()) {
+    const start = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6));
+    const week = days.filter(day => day.date >= start);
+
+    const totalCalories = Math.round(week.reduce((sum, day) => sum + day.calories, 0));
+    const totalEntries = week.reduce((sum, day) => sum + day.entries, 0);
+
+    const moodCounts = {};
+    week.forEach(day => {
+        Object.entries(day.moodCounts).forEach(([mood, count]) => bump(moodCounts, mood, count));
+    });
+
+    return {
+        totalCalories,
+        avgDailyCalories: totalEntries ? Math.round(totalCalories / 7) : 0,
+        moodCounts,
+        totalEntries
+    };
+}
+
+/**
+ * Foods most often followed by negative (triggers) or positive (safe) moods
+ */
+export function sensitivityFromDays(days) {
+    const triggerFoods = {};
+    const safeFoods = {};
+
+    days.forEach(day => {
+        Object.entries(day.foods).forEach(([name, food]) => {
+            Object.entries(food.moods).forEach(([mood, count]) => {
+                if (NEGATIVE_MOODS.includes(mood)) bump(triggerFoods, name, count);
+                else if (POSITIVE_MOODS.includes(mood)) bump(safeFoods, name, count);
+            });
+        });
+    });
+
+    const sorted = (counts) => Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => ({ name, count }));
+
+    return { triggers: sorted(triggerFoods), safe: sorted(safeFoods) };
+}
+
+/**
+ * Nutrient totals and averages per mood
+ */
+export function nutrientTrendsFromDays(days) {
+    const moodData = {};
+
+    days.forEach(day => {
+        Object.entries(day.moodNutrients).forEach(([mood, totals]) => {
+            const data = moodData[mood] || (moodData[mood] = { calories: 0, protein: 0, carbs: 0, fats: 0, count: 0 });
+            data.calories += totals.calories;
+            data.protein += totals.protein;
+            data.carbs += totals.carbs;
+            data.fats += totals.fats;
+            data.count += totals.count;
+        });
+    });
+
+    Object.values(moodData).forEach(data => {
+        data.avgCalories = Math.round(data.calories / data.count);
+        data.avgProtein = Math.round(data.protein / data.count);
+        data.avgCarbs = Math.round(data.carbs / data.count);
+        data.avgFats = Math.round(data.fats / data.count);
+    });
+
+    return moodData;
+}
+
+/**
+ * Consecutive logged days ending today or yesterday
+ * @param {string[]} dates - Day keys with at least one entry
+ */
+export function streakFromDays(dates, now = new Date()) {
+    const logged = new Set(dates);
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (!logged.has(dayKey(cursor))) {
+        cursor.setDate(cursor.getDate() - 1);
+        if (!logged.has(dayKey(cursor))) return 0;
+    }
+
+    let streak = 0;
+    while (logged.has(dayKey(cursor))) {
+        streak++;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+    return streak;
+}
@@ -0,0 +1,64 @@
+/**
+ * AI Responses
+ * Turns a model's text reply into the object a request asked for: the JSON
+ * is pulled out of the text (utils/json.js), then coerced and validated
+ * against its schema in js/schemas/ai-responses.js. A reply that does not
+ * fit raises an AIResponseError; analysis.js asks the model once to correct
+ * it before giving up.
+ */
+
+import { extractJSON } from '../utils/json.js';
+import { coerce, validate } from '../utils/schema.js';
+import { AI_RESPONSE_SCHEMAS } from '../schemas/ai-responses.js';
+
+export class AIResponseError extends Error {
+    /**
+     * @param {string} kind - Key in AI_RESPONSE_SCHEMAS
+     * @param {string[]} errors - What is wrong with the reply, "path: message"
+     * @param {string} text - The reply as received
+     */
+    constructor(kind, errors, text) {
+        const title = AI_RESPONSE_SCHEMAS[kind]?.title.toLowerCase() || 'answer';
+        super(`The AI sent a ${title} the app could not read. Please try again.`);
+        this.name = 'AIResponseError';
+        this.kind = kind;
+        this.errors = errors;
+        this.text = text;
+    }
+}
+
+/**
+ * @param {string} text - Model reply
+ * @param {string} [kind] - Key in AI_RESPONSE_SCHEMAS; without one the JSON is only parsed
+ * @returns {Object}
+ * @throws {AIResponseError} if the reply holds no JSON or does not match the schema
+ */
+export function parseAIResponse(text, kind) {
+    let value;
+    try {
+        value = extractJSON(text);
+    } catch (error) {
+        throw new AIResponseError(kind, [`$: not valid JSON (${error.message})`], text);
+    }
+
+    // The prompts ask for {"error": "..."} when the input does not fit, e.g. not food
+    if (value?.error) throw new Error(value.error);
+
+    const schema = AI_RESPONSE_SCHEMAS[kind];
+    if (!schema) return value;
+
+    const result = coerce(schema, value);
+    const { valid, errors } = validate(schema, result);
+    if (!valid) throw new AIResponseError(kind, errors, text);
+
+    return result;
+}
+
+/**
+ * Follow-up message asking the model to correct a reply that failed
+ */
+export function repairPrompt(error) {
+    return `Your reply could not be used: ${error.errors.slice(0, 5).join('; ')}.
+    Reply again with ONLY the corrected raw JSON object (no markdown, no explanation),
+    using the structure asked for before. Give numbers as plain JSON numbers without units.`;
+}
@@ -1,147 +1,400 @@
 /**
  * Analysis Service - V5S
- * Unified AI service supporting both Claude Sonnet 4.5 and Google Gemini
+ * Unified AI service over the providers in providers/ (Claude, Gemini, a
+ * local OpenAI-compatible server), tried in the user's fallback order
  * Provides food analysis, voice parsing, meal planning, and recipe generation
  */
 
+import { resolveMealTime } from '../utils/dates.js';
+import { resizeImage, blobToDataURL } from '../utils/image.js';
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js';
+import { itemsFromAnalysis, mealFromItems, withSource, SOURCES } from './meal-items.js';
+import { normalizeLabel } from './products.js';
+import { AIResponseError, parseAIResponse, repairPrompt } from './ai-response.js';
+import { getProviderDefinition, getProviderDefinitions } from './providers/index.js';
+import { isAbortError } from '../utils/http.js';
+import { BudgetExceededError } from './usage.js';
+
+// Label print is small; send more detail than for meal photos
+const LABEL_IMAGE_SIZE = 1568;
+
+// Fallback order for profiles that never saved one
+const LEGACY_FALLBACKS = ['claude', 'gemini'];
+
 export class AnalysisService {
-    constructor() {
+    /**
+     * @param {string} profileId
+     * @param {Object} options
+     * @param {FoodDatabaseService} [options.foodDatabase] - Offline fallback for typed/spoken logs
+     * @param {ResponseCacheService} [options.responseCache] - Replies to reuse for identical requests
+     * @param {UsageService} [options.usageService] - Records every call and enforces the budget
+     */
+    constructor(profileId = DEFAULT_PROFILE_ID, { foodDatabase = null, responseCache = null, usageService = null } = {}) {
         // Load saved preferences
-        this.claudeApiKey = localStorage.getItem('claude_api_key') || '';
-        this.geminiApiKey = localStorage.getItem('gemini_api_key') || '';
-        this.provider = localStorage.getItem('ai_provider') || 'claude'; // Default to Claude
-        this.geminiModel = localStorage.getItem('gemini_model') || 'gemini-1.5-flash';
+        this._loadSettings(profileId);
+        this.foodDatabase = foodDatabase;
+        this.responseCache = responseCache;
+        this.usageService = usageService;
+    }
 
-        // API endpoints
-        this.claudeBaseUrl = 'https://api.anthropic.com/v1';
-        this.geminiBaseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/';
+    /**
+     * Keys and preferences are stored per profile
+     */
+    _loadSettings(profileId) {
+        this.profileId = profileId;
+        this.providers = new Map();
+        getProviderDefinitions().forEach(definition => {
+            const settings = {};
+            Object.entries(definition.settings).forEach(([name, key]) => {
+                settings[name] = localStorage.getItem(this._key(key)) || '';
+            });
+            this.providers.set(definition.id, definition.create(settings));
+        });
+
+        this.provider = localStorage.getItem(this._key('ai_provider')) || 'claude'; // Default to Claude
+        const fallbacks = localStorage.getItem(this._key('ai_fallbacks'));
+        // Before fallbacks were configurable, Claude and Gemini fell back to
+        // each other; a local server never sends meals elsewhere unasked
+        this.fallbacks = fallbacks !== null
+            ? fallbacks.split(',').filter(Boolean)
+            : LEGACY_FALLBACKS.includes(this.provider) ? LEGACY_FALLBACKS : [];
+    }
 
-        // Response cache (5 minutes TTL)
-        this.cache = new Map();
-        this.cacheTTL = 5 * 60 * 1000; // 5 minutes
+    _key(baseKey) {
+        return profileKey(baseKey, this.profileId);
     }
 
     /**
-     * Set API keys
+     * Load another profile's keys and preferences
      */
-    setClaudeApiKey(key) {
-        this.claudeApiKey = key.trim();
-        localStorage.setItem('claude_api_key', this.claudeApiKey);
+    switchProfile(profileId) {
+        this._loadSettings(profileId);
     }
 
-    setGeminiApiKey(key) {
-        this.geminiApiKey = key.trim();
-        localStorage.setItem('gemini_api_key', this.geminiApiKey);
+    _definition(id) {
+        const definition = getProviderDefinition(id);
+        if (!definition) {
+            const ids = getProviderDefinitions().map(d => `"${d.id}"`).join(', ');
+            throw new Error(`Invalid provider. Must be one of ${ids}`);
+        }
+        return definition;
+    }
+
+    _getProvider(id) {
+        this._definition(id);
+        return this.providers.get(id);
     }
 
-    setGeminiModel(model) {
-        this.geminiModel = model;
-        localStorage.setItem('gemini_model', model);
+    /**
+     * Current settings of a provider, e.g. { apiKey, model }
+     */
+    getProviderSettings(id) {
+        const provider = this._getProvider(id);
+        const settings = {};
+        Object.keys(this._definition(id).settings).forEach(name => {
+            settings[name] = provider[name] || '';
+        });
+        return settings;
+    }
+
+    /**
+     * Save some or all settings of a provider
+     */
+    setProviderSettings(id, values) {
+        const definition = this._definition(id);
+        const settings = this.getProviderSettings(id);
+
+        Object.entries(values).forEach(([name, value]) => {
+            if (!(name in definition.settings)) return;
+
+            let text = String(value ?? '').trim();
+            if (name === 'baseUrl') {
+                text = text.replace(/\/+$/, '');
+                if (text && !/^https?:\/\/\S+$/i.test(text)) throw new Error('Model server must be an http(s) URL');
+            }
+            settings[name] = text;
+            localStorage.setItem(this._key(definition.settings[name]), text);
+        });
+
+        this.providers.set(id, definition.create(settings));
     }
 
     /**
-     * Set AI provider (claude or gemini)
+     * Set the AI provider to use first
      */
     setProvider(provider) {
-        if (!['claude', 'gemini'].includes(provider)) {
-            throw new Error('Invalid provider. Must be "claude" or "gemini"');
-        }
+        this._definition(provider);
         this.provider = provider;
-        localStorage.setItem('ai_provider', provider);
+        localStorage.setItem(this._key('ai_provider'), provider);
+    }
+
+    /**
+     * Set the providers to try, in order, when the first one fails
+     * (an empty list never falls back)
+     */
+    setFallbacks(ids) {
+        ids.forEach(id => this._definition(id));
+        this.fallbacks = [...new Set(ids)];
+        localStorage.setItem(this._key('ai_fallbacks'), this.fallbacks.join(','));
     }
 
     /**
-     * Get available providers based on API keys
+     * Every provider that may be tried, in order
+     */
+    getProviderOrder() {
+        return [this.provider, ...this.fallbacks.filter(id => id !== this.provider)]
+            .filter(id => this.providers.has(id));
+    }
+
+    /**
+     * Providers in the fallback order that are set up to make requests
      */
     getAvailableProviders() {
-        const providers = [];
-        if (this.claudeApiKey) providers.push('claude');
-        if (this.geminiApiKey) providers.push('gemini');
-        return providers;
+        return this.getProviderOrder().filter(id => this.providers.get(id).isConfigured());
     }
 
     /**
-     * Check if current provider has API key
+     * Check if any provider can be used
      */
     hasApiKey() {
-        if (this.provider === 'claude') return !!this.claudeApiKey;
-        if (this.provider === 'gemini') return !!this.geminiApiKey;
-        return false;
+        return this.getAvailableProviders().length > 0;
+    }
+
+    async listModels(id) {
+        return this._getProvider(id).listModels();
     }
 
     /**
-     * Unified analyze method - routes to appropriate provider
+     * Send a short request to one provider, without fallback
+     * @returns {Promise<string>} the reply
      */
-    async analyze(type, data, options = {}) {
-        if (!this.hasApiKey()) {
+    async testProvider(id) {
+        const provider = this._getProvider(id);
+        if (!provider.isConfigured()) throw new Error('API_KEY_MISSING');
+
+        return this._send(provider, [{ role: 'user', text: 'Reply with the single word OK.' }], { maxTokens: 16, feature: 'test' });
+    }
+
+    /**
+     * One call to a provider, checked against the budget and recorded
+     * @param {string} options.feature - What the call is for (see FEATURE_LABELS in usage.js)
+     * @returns {Promise<string>} the reply text
+     */
+    async _send(provider, messages, options) {
+        if (this.usageService) await this.usageService.assertAllowed(options.feature);
+
+        const { text, usage } = await provider.complete(messages, options);
+        if (this.usageService) {
+            await this.usageService.record({ provider: provider.id, feature: options.feature, ...usage });
+        }
+        return text;
+    }
+
+    /**
+     * Run a request on each available provider in order until one succeeds.
+     * A cancelled request, or one paused by the budget, is not passed on to
+     * the next provider.
+     * @param {Function} request - (provider) => Promise
+     */
+    async _withProviders(request, options = {}) {
+        const available = this.getAvailableProviders();
+        if (available.length === 0) {
             throw new Error('API_KEY_MISSING');
         }
 
-        // Try primary provider, fallback to secondary if available
-        try {
-            if (this.provider === 'claude') {
-                return await this._analyzeWithClaude(type, data, options);
-            } else {
-                return await this._analyzeWithGemini(type, data, options);
-            }
-        } catch (error) {
-            console.error(`${this.provider} failed:`, error);
-
-            // Try fallback provider
-            const fallbackProvider = this.provider === 'claude' ? 'gemini' : 'claude';
-            const hasFallback = this.getAvailableProviders().includes(fallbackProvider);
-
-            if (hasFallback && options.allowFallback !== false) {
-                console.log(`Falling back to ${fallbackProvider}...`);
-                const originalProvider = this.provider;
-                this.provider = fallbackProvider;
-
-                try {
-                    const result = this.provider === 'claude'
-                        ? await this._analyzeWithClaude(type, data, options)
-                        : await this._analyzeWithGemini(type, data, options);
-
-                    this.provider = originalProvider; // Restore original
-                    return result;
-                } catch (fallbackError) {
-                    this.provider = originalProvider; // Restore original
-                    throw fallbackError;
-                }
+        const attempts = options.allowFallback === false ? available.slice(0, 1) : available;
+        let lastError = null;
+        for (const id of attempts) {
+            if (lastError) console.log(`Falling back to ${id}...`);
+
+            try {
+                return await request(this.providers.get(id));
+            } catch (error) {
+                if (isAbortError(error) || error instanceof BudgetExceededError) throw error;
+                console.error(`${id} failed:`, error);
+                lastError = error;
             }
-
-            throw error;
         }
+        throw lastError;
+    }
+
+    /**
+     * Unified analyze method - asks the providers in fallback order for JSON
+     * @param {string} type - 'image' (data.image is a data URL) or 'text'
+     * @param {Object} options
+     * @param {string} [options.response] - Schema the reply must match (key in schemas/ai-responses.js)
+     * @param {string} [options.feature] - Name the call is recorded under; defaults to options.response
+     * @param {boolean} [options.allowFallback] - false to only try the first available provider
+     * @param {boolean} [options.cache] - false to always ask the model and not keep the reply,
+     *     for requests that never repeat (timestamped prompts) or should not (new plans)
+     * @param {number} [options.timeout] - Milliseconds to wait for each reply
+     * @param {AbortSignal} [options.signal] - Cancels the request; it then rejects with an AbortError
+     */
+    async analyze(type, data, options = {}) {
+        options = { ...options, feature: options.feature || options.response || type };
+
+        return this._withProviders(async provider => {
+            const cacheKey = options.cache === false ? null : await this._cacheKey(provider, type, data, options);
+            const cached = await this._getFromCache(cacheKey);
+            if (cached) return cached;
+
+            const messages = [{ role: 'user', text: data.prompt, image: type === 'image' ? data.image : null }];
+            const text = await this._send(provider, messages, options);
+            const result = await this._parseResponse(text, options.response, repair => {
+                messages.push({ role: 'assistant', text }, { role: 'user', text: repair });
+                return this._send(provider, messages, options);
+            });
+
+            await this._saveToCache(cacheKey, result);
+            return result;
+        }, options);
+    }
+
+    /**
+     * Free-text reply, e.g. for chat, with the same fallback as analyze
+     */
+    async complete(prompt, options = {}) {
+        options = { ...options, feature: options.feature || 'chat' };
+        return this._withProviders(provider => this._send(provider, [{ role: 'user', text: prompt }], options), options);
     }
 
     /**
      * Analyze image (food recognition)
+     * Every food on the plate is returned as its own item; the meal totals
+     * are the sum of the items (see meal-items.js)
+     * @param {Object} [options] - { signal } to cancel
+     * @returns {Promise<{name, calories, protein, carbs, fats, items: Object[]}>}
      */
-    async analyzeImage(imageFile) {
-        const resizedBlob = await this._resizeImage(imageFile, 800);
-        const base64Image = await this._fileToBase64(resizedBlob);
+    async analyzeImage(imageFile, { signal } = {}) {
+        const resizedBlob = await resizeImage(imageFile, 800);
+        const base64Image = await blobToDataURL(resizedBlob);
 
-        return await this.analyze('image', {
+        const result = await this.analyze('image', {
             image: base64Image,
-            prompt: `Analyze this image. If it contains food, identify it and estimate nutrition.
+            prompt: `Analyze this image. If it contains food, identify each separate food or drink
+            on the plate and estimate its portion and nutrition.
             Return ONLY a raw JSON object (no markdown formatting) with these fields:
             {
-                "name": "Food Name",
-                "calories": 0,
-                "protein": "0g",
-                "carbs": "0g",
-                "fats": "0g"
+                "name": "Short name for the whole meal",
+                "items": [
+                    {
+                        "name": "Food Name",
+                        "portion": "Estimated amount, e.g. 150 g or 1 cup",
+                        "calories": 0,
+                        "protein": "0g",
+                        "carbs": "0g",
+                        "fats": "0g"
+                    }
+                ]
             }
+            List one item per food (e.g. chicken, rice and salad are three items).
             If it is NOT food, return: {"error": "Not food detected"}`
-        });
+        }, { response: 'image', signal });
+
+        const items = itemsFromAnalysis(result).map(item => withSource(item, SOURCES.AI));
+        if (items.length === 0) throw new Error('No food detected');
+
+        return mealFromItems(result.name, items);
+    }
+
+    /**
+     * Read a nutrition facts panel exactly as printed (no estimating)
+     * @returns {Promise<Object>} label record, see normalizeLabel in products.js
+     */
+    async readNutritionLabel(imageFile, { signal } = {}) {
+        const resizedBlob = await resizeImage(imageFile, LABEL_IMAGE_SIZE);
+        const base64Image = await blobToDataURL(resizedBlob);
+
+        const result = await this.analyze('image', {
+            image: base64Image,
+            prompt: `This is a photo of the nutrition facts panel of a packaged food.
+            Read the values exactly as printed - do not estimate or round.
+            Return ONLY a raw JSON object (no markdown formatting) with these fields:
+            {
+                "name": "Product name if visible, else empty",
+                "brand": "Brand if visible, else empty",
+                "servingSize": "Serving size as printed, e.g. 2/3 cup (55g)",
+                "servingGrams": 55,
+                "servingsPerContainer": 8,
+                "basis": "serving",
+                "calories": 230,
+                "protein": 3,
+                "carbs": 37,
+                "fat": 8,
+                "fiber": 4,
+                "sugar": 12,
+                "sodium": 160,
+                "salt": null,
+                "ingredients": "Ingredient list as printed, else empty"
+            }
+            Values are per serving: grams for macros, milligrams for sodium, kcal for calories.
+            If the label only lists values per 100 g, set "basis" to "100g" and give those.
+            If it lists salt instead of sodium, put the salt in grams in "salt".
+            Use null for anything not on the label.
+            If the image is not a nutrition label, return: {"error": "No nutrition label found"}`
+        }, { response: 'label', signal });
+
+        return normalizeLabel(result);
     }
 
     /**
      * Parse voice log
+     * Resolves phrases like "yesterday at lunch" into `eatenAt` (ISO timestamp or null).
+     * Offline or without an API key the bundled food database is used instead,
+     * and it also steps in when the AI call fails.
+     * @param {Date} [now] - When the log was spoken; relative times resolve against it
+     * @param {Object} [options] - { signal } to cancel
+     */
+    async parseVoiceLog(text, now = new Date(), { signal } = {}) {
+        const offline = navigator.onLine === false;
+
+        if (offline || !this.hasApiKey()) {
+            const local = await this._estimateLocally(text, now);
+            if (local) return local;
+            if (!this.hasApiKey()) throw new Error('API_KEY_MISSING');
+            throw new Error('You are offline and no food in the offline database matched');
+        }
+
+        let result;
+        try {
+            result = await this._parseVoiceWithAI(text, now, signal);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            const local = await this._estimateLocally(text, now);
+            if (!local) throw error;
+
+            console.warn('AI voice parsing failed, using offline food database:', error);
+            return local;
+        }
+
+        // Deterministic parsing wins; the model's answer is only a fallback
+        const eatenAt = resolveMealTime(text, now) || this._validPastTimestamp(result.eatenAt, now);
+
+        return { ...withSource(result, SOURCES.AI), eatenAt };
+    }
+
+    /**
+     * Meal from the offline food database, or null if no food matched
      */
-    async parseVoiceLog(text) {
+    async _estimateLocally(text, now = new Date()) {
+        if (!this.foodDatabase) return null;
+
+        await this.foodDatabase.ready();
+        const food = this.foodDatabase.estimateFromText(text);
+        if (!food) return null;
+
+        return { ...food, mood: null, eatenAt: resolveMealTime(text, now) };
+    }
+
+    /**
+     * Not cached: the prompt carries the current time, so it never repeats
+     */
+    async _parseVoiceWithAI(text, now, signal) {
         return await this.analyze('text', {
             prompt: `Analyze this spoken food log: "${text}"
-            Extract the food name, estimated nutritional info, and the user's mood if mentioned.
+            Extract the food name, estimated nutritional info, the user's mood if mentioned,
+            and when the food was eaten if mentioned. The current local time is ${now.toString()}.
             Return ONLY a raw JSON object (no markdown) with this structure:
             {
                 "name": "Food Name",
@@ -149,17 +402,31 @@ export class AnalysisService {
                 "protein": "0g",
                 "carbs": "0g",
                 "fats": "0g",
-                "mood": "Mood Name (Choose from: Very Bad, Bad, Neutral, Good, Feel OK) or null if not mentioned"
+                "mood": "Mood Name (Choose from: Very Bad, Bad, Neutral, Good, Feel OK) or null if not mentioned",
+                "eatenAt": "ISO 8601 datetime with timezone offset, or null if no time is mentioned (a meal name alone, as in 'I just had breakfast', is not a time)"
             }`
-        });
+        }, { response: 'voice', cache: false, signal });
+    }
+
+    /**
+     * Accept a model-provided timestamp only if it parses and is not in the future
+     */
+    _validPastTimestamp(value, now = new Date()) {
+        if (!value) return null;
+
+        const date = new Date(value);
+        if (isNaN(date) || date > now) return null;
+
+        return date.toISOString();
     }
 
     /**
      * Generate meal plan
      */
-    async generateMealPlan(safeFoods, days = 7) {
+    async generateMealPlan(safeFoods, days = 7, { signal } = {}) {
         const foodsList = safeFoods.map(f => f.name).join(', ');
 
+        // Asking again should give a new plan, not the cached one
         return await this.analyze('text', {
             prompt: `Create a ${days}-day meal plan using these safe foods: ${foodsList}.
             You can add other common healthy ingredients.
@@ -169,21 +436,22 @@ export class AnalysisService {
                     {
                         "day": "Day 1",
                         "meals": [
-                            { "type": "Breakfast", "name": "Meal Name", "calories": "300kcal" },
-                            { "type": "Lunch", "name": "Meal Name", "calories": "500kcal" },
-                            { "type": "Dinner", "name": "Meal Name", "calories": "600kcal" }
+                            { "type": "Breakfast", "name": "Meal Name", "calories": 300 },
+                            { "type": "Lunch", "name": "Meal Name", "calories": 500 },
+                            { "type": "Dinner", "name": "Meal Name", "calories": 600 }
                         ]
                     },
                     ... (Day 2 through ${days})
                 ]
-            }`
-        });
+            }
+            Calories are kcal per meal.`
+        }, { response: 'plan', cache: false, signal });
     }
 
     /**
      * Generate grocery list from meal plan
      */
-    async generateGroceryList(plan) {
+    async generateGroceryList(plan, { signal } = {}) {
         const planText = JSON.stringify(plan);
 
         return await this.analyze('text', {
@@ -198,15 +466,15 @@ export class AnalysisService {
                     ...
                 }
             }`
-        });
+        }, { response: 'grocery', signal });
     }
 
     /**
      * Analyze fridge/pantry image for recipe suggestions
      */
-    async analyzeFridge(imageFile) {
-        const resizedBlob = await this._resizeImage(imageFile, 800);
-        const base64Image = await this._fileToBase64(resizedBlob);
+    async analyzeFridge(imageFile, { signal } = {}) {
+        const resizedBlob = await resizeImage(imageFile, 800);
+        const base64Image = await blobToDataURL(resizedBlob);
 
         return await this.analyze('image', {
             image: base64Image,
@@ -217,250 +485,54 @@ export class AnalysisService {
                     {
                         "name": "Recipe Name",
                         "description": "Brief description of ingredients and steps.",
-                        "calories": "Estimate per serving"
-                    }
-                ]
-            }`
-        }, { temperature: 0.7 });
-    }
-
-    /**
-     * Claude-specific implementation
-     */
-    async _analyzeWithClaude(type, data, options = {}) {
-        const cacheKey = `claude_${type}_${JSON.stringify(data).substring(0, 100)}`;
-        const cached = this._getFromCache(cacheKey);
-        if (cached) return cached;
-
-        const messages = [];
-
-        if (type === 'image') {
-            // Extract base64 data and mime type
-            const base64Data = data.image.split(',')[1] || data.image;
-            const mimeType = data.image.match(/data:(image\/\w+);base64,/)
-                ? data.image.match(/data:(image\/\w+);base64,/)[1]
-                : 'image/jpeg';
-
-            messages.push({
-                role: 'user',
-                content: [
-                    {
-                        type: 'image',
-                        source: {
-                            type: 'base64',
-                            media_type: mimeType,
-                            data: base64Data
-                        }
-                    },
-                    {
-                        type: 'text',
-                        text: data.prompt
+                        "calories": 450
                     }
                 ]
-            });
-        } else {
-            messages.push({
-                role: 'user',
-                content: data.prompt
-            });
-        }
-
-        const requestBody = {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1024,
-            temperature: options.temperature || 0.0,
-            messages: messages
-        };
-
-        try {
-            const response = await fetch(`${this.claudeBaseUrl}/messages`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.claudeApiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error?.message || 'Claude API request failed');
-            }
-
-            const responseData = await response.json();
-            const text = responseData.content[0].text;
-
-            // Parse JSON response
-            const cleanJson = text.replace(/```json|```/g, '').trim();
-            const result = JSON.parse(cleanJson);
-
-            if (result.error) {
-                throw new Error(result.error);
             }
-
-            this._saveToCache(cacheKey, result);
-            return result;
-
-        } catch (error) {
-            console.error('Claude API Error:', error);
-            throw error;
-        }
+            Calories are an estimate in kcal per serving.`
+        }, { temperature: 0.7, response: 'fridge', signal });
     }
 
     /**
-     * Gemini-specific implementation
+     * Parse a reply against its response schema. If it does not fit, the
+     * model gets one request to correct it and that reply is parsed instead.
+     * @param {Function} retry - Sends the correction request, resolves to the new reply text
      */
-    async _analyzeWithGemini(type, data, options = {}) {
-        const cacheKey = `gemini_${type}_${JSON.stringify(data).substring(0, 100)}`;
-        const cached = this._getFromCache(cacheKey);
-        if (cached) return cached;
-
-        const parts = [];
-
-        if (type === 'image') {
-            const base64Data = data.image.split(',')[1] || data.image;
-            const mimeType = 'image/jpeg';
-
-            parts.push({ text: data.prompt });
-            parts.push({
-                inline_data: {
-                    mime_type: mimeType,
-                    data: base64Data
-                }
-            });
-        } else {
-            parts.push({ text: data.prompt });
-        }
-
-        const requestBody = {
-            contents: [{ parts }],
-            generationConfig: {
-                temperature: options.temperature || 0.0
-            }
-        };
-
-        const apiUrl = `${this.geminiBaseUrl}${this.geminiModel}:generateContent`;
-
+    async _parseResponse(text, kind, retry) {
         try {
-            const response = await fetch(`${apiUrl}?key=${this.geminiApiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error?.message || 'Gemini API request failed');
-            }
-
-            const responseData = await response.json();
-            const text = responseData.candidates[0].content.parts[0].text;
-
-            // Parse JSON response
-            const cleanJson = text.replace(/```json|```/g, '').trim();
-            const result = JSON.parse(cleanJson);
-
-            if (result.error) {
-                throw new Error(result.error);
-            }
-
-            this._saveToCache(cacheKey, result);
-            return result;
-
+            return parseAIResponse(text, kind);
         } catch (error) {
-            console.error('Gemini API Error:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * List available Gemini models
-     */
-    async listGeminiModels() {
-        if (!this.geminiApiKey) throw new Error('API_KEY_MISSING');
-
-        const response = await fetch(
-            `https://generativelanguage.googleapis.com/v1beta/models?key=${this.geminiApiKey}`
-        );
+            if (!(error instanceof AIResponseError)) throw error;
 
-        if (!response.ok) throw new Error('Failed to list models');
-
-        const data = await response.json();
-        return data.models.map(m => m.name.replace('models/', ''));
+            console.warn(`Unusable ${kind || 'AI'} response, asking for a correction:`, error.errors);
+            return parseAIResponse(await retry(repairPrompt(error)), kind);
+        }
     }
 
     /**
      * Cache helpers
+     * The key covers everything that shapes the reply, including the whole image
      */
-    _getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (!cached) return null;
-
-        const now = Date.now();
-        if (now - cached.timestamp > this.cacheTTL) {
-            this.cache.delete(key);
-            return null;
-        }
-
-        return cached.data;
-    }
-
-    _saveToCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
+    async _cacheKey(provider, type, data, options) {
+        if (!this.responseCache) return null;
+
+        return this.responseCache.key({
+            provider: provider.id,
+            baseUrl: provider.baseUrl || null,
+            model: provider.model || null,
+            type,
+            prompt: data.prompt,
+            image: type === 'image' ? data.image : null,
+            response: options.response || null,
+            temperature: options.temperature || 0
         });
-
-        // Limit cache size to 50 entries
-        if (this.cache.size > 50) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-        }
     }
 
-    /**
-     * Image processing helpers
-     */
-    _resizeImage(file, maxSize) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.src = URL.createObjectURL(file);
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                let width = img.width;
-                let height = img.height;
-
-                if (width > height) {
-                    if (width > maxSize) {
-                        height *= maxSize / width;
-                        width = maxSize;
-                    }
-                } else {
-                    if (height > maxSize) {
-                        width *= maxSize / height;
-                        height = maxSize;
-                    }
-                }
-
-                canvas.width = width;
-                canvas.height = height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-
-                canvas.toBlob((blob) => {
-                    resolve(blob);
-                }, 'image/jpeg', 0.8);
-            };
-        });
+    async _getFromCache(key) {
+        return key ? this.responseCache.get(key) : null;
     }
 
-    _fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.readAsDataURL(file);
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = error => reject(error);
-        });
+    async _saveToCache(key, data) {
+        if (key) await this.responseCache.set(key, data);
     }
 }
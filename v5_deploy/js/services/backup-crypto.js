@@ -0,0 +1,134 @@
+/**
+ * Backup Encryption
+ * Passphrase-encrypted backup files using WebCrypto (PBKDF2 → AES-GCM).
+ *
+ * File format (JSON):
+ * {
+ *   "format": "nutrimood-encrypted-backup",
+ *   "version": 1,
+ *   "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 310000, "salt": "<base64>" },
+ *   "cipher": { "name": "AES-GCM", "iv": "<base64>" },
+ *   "createdAt": "<ISO timestamp>",
+ *   "ciphertext": "<base64>"
+ * }
+ * The header (format, version, kdf, cipher) is authenticated as AES-GCM
+ * additional data, so it cannot be altered without failing decryption.
+ */
+
+export const BACKUP_FORMAT = 'nutrimood-encrypted-backup';
+export const BACKUP_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 310000;
+// Files are read with at least our own count (no weaker keys) and at most
+// this many times it (a huge count would freeze the tab)
+const MAX_ITERATIONS_FACTOR = 10;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Serialize the header in a fixed field order for use as additional data
+ */
+function headerBytes({ format, version, kdf, cipher }) {
+    return encoder.encode(JSON.stringify({
+        format,
+        version,
+        kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+        cipher: { name: cipher.name, iv: cipher.iv }
+    }));
+}
+
+async function deriveKey(passphrase, salt, iterations, hash) {
+    const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Check whether file contents are an encrypted backup
+ */
+export function isEncryptedBackup(text) {
+    try {
+        return JSON.parse(text)?.format === BACKUP_FORMAT;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Encrypt plaintext (e.g. a JSON export) with a passphrase
+ * @returns {Promise<string>} Backup file contents
+ */
+export async function encryptBackup(plaintext, passphrase) {
+    if (!passphrase) throw new Error('PASSPHRASE_REQUIRED');
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+    const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+    };
+
+    const key = await deriveKey(passphrase, salt, header.kdf.iterations, header.kdf.hash);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: headerBytes(header) },
+        key,
+        encoder.encode(plaintext)
+    );
+
+    return JSON.stringify({ ...header, createdAt: new Date().toISOString(), ciphertext: toBase64(new Uint8Array(ciphertext)) }, null, 2);
+}
+
+/**
+ * Decrypt a backup created by encryptBackup
+ * Throws 'UNSUPPORTED_BACKUP' for unknown versions or key settings and 'DECRYPTION_FAILED' for a wrong passphrase or tampered file
+ */
+export async function decryptBackup(text, passphrase) {
+    if (!passphrase) throw new Error('PASSPHRASE_REQUIRED');
+
+    const backup = JSON.parse(text);
+    if (backup.format !== BACKUP_FORMAT || backup.version !== BACKUP_VERSION ||
+        backup.kdf?.name !== 'PBKDF2' || backup.cipher?.name !== 'AES-GCM') {
+        throw new Error('UNSUPPORTED_BACKUP');
+    }
+
+    const iterations = backup.kdf.iterations;
+    if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS ||
+        iterations > PBKDF2_ITERATIONS * MAX_ITERATIONS_FACTOR) {
+        throw new Error('UNSUPPORTED_BACKUP');
+    }
+
+    try {
+        const key = await deriveKey(passphrase, fromBase64(backup.kdf.salt), iterations, backup.kdf.hash);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(backup.cipher.iv), additionalData: headerBytes(backup) },
+            key,
+            fromBase64(backup.ciphertext)
+        );
+        return decoder.decode(plaintext);
+    } catch (e) {
+        throw new Error('DECRYPTION_FAILED');
+    }
+}
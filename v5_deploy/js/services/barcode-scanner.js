@@ -0,0 +1,132 @@
+/**
+ * Barcode Scanner Service
+ * Reads EAN/UPC codes from the camera or a photo. Uses the browser's
+ * BarcodeDetector where it supports these formats, otherwise decodes the
+ * pixels with utils/barcode.js.
+ */
+
+import { decodeBarcode } from '../utils/barcode.js';
+
+const FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const SCAN_INTERVAL_MS = 250;
+// The fallback decoder reads a downscaled copy of each frame
+const MAX_DECODE_SIZE = 1280;
+
+export class BarcodeScannerService {
+    constructor() {
+        this.stream = null;
+        this.video = null;
+        this.timer = null;
+        this.detector = undefined;
+        this.canvas = null;
+    }
+
+    isCameraSupported() {
+        return Boolean(navigator.mediaDevices?.getUserMedia);
+    }
+
+    /**
+     * Native detector for EAN/UPC, or null to use the built-in decoder
+     */
+    async _getDetector() {
+        if (this.detector !== undefined) return this.detector;
+
+        this.detector = null;
+        try {
+            if ('BarcodeDetector' in window) {
+                const supported = await window.BarcodeDetector.getSupportedFormats();
+                const formats = FORMATS.filter(format => supported.includes(format));
+                if (formats.length > 0) this.detector = new window.BarcodeDetector({ formats });
+            }
+        } catch (error) {
+            console.warn('BarcodeDetector unavailable, using built-in decoder:', error);
+        }
+        return this.detector;
+    }
+
+    /**
+     * @param {CanvasImageSource} source - Video, image bitmap or canvas
+     * @returns {Promise<{format: string, code: string}|null>}
+     */
+    async _detect(source, width, height) {
+        const detector = await this._getDetector();
+        if (detector) {
+            const [barcode] = await detector.detect(source);
+            return barcode ? { format: barcode.format, code: barcode.rawValue } : null;
+        }
+
+        const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+        if (!this.canvas) this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        return decodeBarcode(ctx.getImageData(0, 0, this.canvas.width, this.canvas.height));
+    }
+
+    /**
+     * Read a barcode from a photo
+     * @returns {Promise<{format: string, code: string}|null>}
+     */
+    async decodeFile(file) {
+        const bitmap = await createImageBitmap(file);
+        try {
+            return await this._detect(bitmap, bitmap.width, bitmap.height);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Show the rear camera in a video element and scan until a code is found
+     * @param {HTMLVideoElement} video
+     * @param {Function} onCode - Called once with { format, code }; the camera is already stopped
+     */
+    async startCamera(video, onCode) {
+        this.stopCamera();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+        this.video = video;
+        video.srcObject = this.stream;
+        await video.play();
+
+        const scan = async () => {
+            if (!this.stream) return;
+
+            try {
+                if (video.readyState >= video.HAVE_CURRENT_DATA) {
+                    const result = await this._detect(video, video.videoWidth, video.videoHeight);
+                    // The camera may have been closed while the frame was decoded
+                    if (result && this.stream) {
+                        this.stopCamera();
+                        onCode(result);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.warn('Barcode scan failed:', error);
+            }
+
+            if (this.stream) this.timer = setTimeout(scan, SCAN_INTERVAL_MS);
+        };
+        scan();
+    }
+
+    stopCamera() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Capture Queue
+ * Meals captured while offline, or whose analysis failed, wait here until
+ * they can be analyzed:
+ *   entry = { id, kind: 'photo' | 'text', photo?: Blob, text?, capturedAt,
+ *             eatenAt, mood, status, result?, error?, attempts }
+ * Pending entries are analyzed when the device comes back online. A finished
+ * analysis ('ready') is only logged after the user has reviewed it.
+ */
+
+export const CAPTURE_STATUS = {
+    PENDING: 'pending',
+    READY: 'ready',
+    FAILED: 'failed'
+};
+
+// Failed analyses are retried on the next few reconnects, then left to the user
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Whether an analysis failed only because there is no connection
+ */
+function isConnectionError(error) {
+    if (navigator.onLine === false) return true;
+    // fetch rejects with a TypeError when the network is unreachable
+    return error instanceof TypeError && /fetch|network|load failed/i.test(error.message);
+}
+
+export class CaptureQueueService {
+    constructor(storageService, analysisService) {
+        this.storageService = storageService;
+        this.analysisService = analysisService;
+        this.processing = null;
+
+        // Called with every entry after the queue changed
+        this.onChange = null;
+
+        window.addEventListener('online', () => this.process());
+    }
+
+    async list() {
+        return this.storageService.getPendingCaptures();
+    }
+
+    async get(id) {
+        return this.storageService.getPendingCapture(id);
+    }
+
+    /**
+     * @param {Object} capture
+     * @param {'photo'|'text'} capture.kind
+     * @param {Blob} [capture.photo]
+     * @param {string} [capture.text] - Typed or spoken log
+     * @param {string} [capture.eatenAt] - ISO timestamp, e.g. when the photo was taken
+     * @param {Object} [capture.mood] - { mood, color }
+     */
+    async add({ kind, photo = null, text = '', eatenAt = null, mood = null }) {
+        const entry = {
+            id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            kind,
+            photo,
+            text,
+            capturedAt: new Date().toISOString(),
+            eatenAt,
+            mood,
+            status: CAPTURE_STATUS.PENDING,
+            result: null,
+            error: null,
+            attempts: 0
+        };
+
+        await this.storageService.putPendingCapture(entry);
+        await this._changed();
+        return entry;
+    }
+
+    async update(id, changes) {
+        const entry = await this.get(id);
+        if (!entry) return null;
+
+        const updated = { ...entry, ...changes };
+        await this.storageService.putPendingCapture(updated);
+        await this._changed();
+        return updated;
+    }
+
+    async remove(id) {
+        await this.storageService.deletePendingCapture(id);
+        await this._changed();
+    }
+
+    /**
+     * Try a failed entry again
+     */
+    async retry(id) {
+        await this.update(id, { status: CAPTURE_STATUS.PENDING, error: null, attempts: 0 });
+        return this.process();
+    }
+
+    /**
+     * Analyze every pending entry. Runs once at a time; a call while it runs
+     * waits for that run.
+     * @returns {Promise<number>} entries that became ready
+     */
+    async process() {
+        if (this.processing) return this.processing;
+
+        this.processing = this._processAll().finally(() => {
+            this.processing = null;
+        });
+        return this.processing;
+    }
+
+    async _processAll() {
+        let ready = 0;
+        const entries = (await this.list()).filter(entry => entry.status === CAPTURE_STATUS.PENDING);
+
+        for (const entry of entries) {
+            if (navigator.onLine === false || !this.analysisService.hasApiKey()) break;
+
+            let changes;
+            try {
+                changes = { ...await this._analyze(entry), status: CAPTURE_STATUS.READY, error: null };
+                ready++;
+            } catch (error) {
+                console.warn('Queued analysis failed:', error);
+                if (isConnectionError(error)) break;
+
+                const attempts = entry.attempts + 1;
+                changes = {
+                    attempts,
+                    status: attempts >= MAX_ATTEMPTS ? CAPTURE_STATUS.FAILED : CAPTURE_STATUS.PENDING,
+                    error: error.message
+                };
+            }
+
+            // The mood may have been set, or the entry discarded, while it was analyzed
+            const current = await this.get(entry.id);
+            if (current) await this.storageService.putPendingCapture({ ...current, ...changes });
+            await this._changed();
+        }
+
+        return ready;
+    }
+
+    /**
+     * @returns {Promise<{result: Object, eatenAt: string|null}>}
+     */
+    async _analyze(entry) {
+        if (entry.kind === 'photo') {
+            return { result: await this.analysisService.analyzeImage(entry.photo), eatenAt: entry.eatenAt };
+        }
+
+        // "for lunch" means lunch on the day it was said, not the day it is analyzed
+        const { eatenAt, ...result } = await this.analysisService.parseVoiceLog(entry.text, new Date(entry.capturedAt));
+        return { result, eatenAt: eatenAt || entry.eatenAt };
+    }
+
+    async _changed() {
+        if (this.onChange) this.onChange(await this.list());
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Chat Service
  * Handles AI conversation with context awareness of user logs.
+ * Replies come from the same providers, in the same fallback order, as analysis.
  */
 export class ChatService {
     constructor(analysisService, storageService) {
@@ -10,12 +11,7 @@ export class ChatService {
     }
 
     async sendMessage(userMessage) {
-        // Check for API key based on selected provider
-        const apiKey = this.analysisService.provider === 'claude'
-            ? this.analysisService.claudeApiKey
-            : this.analysisService.geminiApiKey;
-
-        if (!apiKey) {
+        if (!this.analysisService.hasApiKey()) {
             throw new Error("API_KEY_MISSING");
         }
 
@@ -40,28 +36,8 @@ export class ChatService {
             If you see a clear pattern between a food and a bad mood, point it out gently but briefly.
         `;
 
-        const requestBody = {
-            contents: [{
-                parts: [{ text: systemPrompt }]
-            }]
-        };
-
-        const apiUrl = `${this.analysisService.geminiBaseUrl}${this.analysisService.geminiModel}:generateContent`;
-
         try {
-            const response = await fetch(`${apiUrl}?key=${apiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errData = await response.json();
-                throw new Error(errData.error?.message || 'API Request Failed');
-            }
-
-            const data = await response.json();
-            const reply = data.candidates[0].content.parts[0].text;
+            const reply = await this.analysisService.complete(systemPrompt, { temperature: 0.7, feature: 'chat' });
 
             this.history.push({ user: userMessage, bot: reply });
             return reply;
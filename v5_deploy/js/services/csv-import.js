@@ -0,0 +1,95 @@
+/**
+ * CSV Import
+ * Maps spreadsheet columns onto log fields. Output rows are raw entries that
+ * still go through StorageService's normal import validation.
+ */
+
+import { parseCSV } from '../utils/csv.js';
+import { detectDateOrder, parseLocaleDateTime } from '../utils/dates.js';
+
+export const CSV_FIELDS = [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'datetime', 'timestamp', 'datum', 'fecha', 'data'] },
+    { key: 'time', label: 'Time', aliases: ['time', 'hour', 'zeit', 'hora', 'heure'] },
+    { key: 'food', label: 'Food', required: true, aliases: ['food', 'meal', 'name', 'item', 'dish'] },
+    { key: 'calories', label: 'Calories', aliases: ['calories', 'kcal', 'cal', 'energy'] },
+    { key: 'protein', label: 'Protein', aliases: ['protein', 'proteins'] },
+    { key: 'carbs', label: 'Carbs', aliases: ['carbs', 'carbohydrates', 'carbohydrate'] },
+    { key: 'fats', label: 'Fats', aliases: ['fats', 'fat', 'lipids'] },
+    { key: 'mood', label: 'Mood', aliases: ['mood', 'feeling', 'feel'] },
+    { key: 'id', label: 'ID', aliases: ['id'] }
+];
+
+/**
+ * Split CSV text into a header row and data records
+ */
+export function readCSV(text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    const [headers, ...records] = rows;
+    return { headers: headers.map(h => h.trim()), records };
+}
+
+/**
+ * Map each field to a column index by matching header names (null if no match)
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+    const mapping = {};
+    const used = new Set();
+
+    CSV_FIELDS.forEach(field => {
+        const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+        mapping[field.key] = index === -1 ? null : index;
+        if (index !== -1) used.add(index);
+    });
+
+    return mapping;
+}
+
+/**
+ * Convert CSV records into raw log entries using a column mapping.
+ * Unreadable dates produce an entry without a timestamp, which validation rejects.
+ *
+ * @param {string[][]} records - Data rows (no header)
+ * @param {Object} mapping - field key → column index (or null)
+ * @param {Object} options
+ * @param {string[]} [options.dateOrder] - e.g. ['day', 'month', 'year']; detected from the data if omitted
+ */
+export function csvRecordsToEntries(records, mapping, { dateOrder = null } = {}) {
+    const missing = CSV_FIELDS.filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined));
+    if (missing.length > 0) {
+        throw new Error(`Map a column for: ${missing.map(field => field.label).join(', ')}`);
+    }
+
+    const cell = (record, key) => {
+        const index = mapping[key];
+        return index === null || index === undefined ? '' : (record[index] || '').trim();
+    };
+
+    const order = dateOrder || detectDateOrder(records.map(record => cell(record, 'date')));
+
+    return records.map(record => {
+        const date = parseLocaleDateTime(cell(record, 'date'), cell(record, 'time'), order);
+        const idValue = cell(record, 'id');
+        const numericId = Number(idValue);
+
+        const entry = {
+            timestamp: date ? date.toISOString() : null,
+            food: {
+                name: cell(record, 'food'),
+                calories: cell(record, 'calories'),
+                protein: cell(record, 'protein'),
+                carbs: cell(record, 'carbs'),
+                fats: cell(record, 'fats')
+            },
+            mood: cell(record, 'mood') || null
+        };
+
+        if (idValue) entry.id = isNaN(numericId) ? idValue : numericId;
+
+        return entry;
+    });
+}
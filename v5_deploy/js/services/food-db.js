@@ -0,0 +1,270 @@
+/**
+ * Food Database Service
+ * Offline nutrition lookup backed by the bundled table in js/data/foods.js.
+ * The table is copied into the profile's IndexedDB on first load (and again
+ * whenever FOODS_VERSION changes); searches run on an in-memory index.
+ *
+ * Used for typed and spoken logs when no AI provider is reachable, and for
+ * autocomplete when adding items by hand.
+ */
+
+import { FOODS, FOODS_VERSION, FOODS_SOURCE } from '../data/foods.js';
+import { portionedItem } from '../utils/nutrition.js';
+import { mealFromItems, withSource, SOURCES } from './meal-items.js';
+
+const MIN_SEARCH_SCORE = 0.55;
+const MIN_TEXT_SIMILARITY = 0.8;
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    half: 0.5, couple: 2, few: 3
+};
+
+function toRecord(row) {
+    const [id, name, calories, protein, carbs, fats, servingGrams, servingLabel, aliases = []] = row;
+    return {
+        id,
+        name,
+        aliases,
+        per100g: { calories, protein, carbs, fats },
+        serving: { grams: servingGrams, label: servingLabel },
+        version: FOODS_VERSION
+    };
+}
+
+/**
+ * Lowercase words without accents or punctuation, plural "s" dropped
+ */
+export function normalizeFoodName(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean)
+        .map(word => {
+            if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+            if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+            if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+            return word;
+        })
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * 1 for equal words, 0 for nothing in common. Short words must match exactly.
+ */
+function wordSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 4 || b.length < 4) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * How well a typed query matches one name or alias (0..1)
+ */
+function matchScore(query, key) {
+    if (query === key) return 1;
+    if (key.startsWith(query)) return 0.9;
+    if (key.split(' ').some(word => word.startsWith(query))) return 0.85;
+    if (key.includes(query)) return 0.8;
+
+    // Typos: every query word must be close to some word of the key
+    const keyWords = key.split(' ');
+    const similarities = query.split(' ').map(word => Math.max(...keyWords.map(keyWord => wordSimilarity(word, keyWord))));
+    if (similarities.some(similarity => similarity < 0.7)) return 0;
+
+    // Prefer keys without extra words ("chicken" over "chicken noodle soup")
+    const coverage = 0.9 + 0.1 * Math.min(1, similarities.length / keyWords.length);
+    return 0.75 * coverage * similarities.reduce((sum, similarity) => sum + similarity, 0) / similarities.length;
+}
+
+export class FoodDatabaseService {
+    constructor(storageService) {
+        this.storageService = storageService;
+        this.foods = [];
+        this.loading = null;
+    }
+
+    /**
+     * Load the table, seeding IndexedDB if it is missing or outdated.
+     * Safe to call repeatedly; reloads after a profile switch.
+     */
+    async load() {
+        this.loading = (async () => {
+            let records = null;
+            try {
+                records = await this.storageService.getFoods();
+            } catch (error) {
+                console.warn('Food table could not be read, using bundled copy:', error);
+            }
+
+            if (!records || records.length === 0 || records.some(record => record.version !== FOODS_VERSION)) {
+                records = FOODS.map(toRecord);
+                try {
+                    await this.storageService.replaceFoods(records);
+                } catch (error) {
+                    console.warn('Food table could not be stored:', error);
+                }
+            }
+
+            // "Oatmeal, cooked" is also found as "oatmeal"
+            this.foods = records.map(record => ({
+                ...record,
+                keys: [...new Set([record.name, record.name.split(',')[0], ...record.aliases].map(normalizeFoodName))]
+            }));
+        })();
+
+        return this.loading;
+    }
+
+    async ready() {
+        if (!this.loading) await this.load();
+        else await this.loading;
+    }
+
+    getFood(id) {
+        return this.foods.find(food => food.id === id) || null;
+    }
+
+    /**
+     * Foods whose name or alias matches a typed query, best first
+     * @returns {Array<{food: Object, score: number}>}
+     */
+    search(query, limit = 8) {
+        const normalized = normalizeFoodName(query);
+        if (!normalized) return [];
+
+        return this.foods
+            .map(food => ({ food, score: Math.max(...food.keys.map(key => matchScore(normalized, key))) }))
+            .filter(match => match.score >= MIN_SEARCH_SCORE)
+            .sort((a, b) => b.score - a.score || a.food.name.length - b.food.name.length)
+            .slice(0, limit);
+    }
+
+    /**
+     * Foods mentioned in a sentence ("two eggs and a slice of toast"), in order.
+     * Longer names win, so "peanut butter" is not also read as "butter".
+     * @returns {Array<{food: Object, score: number, start: number, length: number}>}
+     *   start/length locate the food name in the normalized words
+     */
+    findInText(text) {
+        const words = normalizeFoodName(text).split(' ').filter(Boolean);
+        const used = new Set();
+        const matches = [];
+
+        for (let match = this._bestMatch(words, used); match; match = this._bestMatch(words, used)) {
+            matches.push(match);
+            for (let i = match.start; i < match.start + match.length; i++) used.add(i);
+        }
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    _bestMatch(words, used) {
+        let best = null;
+
+        this.foods.forEach(food => {
+            food.keys.forEach(key => {
+                const keyWords = key.split(' ');
+
+                for (let start = 0; start + keyWords.length <= words.length; start++) {
+                    if (keyWords.some((_, i) => used.has(start + i))) continue;
+
+                    const similarities = keyWords.map((keyWord, i) => wordSimilarity(words[start + i], keyWord));
+                    if (similarities.some(similarity => similarity < MIN_TEXT_SIMILARITY)) continue;
+
+                    const score = similarities.reduce((sum, similarity) => sum + similarity, 0) / similarities.length;
+                    const better = !best ||
+                        keyWords.length > best.length ||
+                        (keyWords.length === best.length && score > best.score);
+
+                    if (better) best = { food, score, start, length: keyWords.length };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Item for an amount of a food: grams, or a number of its servings
+     */
+    toItem(food, { grams = null, servings = 1 } = {}) {
+        const item = portionedItem({
+            name: food.name,
+            portion: food.serving.label,
+            basis: { per: '100g', ...food.per100g },
+            amount: grams || food.serving.grams * servings
+        });
+        return { ...withSource(item, SOURCES.FOOD_DB), foodId: food.id };
+    }
+
+    /**
+     * Estimate a meal from free text without AI
+     * @returns {Object|null} food record (see meal-items.js), null if no food is recognized
+     */
+    estimateFromText(text) {
+        const words = normalizeFoodName(text).split(' ').filter(Boolean);
+        const matches = this.findInText(text);
+        if (matches.length === 0) return null;
+
+        const items = matches.map((match, index) => {
+            const previousEnd = index > 0 ? matches[index - 1].start + matches[index - 1].length : 0;
+            return this.toItem(match.food, this._quantity(words.slice(previousEnd, match.start)));
+        });
+        // "Oatmeal, Blueberries" rather than "Oatmeal, cooked, Blueberries"
+        return mealFromItems(matches.map(match => match.food.name.split(',')[0]).join(', '), items);
+    }
+
+    /**
+     * Amount from the words just before a food name:
+     * "150 g of", "150g", "two", "half an", "2 slices of"
+     */
+    _quantity(before) {
+        const words = before.slice(-4).filter(word => word !== 'of');
+
+        for (let i = words.length - 1; i >= 0; i--) {
+            const word = words[i];
+
+            const grams = word.match(/^(\d+)(g|kg)$/);
+            if (grams) return { grams: parseInt(grams[1], 10) * (grams[2] === 'kg' ? 1000 : 1) };
+            if (['g', 'gram', 'kg'].includes(word) && /^\d+$/.test(words[i - 1] || '')) {
+                return { grams: parseInt(words[i - 1], 10) * (word === 'kg' ? 1000 : 1) };
+            }
+
+            if (/^\d+$/.test(word)) return { servings: parseInt(word, 10) };
+            if (word in NUMBER_WORDS) {
+                // "half an avocado": the "an" must not override "half"
+                const previous = words[i - 1];
+                if (NUMBER_WORDS[word] === 1 && previous in NUMBER_WORDS) return { servings: NUMBER_WORDS[previous] };
+                return { servings: NUMBER_WORDS[word] };
+            }
+        }
+        return { servings: 1 };
+    }
+
+    getSourceLabel() {
+        return FOODS_SOURCE;
+    }
+}
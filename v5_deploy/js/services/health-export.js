@@ -0,0 +1,227 @@
+/**
+ * Health Export
+ * Converts the journal to standard health formats for clinics and other apps:
+ *
+ * - FHIR R5 Bundle (type 'collection'): one Patient for the profile, one
+ *   NutritionIntake per meal (a consumed item per food on the plate, energy in
+ *   kcal and macros in g, UCUM units) and one Observation per mood or
+ *   symptom, pointing at its meal through `focus`.
+ * - Open mHealth: an array of data points (food-intake and mood bodies).
+ *
+ * Both are validated against the bundled schemas in js/schemas/ before they
+ * are returned, so a malformed file never leaves the app.
+ */
+
+import { parseAmount } from './log-schema.js';
+import { validate } from '../utils/schema.js';
+import { parseGrams } from '../utils/nutrition.js';
+import { FHIR_BUNDLE_SCHEMA } from '../schemas/fhir-bundle.js';
+import { OMH_DATA_POINTS_SCHEMA, OMH_NAMESPACE, OMH_SCHEMA_VERSION } from '../schemas/open-mhealth.js';
+
+const SNOMED = 'http://snomed.info/sct';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+// INFOODS food component tagnames (FAO); there is no registered FHIR system for them
+const INFOODS = 'http://www.fao.org/infoods/tagnames';
+// Local code systems for values without a standard code
+const MOOD_SYSTEM = 'urn:nutrimood:mood';
+const LOG_ID_SYSTEM = 'urn:nutrimood:log';
+
+const FOOD_TYPE = { system: SNOMED, code: '255620007', display: 'Foods' };
+const MOOD_CODE = { system: SNOMED, code: '285854004', display: 'Emotion' };
+const SYMPTOM_CODE = { system: SNOMED, code: '418799008', display: 'Finding reported by subject or history provider' };
+const SURVEY_CATEGORY = { system: OBSERVATION_CATEGORY, code: 'survey', display: 'Survey' };
+
+const NUTRIENTS = [
+    { field: 'calories', omh: 'calories', unit: 'kcal', coding: { system: INFOODS, code: 'ENERC_KCAL', display: 'Energy' } },
+    { field: 'protein', omh: 'protein', unit: 'g', coding: { system: INFOODS, code: 'PROCNT', display: 'Protein, total' } },
+    { field: 'carbs', omh: 'carbohydrate', unit: 'g', coding: { system: INFOODS, code: 'CHOCDF', display: 'Carbohydrate, total' } },
+    { field: 'fats', omh: 'fat', unit: 'g', coding: { system: INFOODS, code: 'FAT', display: 'Fat, total' } }
+];
+
+// Mood names that describe a physical symptom rather than a feeling
+const SYMPTOMS = {
+    'Bloated': { system: SNOMED, code: '116289008', display: 'Abdominal bloating' },
+    'Tired': { system: SNOMED, code: '224960004', display: 'Tired' },
+    'Uneasy': null
+};
+
+function uuid() {
+    return crypto.randomUUID();
+}
+
+function slug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function resourceId(prefix, logId) {
+    return `${prefix}-${String(logId).replace(/[^A-Za-z0-9\-.]/g, '-')}`.slice(0, 64);
+}
+
+function chronological(logs) {
+    return [...logs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+function isoTime(timestamp) {
+    return new Date(timestamp).toISOString();
+}
+
+function nutrientAmounts(log) {
+    return NUTRIENTS
+        .map(nutrient => ({ ...nutrient, value: parseAmount(log.food?.[nutrient.field]) }))
+        .filter(nutrient => nutrient.value !== null && nutrient.value >= 0);
+}
+
+/**
+ * One consumed item per food on the plate; portions given in grams become amounts
+ */
+function consumedItems(log) {
+    const items = log.food?.items?.length > 0 ? log.food.items : [{ name: log.food?.name || 'Unknown food' }];
+
+    return items.map(item => {
+        const consumed = {
+            type: { coding: [FOOD_TYPE] },
+            nutritionProduct: { concept: { text: item.name } }
+        };
+        const grams = parseGrams(item.grams) || parseGrams(item.portion);
+        if (grams) {
+            consumed.amount = { value: grams, unit: 'g', system: UCUM, code: 'g' };
+        }
+        return consumed;
+    });
+}
+
+function assertValid(schema, data, label) {
+    const { valid, errors } = validate(schema, data);
+    if (!valid) {
+        console.error(`${label} export failed validation:`, errors);
+        throw new Error(`${label} export is invalid: ${errors.slice(0, 3).join('; ')}`);
+    }
+    return data;
+}
+
+function moodObservation(log, id, patientUrl, intakeUrl) {
+    const name = log.mood.mood;
+    const isSymptom = name in SYMPTOMS;
+    const valueCoding = isSymptom ? SYMPTOMS[name] : { system: MOOD_SYSTEM, code: slug(name) || 'unknown', display: name };
+
+    return {
+        resourceType: 'Observation',
+        id,
+        identifier: [{ system: LOG_ID_SYSTEM, value: String(log.id) }],
+        status: 'final',
+        category: [{ coding: [SURVEY_CATEGORY] }],
+        code: isSymptom
+            ? { coding: [SYMPTOM_CODE], text: 'Symptom after eating' }
+            : { coding: [MOOD_CODE], text: 'Mood after eating' },
+        subject: { reference: patientUrl },
+        focus: [{ reference: intakeUrl }],
+        effectiveDateTime: isoTime(log.timestamp),
+        valueCodeableConcept: valueCoding ? { coding: [valueCoding], text: name } : { text: name }
+    };
+}
+
+/**
+ * FHIR R5 Bundle of the given logs
+ * @param {Object[]} logs
+ * @param {Object} options
+ * @param {{id: string, name: string}} [options.profile] - Becomes the Patient
+ * @returns {Object} Bundle, already validated
+ */
+export function buildFHIRBundle(logs, { profile } = {}) {
+    const now = new Date().toISOString();
+    const patientUrl = `urn:uuid:${uuid()}`;
+    const entry = [{
+        fullUrl: patientUrl,
+        resource: {
+            resourceType: 'Patient',
+            id: resourceId('patient', profile?.id || 'default'),
+            name: [{ text: profile?.name || 'NutriMood user' }]
+        }
+    }];
+
+    chronological(logs).forEach(log => {
+        const intakeUrl = `urn:uuid:${uuid()}`;
+        const intake = {
+            resourceType: 'NutritionIntake',
+            id: resourceId('intake', log.id),
+            identifier: [{ system: LOG_ID_SYSTEM, value: String(log.id) }],
+            status: 'completed',
+            subject: { reference: patientUrl },
+            occurrenceDateTime: isoTime(log.timestamp),
+            reportedBoolean: true,
+            consumedItem: consumedItems(log),
+            ingredientLabel: nutrientAmounts(log).map(nutrient => ({
+                nutrient: { concept: { coding: [nutrient.coding], text: nutrient.coding.display } },
+                amount: { value: nutrient.value, unit: nutrient.unit, system: UCUM, code: nutrient.unit }
+            }))
+        };
+        entry.push({ fullUrl: intakeUrl, resource: intake });
+
+        if (log.mood?.mood) {
+            entry.push({
+                fullUrl: `urn:uuid:${uuid()}`,
+                resource: moodObservation(log, resourceId('mood', log.id), patientUrl, intakeUrl)
+            });
+        }
+    });
+
+    return assertValid(FHIR_BUNDLE_SCHEMA, {
+        resourceType: 'Bundle',
+        id: uuid(),
+        meta: { lastUpdated: now },
+        type: 'collection',
+        timestamp: now,
+        entry
+    }, 'FHIR');
+}
+
+/**
+ * Open mHealth data points for the given logs
+ * @param {Object[]} logs
+ * @param {Object} options
+ * @param {{id: string, name: string}} [options.profile] - Recorded as user_id
+ * @returns {Object[]} Data points, already validated
+ */
+export function buildOpenMHealth(logs, { profile } = {}) {
+    const now = new Date().toISOString();
+    const header = (name) => ({
+        id: uuid(),
+        creation_date_time: now,
+        schema_id: { namespace: OMH_NAMESPACE, name, version: OMH_SCHEMA_VERSION },
+        acquisition_provenance: { source_name: 'NutriMood', modality: 'self-reported' },
+        user_id: profile?.id || 'default'
+    });
+
+    const dataPoints = [];
+
+    chronological(logs).forEach(log => {
+        const time = { date_time: isoTime(log.timestamp) };
+        const intake = {
+            header: header('food-intake'),
+            body: {
+                food_name: log.food?.name || 'Unknown food',
+                effective_time_frame: time,
+                calories: { value: 0, unit: 'kcal' }
+            }
+        };
+        nutrientAmounts(log).forEach(nutrient => {
+            intake.body[nutrient.omh] = { value: nutrient.value, unit: nutrient.unit };
+        });
+        dataPoints.push(intake);
+
+        if (log.mood?.mood) {
+            dataPoints.push({
+                header: header('mood'),
+                body: {
+                    mood: log.mood.mood,
+                    is_symptom: log.mood.mood in SYMPTOMS,
+                    effective_time_frame: time,
+                    food_intake_id: intake.header.id
+                }
+            });
+        }
+    });
+
+    return assertValid(OMH_DATA_POINTS_SCHEMA, dataPoints, 'Open mHealth');
+}
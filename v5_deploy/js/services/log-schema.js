@@ -0,0 +1,156 @@
+/**
+ * Log Schema
+ * Validates and normalizes log entries coming from outside the app (imports).
+ * All importers go through normalizeLogEntry so stored entries share one shape:
+ * { id?, timestamp: ISO string, food: { name, calories: number, protein/carbs/fats: "Ng", items? }, mood: { mood, color } | null,
+ *   portion?: { servings: number, grams: number | null } }
+ */
+
+export const MOOD_COLORS = {
+    'Very Bad': '#ff4b4b',
+    'Bad': '#ff9f43',
+    'Neutral': '#feca57',
+    'Good': '#54a0ff',
+    'Feel OK': '#1dd1a1'
+};
+
+/**
+ * Parse "300", 300, "300kcal" or "12.5 g" into a number (null if not numeric)
+ */
+export function parseAmount(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const match = value.replace(',', '.').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+function normalizeMacro(value, field, errors) {
+    if (value === undefined || value === null || value === '') return '0g';
+
+    const amount = parseAmount(value);
+    if (amount === null || amount < 0) {
+        errors.push(`food.${field} must be a non-negative amount`);
+        return null;
+    }
+    return `${Math.round(amount)}g`;
+}
+
+function normalizeMood(value, errors) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const name = typeof value === 'string' ? value : value.mood;
+    if (typeof name !== 'string' || !name.trim()) {
+        errors.push('mood must be a mood name or { mood, color }');
+        return null;
+    }
+
+    const mood = name.trim();
+    const color = typeof value === 'object' && isMoodColor(value.color) ? value.color : MOOD_COLORS[mood] || '#ccc';
+    return { mood, color };
+}
+
+/**
+ * Colors end up in style attributes, so only hex colors are taken from a file
+ */
+function isMoodColor(value) {
+    return typeof value === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Validate one raw log entry.
+ * Unknown top-level fields are kept so newer exports survive a round trip.
+ *
+ * @returns {{entry: Object|null, errors: string[]}}
+ */
+export function normalizeLogEntry(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { entry: null, errors: ['entry must be an object'] };
+    }
+
+    const timestamp = new Date(raw.timestamp);
+    if (!raw.timestamp || isNaN(timestamp)) {
+        errors.push('timestamp is missing or not a valid date');
+    }
+
+    const food = raw.food;
+    if (!food || typeof food !== 'object') {
+        errors.push('food is missing');
+    } else if (typeof food.name !== 'string' || !food.name.trim()) {
+        errors.push('food.name is missing');
+    }
+
+    let calories = 0;
+    if (food && food.calories !== undefined && food.calories !== null && food.calories !== '') {
+        calories = parseAmount(food.calories);
+        if (calories === null || calories < 0) {
+            errors.push('food.calories must be a non-negative number');
+        }
+    }
+
+    // Itemized meals (see meal-items.js) keep their breakdown
+    if (food && food.items !== undefined && food.items !== null &&
+        (!Array.isArray(food.items) || food.items.some(item => typeof item?.name !== 'string' || !item.name.trim()))) {
+        errors.push('food.items must be a list of items with names');
+    }
+
+    const protein = normalizeMacro(food?.protein, 'protein', errors);
+    const carbs = normalizeMacro(food?.carbs, 'carbs', errors);
+    const fats = normalizeMacro(food?.fats, 'fats', errors);
+    const mood = normalizeMood(raw.mood, errors);
+
+    if (raw.id !== undefined && typeof raw.id !== 'number' && typeof raw.id !== 'string') {
+        errors.push('id must be a number or string');
+    }
+
+    // Exported photos travel as { type, data, thumbnail } data URLs
+    if (raw.photo !== undefined && raw.photo !== null &&
+        (typeof raw.photo?.data !== 'string' || !raw.photo.data.startsWith('data:image/'))) {
+        errors.push('photo must contain an image data URL');
+    }
+
+    if (errors.length > 0) return { entry: null, errors };
+
+    const entry = {
+        ...raw,
+        timestamp: timestamp.toISOString(),
+        food: {
+            ...food,
+            name: food.name.trim(),
+            calories: Math.round(calories),
+            protein,
+            carbs,
+            fats
+        },
+        mood
+    };
+
+    return { entry, errors };
+}
+
+/**
+ * Key used to spot the same meal logged twice without a shared id.
+ * Second precision, since CSV exports drop milliseconds.
+ */
+export function duplicateKey(entry) {
+    const time = new Date(entry.timestamp);
+    const timeKey = isNaN(time) ? String(entry.timestamp) : time.toISOString().slice(0, 19);
+    return `${timeKey}|${(entry.food?.name || '').trim().toLowerCase()}`;
+}
+
+/**
+ * True if an incoming entry changes the food, macros, mood or time of an existing one
+ */
+export function entryDiffers(existing, incoming) {
+    const food = existing.food || {};
+    const amount = (value) => parseAmount(value) || 0;
+
+    return duplicateKey(existing) !== duplicateKey(incoming) ||
+        amount(food.calories) !== amount(incoming.food.calories) ||
+        amount(food.protein) !== amount(incoming.food.protein) ||
+        amount(food.carbs) !== amount(incoming.food.carbs) ||
+        amount(food.fats) !== amount(incoming.food.fats) ||
+        Boolean(incoming.mood && incoming.mood.mood !== existing.mood?.mood);
+}
@@ -0,0 +1,159 @@
+/**
+ * Meal Items
+ * A logged meal can be broken down into the foods on the plate:
+ * food = { name, calories, protein, carbs, fats, items: [item] }
+ * item = { name, portion: '150 g' | '', calories: number, protein/carbs/fats: "Ng",
+ *          grams? | quantity?, basis?, details?, source?, foodId?, barcode?, ingredients? }
+ * Portion fields come from utils/nutrition.js. `source` records where each
+ * value came from, e.g. { calories: 'food-db', protein: 'food-db', ... }; a
+ * meal's source is 'mixed' for a value its items got from different places.
+ * When logged, the meal's macros are the sum of its items. Editing the totals
+ * later keeps the breakdown, so the individual foods stay known.
+ */
+
+import { parseAmount } from './log-schema.js';
+
+const MACROS = ['protein', 'carbs', 'fats'];
+const NUTRIENTS = ['calories', ...MACROS];
+
+export const SOURCES = {
+    AI: 'ai',
+    FOOD_DB: 'food-db',
+    PRODUCT: 'product',
+    MANUAL: 'manual',
+    MIXED: 'mixed'
+};
+
+function amount(value) {
+    const parsed = parseAmount(value);
+    return parsed !== null && parsed > 0 ? parsed : 0;
+}
+
+/**
+ * Clean up one item from the model or an import (null if it has no name)
+ */
+export function normalizeItem(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name) return null;
+
+    const item = {
+        name,
+        portion: typeof raw.portion === 'string' ? raw.portion.trim() : '',
+        calories: Math.round(amount(raw.calories))
+    };
+    MACROS.forEach(key => {
+        item[key] = `${Math.round(amount(raw[key]))}g`;
+    });
+
+    // Portion and provenance fields pass through unchanged
+    ['basis', 'grams', 'quantity', 'details', 'source', 'foodId', 'barcode', 'ingredients'].forEach(key => {
+        if (raw[key] !== undefined && raw[key] !== null) item[key] = raw[key];
+    });
+    return item;
+}
+
+/**
+ * Mark every value of an item as coming from one source
+ */
+export function withSource(item, source) {
+    const sources = {};
+    NUTRIENTS.forEach(key => {
+        sources[key] = source;
+    });
+    return { ...item, source: sources };
+}
+
+/**
+ * Per-value source of a meal, or null if its items do not record one
+ */
+function combineSources(items) {
+    if (!items.some(item => item.source)) return null;
+
+    const combined = {};
+    NUTRIENTS.forEach(key => {
+        const sources = new Set(items.map(item => item.source?.[key] || SOURCES.AI));
+        combined[key] = sources.size === 1 ? [...sources][0] : SOURCES.MIXED;
+    });
+    return combined;
+}
+
+/**
+ * Items of an analysis result; results without a list become one item
+ */
+export function itemsFromAnalysis(result) {
+    const items = Array.isArray(result?.items)
+        ? result.items.map(normalizeItem).filter(Boolean)
+        : [];
+
+    if (items.length > 0) return items;
+
+    const single = normalizeItem(result);
+    return single ? [single] : [];
+}
+
+/**
+ * Meal totals for a list of items
+ */
+export function sumItems(items) {
+    const totals = { calories: 0, protein: 0, carbs: 0, fats: 0 };
+
+    items.forEach(item => {
+        totals.calories += amount(item.calories);
+        MACROS.forEach(key => {
+            totals[key] += amount(item[key]);
+        });
+    });
+
+    return {
+        calories: Math.round(totals.calories),
+        protein: `${Math.round(totals.protein)}g`,
+        carbs: `${Math.round(totals.carbs)}g`,
+        fats: `${Math.round(totals.fats)}g`
+    };
+}
+
+/**
+ * Summed detail nutrients (fiber, sugar, sodium) of the items that know them,
+ * null if none do
+ */
+function sumDetails(items) {
+    const withDetails = items.filter(item => item.details);
+    if (withDetails.length === 0) return null;
+
+    const totals = {};
+    withDetails.forEach(item => {
+        Object.entries(item.details).forEach(([key, value]) => {
+            totals[key] = Math.round(((totals[key] || 0) + value) * 10) / 10;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Food record for a meal made of the given items
+ * @param {string} name - Meal name; falls back to the item names
+ */
+export function mealFromItems(name, items) {
+    const mealName = (name || '').trim() || items.map(item => item.name).join(', ');
+    const meal = { name: mealName, ...sumItems(items), items };
+
+    const source = combineSources(items);
+    if (source) meal.source = source;
+
+    // Partial: only the items whose label or catalog entry lists them
+    const details = sumDetails(items);
+    if (details) meal.details = details;
+    return meal;
+}
+
+/**
+ * Individual food names of a logged meal (the meal name if it has no items)
+ */
+export function foodNames(food) {
+    if (Array.isArray(food?.items) && food.items.length > 0) {
+        return [...new Set(food.items.map(item => item.name).filter(Boolean))];
+    }
+    return food?.name ? [food.name] : [];
+}
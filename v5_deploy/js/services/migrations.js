@@ -0,0 +1,267 @@
+/**
+ * IndexedDB Schema Migrations - V5S
+ * Ordered registry of schema versions. Each step creates its stores/indexes
+ * and may transform existing records inside the upgrade transaction.
+ *
+ * To change the schema, append a new step with the next version number.
+ * Never edit a step that has already shipped.
+ */
+
+export const STORES = {
+    LOGS: 'logs',
+    PHOTOS: 'photos',
+    TRASH: 'trash',
+    OUTBOX: 'outbox',
+    DAILY: 'daily',
+    FOODS: 'foods',
+    PRODUCTS: 'products',
+    RESPONSES: 'responses',
+    PENDING: 'pending',
+    USAGE: 'usage'
+};
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create logs store',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.LOGS)) {
+                const objectStore = db.createObjectStore(STORES.LOGS, { keyPath: 'id' });
+                objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+                objectStore.createIndex('foodName', 'food.name', { unique: false });
+                objectStore.createIndex('mood', 'mood.mood', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Create photos store (meal photo + thumbnail per log)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.PHOTOS)) {
+                db.createObjectStore(STORES.PHOTOS, { keyPath: 'logId' });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Create trash store for soft-deleted logs',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.TRASH)) {
+                const objectStore = db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+                objectStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Create sync outbox store (latest unsent change per log)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                db.createObjectStore(STORES.OUTBOX, { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Create daily aggregates store (filled from logs on first load)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.DAILY)) {
+                db.createObjectStore(STORES.DAILY, { keyPath: 'date' });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Create foods store (bundled nutrition table, seeded on first load)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.FOODS)) {
+                const objectStore = db.createObjectStore(STORES.FOODS, { keyPath: 'id' });
+                objectStore.createIndex('name', 'name', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Create products store (packaged foods by barcode)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.PRODUCTS)) {
+                db.createObjectStore(STORES.PRODUCTS, { keyPath: 'code' });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Index saved products (read from nutrition labels) by savedAt',
+        upgrade(db, transaction) {
+            const objectStore = transaction.objectStore(STORES.PRODUCTS);
+            if (!objectStore.indexNames.contains('savedAt')) {
+                objectStore.createIndex('savedAt', 'savedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Create responses store (cached AI replies by request hash)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.RESPONSES)) {
+                const objectStore = db.createObjectStore(STORES.RESPONSES, { keyPath: 'key' });
+                objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Create pending store (meals captured offline, waiting for analysis)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.PENDING)) {
+                const objectStore = db.createObjectStore(STORES.PENDING, { keyPath: 'id' });
+                objectStore.createIndex('capturedAt', 'capturedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Create usage store (one record per AI call: tokens and estimated cost)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.USAGE)) {
+                const objectStore = db.createObjectStore(STORES.USAGE, { keyPath: 'id', autoIncrement: true });
+                objectStore.createIndex('at', 'at', { unique: false });
+            }
+        }
+    }
+];
+
+// Registry must be ordered and gap-free: 1, 2, 3, ...
+MIGRATIONS.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+        throw new Error(`Migration registry out of order at version ${migration.version}`);
+    }
+});
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every step between oldVersion (exclusive) and newVersion (inclusive).
+ * Called from `onupgradeneeded` with the versionchange transaction.
+ */
+export function runMigrations(db, transaction, oldVersion, newVersion = DB_VERSION) {
+    MIGRATIONS
+        .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+        .forEach(migration => {
+            console.log(`Migrating IndexedDB to v${migration.version}: ${migration.description}`);
+            migration.upgrade(db, transaction);
+        });
+}
+
+/**
+ * Rewrite every record in a store during an upgrade.
+ * Return the new record from `transform`, or null to leave it untouched.
+ */
+export function transformRecords(transaction, storeName, transform) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const updated = transform(cursor.value);
+        if (updated) cursor.update(updated);
+        cursor.continue();
+    };
+}
+
+/**
+ * Open a database at a specific version, applying migrations up to it
+ */
+function openAtVersion(name, version) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = (event) => {
+            runMigrations(event.target.result, event.target.transaction, event.oldVersion, version);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Migration check blocked by another connection'));
+    });
+}
+
+function readAll(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function writeAll(db, storeName, records) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const objectStore = transaction.objectStore(storeName);
+        records.forEach(record => objectStore.put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function deleteDatabase(name) {
+    return new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+        request.onblocked = () => resolve();
+    });
+}
+
+/**
+ * Check that a database created at `fromVersion` upgrades to the current
+ * version with its data intact. Uses a throwaway database, never the real one.
+ *
+ * @param {number} fromVersion - Schema version to start from
+ * @param {Array} sampleLogs - Log records to seed before upgrading
+ * @returns {Promise<{ok: boolean, fromVersion: number, toVersion: number, seeded: number, found: number, missing: Array, changed: Array, stores: Array, error?: string}>}
+ */
+export async function verifyMigrations(fromVersion = 1, sampleLogs = []) {
+    const name = `NutriMoodDB_migration_check_${Date.now()}`;
+    const report = {
+        ok: false,
+        fromVersion,
+        toVersion: DB_VERSION,
+        seeded: sampleLogs.length,
+        found: 0,
+        missing: [],
+        changed: [],
+        stores: []
+    };
+
+    try {
+        const oldDb = await openAtVersion(name, fromVersion);
+        await writeAll(oldDb, STORES.LOGS, sampleLogs);
+        oldDb.close();
+
+        const newDb = await openAtVersion(name, DB_VERSION);
+        const upgraded = await readAll(newDb, STORES.LOGS);
+        report.stores = Array.from(newDb.objectStoreNames);
+        newDb.close();
+
+        const byId = new Map(upgraded.map(log => [log.id, log]));
+        report.found = upgraded.length;
+
+        sampleLogs.forEach(log => {
+            const after = byId.get(log.id);
+            if (!after) {
+                report.missing.push(log.id);
+            } else if (after.timestamp !== log.timestamp || after.food?.name !== log.food?.name || after.mood?.mood !== log.mood?.mood) {
+                report.changed.push(log.id);
+            }
+        });
+
+        report.ok = report.missing.length === 0 && report.changed.length === 0 && report.found === sampleLogs.length;
+    } catch (error) {
+        report.error = error?.message || String(error);
+    } finally {
+        await deleteDatabase(name);
+    }
+
+    return report;
+}
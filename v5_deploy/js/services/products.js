@@ -0,0 +1,373 @@
+/**
+ * Product Catalog Service
+ * Packaged foods by barcode, kept in the profile's IndexedDB. The catalog is
+ * filled by importing an Open Food Facts dump, and - when a product server
+ * is configured - by looking codes up on its Open Food Facts compatible API
+ * (e.g. server/product-server.js). Products found online are kept locally,
+ * so a code scanned once works offline afterwards.
+ *
+ * Products read from a nutrition label are saved too (origin 'label', with
+ * savedAt) for relogging; they keep the label's exact per-serving values.
+ * Labels without a scanned barcode get a "label-..." code.
+ *
+ * product = { code, name, brand, per100g: { calories, protein, carbs, fats, fiber?, sugar?, sodium? } | null,
+ *             perServing?, serving: { grams, label } | null, servingsPerContainer?,
+ *             ingredients, origin: 'openfoodfacts' | 'server' | 'label', savedAt?, updatedAt }
+ */
+
+import { profileKey, DEFAULT_PROFILE_ID } from './profiles.js';
+import { withSource, SOURCES } from './meal-items.js';
+import { normalizeBarcode, barcodeVariants } from '../utils/barcode.js';
+import { portionedItem, parseGrams, NUTRIENT_KEYS, DETAIL_KEYS } from '../utils/nutrition.js';
+import { detectDelimiter, parseCSV } from '../utils/csv.js';
+
+const PRODUCT_SERVER_KEY = 'nutrimood_product_server';
+const IMPORT_BATCH_SIZE = 500;
+const KJ_PER_KCAL = 4.184;
+// Labels that give salt instead of sodium: sodium (mg) = salt (g) × 400
+const SODIUM_MG_PER_SALT_G = 400;
+
+function amount(value) {
+    const parsed = parseFloat(value);
+    return isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Product record from an Open Food Facts product - an API `product`, a JSONL
+ * dump line or a CSV dump row (nutrient columns at the top level)
+ * @returns {Object|null} null without a valid barcode or energy value
+ */
+export function fromOpenFoodFacts(raw, origin = 'openfoodfacts') {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const code = normalizeBarcode(raw.code ?? raw._id);
+    const nutriments = raw.nutriments || raw;
+
+    let calories = amount(nutriments['energy-kcal_100g']);
+    if (calories === null) {
+        const kilojoules = amount(nutriments['energy-kj_100g'] ?? nutriments.energy_100g);
+        if (kilojoules !== null) calories = kilojoules / KJ_PER_KCAL;
+    }
+    if (!code || calories === null) return null;
+
+    const servingGrams = amount(raw.serving_quantity);
+    const sodium = amount(nutriments.sodium_100g);
+    const details = {
+        fiber: amount(nutriments.fiber_100g),
+        sugar: amount(nutriments.sugars_100g),
+        sodium: sodium === null ? null : sodium * 1000
+    };
+
+    return {
+        code,
+        name: String(raw.product_name || raw.generic_name || '').trim() || `Product ${code}`,
+        brand: String(raw.brands || '').split(',')[0].trim(),
+        per100g: {
+            calories: round(calories),
+            protein: round(amount(nutriments.proteins_100g) ?? 0),
+            carbs: round(amount(nutriments.carbohydrates_100g) ?? 0),
+            fats: round(amount(nutriments.fat_100g) ?? 0),
+            ...Object.fromEntries(Object.entries(details)
+                .filter(([, value]) => value !== null)
+                .map(([key, value]) => [key, round(value)]))
+        },
+        serving: servingGrams > 0
+            ? { grams: servingGrams, label: String(raw.serving_size || '').trim() || `${servingGrams} g` }
+            : null,
+        ingredients: String(raw.ingredients_text || '').trim(),
+        origin,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Clean up a nutrition label as read by the AI or typed into the label form.
+ * Values are per serving; a label that only lists values per 100 g becomes
+ * a 100 g serving. Unknown detail values stay null.
+ * @returns {{name: string, brand: string, servingSize: string, servingGrams: number|null,
+ *   servingsPerContainer: number|null, perServing: Object, ingredients: string}}
+ */
+export function normalizeLabel(raw) {
+    const per100g = raw?.basis === '100g';
+    const servingSize = per100g ? '100 g' : String(raw?.servingSize || '').trim();
+    const servingGrams = per100g ? 100 : (amount(raw?.servingGrams) || parseGrams(servingSize));
+
+    const perServing = {
+        calories: amount(raw?.calories) ?? 0,
+        protein: amount(raw?.protein) ?? 0,
+        carbs: amount(raw?.carbs) ?? 0,
+        fats: amount(raw?.fats ?? raw?.fat) ?? 0,
+        fiber: amount(raw?.fiber),
+        sugar: amount(raw?.sugar),
+        sodium: amount(raw?.sodium)
+    };
+    const salt = amount(raw?.salt);
+    if (perServing.sodium === null && salt !== null) perServing.sodium = Math.round(salt * SODIUM_MG_PER_SALT_G);
+
+    return {
+        name: String(raw?.name || '').trim(),
+        brand: String(raw?.brand || '').trim(),
+        servingSize: servingSize || (servingGrams ? `${servingGrams} g` : '1 serving'),
+        servingGrams: servingGrams || null,
+        servingsPerContainer: amount(raw?.servingsPerContainer),
+        perServing,
+        ingredients: String(raw?.ingredients || '').trim()
+    };
+}
+
+/**
+ * Saved product for a confirmed label
+ * @param {string} [code] - Barcode of the pack, if it was scanned
+ */
+function fromLabel(label, code = null) {
+    const now = new Date().toISOString();
+    const perServing = Object.fromEntries(Object.entries(label.perServing).filter(([, value]) => value !== null));
+
+    let per100g = null;
+    if (label.servingGrams) {
+        per100g = {};
+        [...NUTRIENT_KEYS, ...DETAIL_KEYS].forEach(key => {
+            if (key in perServing) per100g[key] = round(perServing[key] * 100 / label.servingGrams);
+        });
+    }
+
+    return {
+        code: normalizeBarcode(code) || `label-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: label.name || 'Labelled product',
+        brand: label.brand,
+        per100g,
+        perServing,
+        serving: { grams: label.servingGrams, label: label.servingSize },
+        servingsPerContainer: label.servingsPerContainer,
+        ingredients: label.ingredients,
+        origin: 'label',
+        savedAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Lines of a (possibly gzipped) file, read as a stream so large dumps fit in memory
+ */
+async function* readLines(file) {
+    let stream = file.stream();
+    if (/\.gz$/i.test(file.name || '')) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        yield* lines;
+    }
+    if (buffer) yield buffer;
+}
+
+export class ProductCatalogService {
+    constructor(storageService, profileId = DEFAULT_PROFILE_ID) {
+        this.storageService = storageService;
+        this.switchProfile(profileId);
+    }
+
+    switchProfile(profileId) {
+        this.profileId = profileId;
+        this.serverUrl = localStorage.getItem(profileKey(PRODUCT_SERVER_KEY, profileId)) || '';
+    }
+
+    getServerUrl() {
+        return this.serverUrl;
+    }
+
+    /**
+     * Base URL of an Open Food Facts compatible server, '' to stay local-only
+     */
+    setServerUrl(url) {
+        const value = String(url || '').trim().replace(/\/+$/, '');
+        if (value && !/^https?:\/\/\S+$/i.test(value)) {
+            throw new Error('Product server must be an http(s) URL');
+        }
+
+        this.serverUrl = value;
+        if (value) localStorage.setItem(profileKey(PRODUCT_SERVER_KEY, this.profileId), value);
+        else localStorage.removeItem(profileKey(PRODUCT_SERVER_KEY, this.profileId));
+    }
+
+    async count() {
+        return this.storageService.countProducts();
+    }
+
+    /**
+     * Save a confirmed nutrition label as a product
+     * @param {Object} label - See normalizeLabel
+     * @param {string} [code] - Barcode scanned for this pack; later scans then find it
+     * @returns {Promise<Object>} the saved product
+     */
+    async saveLabel(label, code = null) {
+        const product = fromLabel(normalizeLabel(label), code);
+        await this.storageService.putProducts([product]);
+        return product;
+    }
+
+    async getSaved() {
+        return this.storageService.getSavedProducts();
+    }
+
+    async remove(code) {
+        await this.storageService.deleteProduct(code);
+    }
+
+    /**
+     * Find a product by barcode: the local catalog first, then the product server
+     * @param {string} code - Scanned or typed code
+     * @param {string} [format] - Format reported by the scanner
+     * @returns {Promise<Object|null>} product, null if neither knows the code
+     */
+    async lookup(code, format = '') {
+        const normalized = normalizeBarcode(code, format);
+        if (!normalized) throw new Error('INVALID_BARCODE');
+
+        const local = await this.storageService.getProduct(barcodeVariants(normalized));
+        if (local) return local;
+
+        if (!this.serverUrl || !navigator.onLine) return null;
+
+        const remote = await this._fetchProduct(normalized);
+        if (remote) {
+            try {
+                await this.storageService.putProducts([remote]);
+            } catch (error) {
+                console.warn('Product could not be cached:', error);
+            }
+        }
+        return remote;
+    }
+
+    async _fetchProduct(code) {
+        let response;
+        try {
+            response = await fetch(`${this.serverUrl}/api/v2/product/${code}.json`);
+        } catch (error) {
+            throw new Error('Product server is not reachable');
+        }
+
+        // Open Food Facts answers 404 with { status: 0 } for unknown codes
+        const data = await response.json().catch(() => null);
+        if (response.status === 404 || data?.status === 0) return null;
+        if (!response.ok || !data) throw new Error(`Product server error (${response.status})`);
+
+        return fromOpenFoodFacts({ code, ...data.product }, 'server');
+    }
+
+    /**
+     * Add the products of an Open Food Facts dump to the catalog:
+     * JSONL (openfoodfacts-products.jsonl, optionally .gz), a JSON array,
+     * or the tab-separated CSV export. Rows without a barcode or energy value
+     * are skipped.
+     * @param {File|Blob} file
+     * @param {Function} [onProgress] - Called with the number imported so far
+     * @returns {Promise<{imported: number, skipped: number}>}
+     */
+    async importDump(file, onProgress = null) {
+        let imported = 0;
+        let skipped = 0;
+        let batch = [];
+
+        const add = async (raw) => {
+            const product = fromOpenFoodFacts(raw);
+            if (!product) {
+                skipped++;
+                return;
+            }
+            batch.push(product);
+            if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+        };
+        const flush = async () => {
+            if (batch.length === 0) return;
+            await this.storageService.putProducts(batch);
+            imported += batch.length;
+            batch = [];
+            if (onProgress) onProgress(imported);
+        };
+
+        let format = null;
+        let header = null;
+        let delimiter = '\t';
+        let arrayText = '';
+
+        for await (const rawLine of readLines(file)) {
+            const line = rawLine.replace(/^\uFEFF/, '').replace(/\r$/, '');
+            if (!line.trim()) continue;
+
+            if (!format) {
+                const first = line.trim()[0];
+                format = first === '{' ? 'jsonl' : first === '[' ? 'json' : 'csv';
+                if (format === 'csv') {
+                    delimiter = detectDelimiter(line);
+                    header = parseCSV(line, delimiter)[0].map(name => name.trim());
+                    if (!header.includes('code')) throw new Error('This file is not an Open Food Facts dump (no "code" column)');
+                    continue;
+                }
+            }
+
+            if (format === 'json') {
+                arrayText += `${line}\n`;
+            } else if (format === 'jsonl') {
+                let raw = null;
+                try {
+                    raw = JSON.parse(line);
+                } catch (error) {
+                    // A damaged line only loses that product
+                }
+                await add(raw);
+            } else {
+                // The official export is tab-separated without quoting; names may contain quotes
+                const cells = delimiter === '\t' ? line.split('\t') : parseCSV(line, delimiter)[0] || [];
+                await add(Object.fromEntries(header.map((name, index) => [name, cells[index]])));
+            }
+        }
+
+        if (format === 'json') {
+            let products;
+            try {
+                products = JSON.parse(arrayText);
+            } catch (error) {
+                throw new Error('This file is not valid JSON');
+            }
+            for (const raw of products) await add(raw);
+        }
+
+        await flush();
+        if (!format) throw new Error('The file is empty');
+        return { imported, skipped };
+    }
+
+    /**
+     * Meal item for a product: one serving if the pack states it, else 100 g.
+     * Label products keep their exact per-serving values unless grams are given.
+     */
+    toItem(product, grams = null) {
+        const byServing = product.perServing && !(grams && product.per100g);
+        const item = portionedItem({
+            name: product.brand && !product.name.includes(product.brand)
+                ? `${product.name} (${product.brand})`
+                : product.name,
+            portion: product.serving?.label || '100 g',
+            basis: byServing ? { per: 'serving', ...product.perServing } : { per: '100g', ...product.per100g },
+            amount: byServing ? 1 : grams || product.serving?.grams || 100
+        });
+        return {
+            ...withSource(item, SOURCES.PRODUCT),
+            ...(/^\d+$/.test(product.code) ? { barcode: product.code } : {}),
+            ...(product.ingredients ? { ingredients: product.ingredients } : {})
+        };
+    }
+}
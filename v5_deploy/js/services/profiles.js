@@ -0,0 +1,156 @@
+/**
+ * Profile Service
+ * Several people can keep separate journals on one device. Each profile gets
+ * its own IndexedDB database and its own localStorage keys (logs, trash,
+ * AI keys and preferences).
+ *
+ * The default profile keeps the original names (NutriMoodDB, nutrimood_logs,
+ * claude_api_key, ...) so existing data needs no migration.
+ */
+
+const PROFILES_KEY = 'nutrimood_profiles';
+const ACTIVE_PROFILE_KEY = 'nutrimood_active_profile';
+const DB_NAME = 'NutriMoodDB';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * localStorage key for a profile-scoped setting
+ */
+export function profileKey(baseKey, profileId = DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}_${profileId}`;
+}
+
+/**
+ * IndexedDB database name for a profile
+ */
+export function profileDBName(profileId = DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}_${profileId}`;
+}
+
+// Every per-profile localStorage key, so deleting a profile leaves nothing behind
+export const PROFILE_SCOPED_KEYS = [
+    'nutrimood_logs',
+    'nutrimood_logs_backup',
+    'nutrimood_trash',
+    'nutrimood_trash_retention_days',
+    'nutrimood_outbox',
+    'nutrimood_daily_fingerprint',
+    'nutrimood_sync',
+    'nutrimood_product_server',
+    'claude_api_key',
+    'gemini_api_key',
+    'ai_provider',
+    'ai_fallbacks',
+    'gemini_model',
+    'openai_base_url',
+    'openai_api_key',
+    'openai_model',
+    'ai_budget',
+    'ai_budget_block'
+];
+
+export class ProfileService {
+    constructor() {
+        this.profiles = this._load();
+
+        const activeId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+        this.activeId = this.profiles.some(p => p.id === activeId) ? activeId : DEFAULT_PROFILE_ID;
+    }
+
+    _load() {
+        let profiles = [];
+        try {
+            profiles = JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+        } catch (e) {
+            console.error('Failed to load profiles:', e);
+        }
+
+        if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Me', createdAt: new Date().toISOString() });
+        }
+        return profiles;
+    }
+
+    _save() {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(this.profiles));
+    }
+
+    _validName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+        if (this.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    getProfiles() {
+        return [...this.profiles];
+    }
+
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeId);
+    }
+
+    /**
+     * Create a profile (does not switch to it)
+     */
+    createProfile(name) {
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: this._validName(name),
+            createdAt: new Date().toISOString()
+        };
+
+        this.profiles.push(profile);
+        this._save();
+        return profile;
+    }
+
+    renameProfile(id, name) {
+        const profile = this.getProfile(id);
+        if (!profile) throw new Error('Profile not found');
+
+        profile.name = this._validName(name, id);
+        this._save();
+        return profile;
+    }
+
+    setActiveProfile(id) {
+        if (!this.getProfile(id)) throw new Error('Profile not found');
+
+        this.activeId = id;
+        localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+    }
+
+    /**
+     * Delete a profile and all of its data. The default and the active
+     * profile cannot be deleted.
+     */
+    async deleteProfile(id) {
+        if (id === DEFAULT_PROFILE_ID) throw new Error('The main profile cannot be deleted');
+        if (id === this.activeId) throw new Error('Switch to another profile before deleting this one');
+        if (!this.getProfile(id)) throw new Error('Profile not found');
+
+        PROFILE_SCOPED_KEYS.forEach(key => localStorage.removeItem(profileKey(key, id)));
+
+        if ('indexedDB' in window) {
+            await new Promise((resolve) => {
+                const request = indexedDB.deleteDatabase(profileDBName(id));
+                request.onsuccess = () => resolve();
+                request.onerror = () => resolve();
+                request.onblocked = () => resolve();
+            });
+        }
+
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this._save();
+    }
+}
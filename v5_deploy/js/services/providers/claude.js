@@ -0,0 +1,82 @@
+/**
+ * Claude Provider
+ * Anthropic Messages API. See index.js for the provider interface.
+ */
+
+import { splitDataURL } from '../../utils/image.js';
+import { fetchWithRetry } from '../../utils/http.js';
+
+const BASE_URL = 'https://api.anthropic.com/v1';
+const MODEL = 'claude-sonnet-4-20250514';
+
+export class ClaudeProvider {
+    constructor({ apiKey = '' } = {}) {
+        this.id = 'claude';
+        this.apiKey = apiKey;
+        this.baseUrl = BASE_URL;
+        this.model = MODEL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    _headers() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    _toMessage({ role, text, image }) {
+        if (!image) return { role, content: text };
+
+        const { mimeType, data } = splitDataURL(image);
+        return {
+            role,
+            content: [
+                { type: 'image', source: { type: 'base64', media_type: mimeType, data } },
+                { type: 'text', text }
+            ]
+        };
+    }
+
+    async complete(messages, options = {}) {
+        const requestBody = {
+            model: this.model,
+            max_tokens: options.maxTokens || 1024,
+            temperature: options.temperature || 0.0,
+            messages: messages.map(message => this._toMessage(message))
+        };
+
+        const response = await fetchWithRetry(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: this._headers(),
+            body: JSON.stringify(requestBody)
+        }, { timeout: options.timeout, signal: options.signal });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error?.message || 'Claude API request failed');
+        }
+
+        const responseData = await response.json();
+        return {
+            text: responseData.content[0].text,
+            usage: {
+                model: responseData.model || this.model,
+                inputTokens: responseData.usage?.input_tokens || 0,
+                outputTokens: responseData.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    async listModels() {
+        const response = await fetchWithRetry(`${this.baseUrl}/models`, { headers: this._headers() });
+        if (!response.ok) throw new Error('Failed to list models');
+
+        const data = await response.json();
+        return data.data.map(model => model.id);
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Gemini Provider
+ * Google Generative Language API. See index.js for the provider interface.
+ */
+
+import { splitDataURL } from '../../utils/image.js';
+import { fetchWithRetry } from '../../utils/http.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+export class GeminiProvider {
+    constructor({ apiKey = '', model = '' } = {}) {
+        this.id = 'gemini';
+        this.apiKey = apiKey;
+        this.model = model || DEFAULT_MODEL;
+        this.baseUrl = BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    _toContent({ role, text, image }) {
+        const parts = [{ text }];
+        if (image) {
+            const { mimeType, data } = splitDataURL(image);
+            parts.push({ inline_data: { mime_type: mimeType, data } });
+        }
+        return { role: role === 'assistant' ? 'model' : 'user', parts };
+    }
+
+    async complete(messages, options = {}) {
+        const requestBody = {
+            contents: messages.map(message => this._toContent(message)),
+            generationConfig: {
+                temperature: options.temperature || 0.0
+            }
+        };
+
+        const apiUrl = `${this.baseUrl}/${this.model}:generateContent`;
+
+        const response = await fetchWithRetry(`${apiUrl}?key=${this.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requestBody)
+        }, { timeout: options.timeout, signal: options.signal });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error?.message || 'Gemini API request failed');
+        }
+
+        const responseData = await response.json();
+        return {
+            text: responseData.candidates[0].content.parts[0].text,
+            usage: {
+                model: responseData.modelVersion || this.model,
+                inputTokens: responseData.usageMetadata?.promptTokenCount || 0,
+                outputTokens: responseData.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    }
+
+    async listModels() {
+        const response = await fetchWithRetry(`${this.baseUrl}?key=${this.apiKey}`);
+        if (!response.ok) throw new Error('Failed to list models');
+
+        const data = await response.json();
+        return data.models.map(model => model.name.replace('models/', ''));
+    }
+}
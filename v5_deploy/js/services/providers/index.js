@@ -0,0 +1,64 @@
+/**
+ * AI Provider Registry
+ * Every provider implements the same interface:
+ *   id                          - registry id
+ *   isConfigured()              - whether it has what it needs to make requests
+ *   complete(messages, options) - { text, usage: { model, inputTokens, outputTokens } }
+ *                                 replying to a conversation. messages are
+ *                                 { role: 'user' | 'assistant', text, image? },
+ *                                 image a data URL (vision); options are
+ *                                 { temperature?, maxTokens?, timeout?, signal? }
+ *                                 (see fetchWithRetry in utils/http.js)
+ *   listModels()                - names of the models it offers
+ * A provider is built from its settings, each stored per profile under its
+ * own localStorage key (see profiles.js).
+ */
+
+import { ClaudeProvider } from './claude.js';
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai.js';
+
+const PROVIDERS = new Map();
+
+/**
+ * @param {Object} definition
+ * @param {string} definition.id
+ * @param {string} definition.label - Name shown to the user
+ * @param {Object<string, string>} definition.settings - Setting name -> localStorage key
+ * @param {Function} definition.create - (settings) => provider
+ */
+export function registerProvider(definition) {
+    PROVIDERS.set(definition.id, definition);
+}
+
+export function getProviderDefinition(id) {
+    return PROVIDERS.get(id) || null;
+}
+
+/**
+ * Registered providers, in registration order
+ */
+export function getProviderDefinitions() {
+    return [...PROVIDERS.values()];
+}
+
+registerProvider({
+    id: 'claude',
+    label: 'Claude',
+    settings: { apiKey: 'claude_api_key' },
+    create: settings => new ClaudeProvider(settings)
+});
+
+registerProvider({
+    id: 'gemini',
+    label: 'Google Gemini',
+    settings: { apiKey: 'gemini_api_key', model: 'gemini_model' },
+    create: settings => new GeminiProvider(settings)
+});
+
+registerProvider({
+    id: 'openai',
+    label: 'Local model (OpenAI-compatible)',
+    settings: { baseUrl: 'openai_base_url', apiKey: 'openai_api_key', model: 'openai_model' },
+    create: settings => new OpenAICompatibleProvider(settings)
+});
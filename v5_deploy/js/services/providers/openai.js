@@ -0,0 +1,87 @@
+/**
+ * OpenAI-compatible Provider
+ * Chat Completions API as served by OpenAI and by local model servers such
+ * as Ollama (http://localhost:11434/v1) and llama.cpp's llama-server
+ * (http://localhost:8080/v1). Photos need a vision model. See index.js for
+ * the provider interface.
+ */
+
+import { fetchWithRetry } from '../../utils/http.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+
+// Local models on a CPU can take minutes for a photo
+const LOCAL_TIMEOUT = 180000;
+
+export class OpenAICompatibleProvider {
+    constructor({ baseUrl = '', apiKey = '', model = '' } = {}) {
+        this.id = 'openai';
+        this.baseUrl = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    /**
+     * Local servers need no key, but a model has to be chosen
+     */
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    _headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    _toMessage({ role, text, image }) {
+        if (!image) return { role, content: text };
+
+        return {
+            role,
+            content: [
+                { type: 'text', text },
+                { type: 'image_url', image_url: { url: image } }
+            ]
+        };
+    }
+
+    async complete(messages, options = {}) {
+        // No max_tokens: local servers otherwise stop at their own, often small, default
+        const requestBody = {
+            model: this.model,
+            temperature: options.temperature || 0.0,
+            messages: messages.map(message => this._toMessage(message))
+        };
+        if (options.maxTokens) requestBody.max_tokens = options.maxTokens;
+
+        const response = await fetchWithRetry(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this._headers(),
+            body: JSON.stringify(requestBody)
+        }, { timeout: options.timeout || LOCAL_TIMEOUT, signal: options.signal });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error?.message || `Model server request failed (HTTP ${response.status})`);
+        }
+
+        const responseData = await response.json();
+        return {
+            text: responseData.choices[0].message.content,
+            usage: {
+                model: responseData.model || this.model,
+                inputTokens: responseData.usage?.prompt_tokens || 0,
+                outputTokens: responseData.usage?.completion_tokens || 0
+            }
+        };
+    }
+
+    async listModels() {
+        const response = await fetchWithRetry(`${this.baseUrl}/models`, { headers: this._headers() });
+        if (!response.ok) throw new Error('Failed to list models');
+
+        const data = await response.json();
+        return data.data.map(model => model.id);
+    }
+}
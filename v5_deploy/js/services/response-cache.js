@@ -0,0 +1,72 @@
+/**
+ * Response Cache
+ * AI replies kept in the profile's IndexedDB, keyed by a SHA-256 hash of the
+ * whole request (provider, model, prompt, image and options), so a reply is
+ * only reused for exactly the same request. Entries expire after a TTL and
+ * the oldest are dropped beyond a maximum count. Without IndexedDB or Web
+ * Crypto nothing is cached.
+ */
+
+export const DEFAULT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const DEFAULT_CACHE_ENTRIES = 200;
+
+export class ResponseCacheService {
+    /**
+     * @param {StorageService} storageService
+     * @param {Object} options
+     * @param {number} [options.ttl] - Milliseconds a reply stays usable
+     * @param {number} [options.maxEntries] - Replies kept at most
+     */
+    constructor(storageService, { ttl = DEFAULT_CACHE_TTL, maxEntries = DEFAULT_CACHE_ENTRIES } = {}) {
+        this.storageService = storageService;
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Hex SHA-256 of a request, null where Web Crypto is unavailable
+     * (e.g. pages not served over https or localhost)
+     */
+    async key(request) {
+        if (!globalThis.crypto?.subtle) return null;
+
+        const bytes = new TextEncoder().encode(JSON.stringify(request));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Cached reply, or null if there is none or it has expired
+     */
+    async get(key) {
+        if (!key) return null;
+
+        try {
+            const entry = await this.storageService.getCachedResponse(key);
+            if (!entry || Date.now() - entry.createdAt > this.ttl) return null;
+            return entry.value;
+        } catch (error) {
+            console.warn('Response cache read failed:', error);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        if (!key) return;
+
+        try {
+            const now = Date.now();
+            await this.storageService.putCachedResponse({ key, value, createdAt: now });
+            await this.storageService.pruneCachedResponses({
+                createdBefore: now - this.ttl,
+                maxEntries: this.maxEntries
+            });
+        } catch (error) {
+            console.warn('Response cache write failed:', error);
+        }
+    }
+
+    async clear() {
+        await this.storageService.clearCachedResponses();
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Storage Pressure Service
+ * Watches how full the browser storage is and suggests what to archive.
+ * It never deletes anything itself: archiving downloads a file first and
+ * removal needs the user's confirmation (see App.handleArchive).
+ */
+
+export const WARN_PERCENT = 80;
+export const CRITICAL_PERCENT = 95;
+export const DEFAULT_ARCHIVE_DAYS = 90;
+
+export class StoragePressureService {
+    constructor(storageService) {
+        this.storageService = storageService;
+        this.dismissedLevel = null;
+    }
+
+    /**
+     * Current pressure level
+     * @returns {Promise<{level: 'ok'|'warn'|'critical', usage: Object|null, saveFailed: boolean}>}
+     */
+    async check() {
+        const saveFailed = this.storageService.storageFull;
+        let usage = null;
+
+        try {
+            usage = await this.storageService.getStorageUsage();
+        } catch (error) {
+            console.warn('Storage estimate failed:', error);
+        }
+
+        let level = 'ok';
+        if (saveFailed || (usage && usage.percentage >= CRITICAL_PERCENT)) {
+            level = 'critical';
+        } else if (usage && usage.percentage >= WARN_PERCENT) {
+            level = 'warn';
+        }
+
+        // Forget a dismissal once things are back to normal
+        if (level === 'ok') this.dismissedLevel = null;
+
+        return { level, usage, saveFailed };
+    }
+
+    /**
+     * Warnings can be dismissed until the level rises; critical ones cannot
+     */
+    dismiss(level) {
+        if (level === 'warn') this.dismissedLevel = level;
+    }
+
+    isDismissed(level) {
+        return level === 'warn' && this.dismissedLevel === 'warn';
+    }
+
+    /**
+     * Logs that would be archived for a given age
+     * @param {number} days - Archive entries older than this many days
+     */
+    getArchiveCandidates(days = DEFAULT_ARCHIVE_DAYS) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+        return this.storageService.getLogsBefore(cutoff);
+    }
+}
+
+/**
+ * Human-readable byte size, e.g. "4.2 MB"
+ */
+export function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
@@ -3,18 +3,112 @@
  * Enhanced storage with IndexedDB support, data migration, and export/import
  */
 
+import { DB_VERSION, STORES, runMigrations, verifyMigrations } from './migrations.js';
+import { normalizeLogEntry, duplicateKey, entryDiffers } from './log-schema.js';
+import { readCSV, guessColumnMapping, csvRecordsToEntries } from './csv-import.js';
+import { toCSV } from '../utils/csv.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from './backup-crypto.js';
+import { blobToDataURL, dataURLToBlob } from '../utils/image.js';
+import { DEFAULT_PROFILE_ID, profileKey, profileDBName } from './profiles.js';
+import { nextRevision, compareRevisions } from '../utils/revisions.js';
+import { getDeviceId } from './sync.js';
+import {
+    dayKey, emptyDay, applyLogToDay, buildDailyAggregates,
+    summarizeWeek, sensitivityFromDays, nutrientTrendsFromDays, streakFromDays
+} from './aggregates.js';
+import { buildFHIRBundle, buildOpenMHealth } from './health-export.js';
+
 const STORAGE_KEY = 'nutrimood_logs';
-const DB_NAME = 'NutriMoodDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'logs';
+const STORE_NAME = STORES.LOGS;
+const PHOTO_STORE = STORES.PHOTOS;
+const TRASH_STORE = STORES.TRASH;
+const OUTBOX_STORE = STORES.OUTBOX;
+const DAILY_STORE = STORES.DAILY;
+const FOODS_STORE = STORES.FOODS;
+const PRODUCTS_STORE = STORES.PRODUCTS;
+const RESPONSES_STORE = STORES.RESPONSES;
+const PENDING_STORE = STORES.PENDING;
+const USAGE_STORE = STORES.USAGE;
+const OUTBOX_KEY = 'nutrimood_outbox';
+const TRASH_KEY = 'nutrimood_trash';
+const TRASH_RETENTION_KEY = 'nutrimood_trash_retention_days';
+const DAILY_FINGERPRINT_KEY = 'nutrimood_daily_fingerprint';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Browsers allow roughly 5 MB of localStorage per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
 
 export class StorageService {
-    constructor() {
+    constructor(profileId = DEFAULT_PROFILE_ID) {
         this.db = null;
         this.logs = [];
+        this.trash = [];
+        this.daily = new Map();
+        this._setProfile(profileId);
+        this.useIndexedDB = this._checkIndexedDBSupport();
+
+        // Called with the changed records after every local write (see SyncService)
+        this.onChange = null;
+
+        // Set when the last localStorage write failed for lack of space; the
+        // journal stays in memory until a later write succeeds
+        this.storageFull = false;
+        this.onStorageFull = null;
+
+        // Settles once the journal is loaded; await it instead of calling init() again
+        this.ready = this.init();
+    }
+
+    /**
+     * Point every database name and localStorage key at a profile
+     */
+    _setProfile(profileId) {
+        this.profileId = profileId;
+        this.dbName = profileDBName(profileId);
+        this.storageKey = profileKey(STORAGE_KEY, profileId);
+        this.trashKey = profileKey(TRASH_KEY, profileId);
+        this.trashRetentionKey = profileKey(TRASH_RETENTION_KEY, profileId);
+        this.outboxKey = profileKey(OUTBOX_KEY, profileId);
+        this.dailyFingerprintKey = profileKey(DAILY_FINGERPRINT_KEY, profileId);
+    }
+
+    /**
+     * Revision fields for a local write of `record`
+     */
+    _revision(record) {
+        return nextRevision(record, getDeviceId());
+    }
+
+    /**
+     * Report local writes. Live logs, trash records (deletedAt set) and
+     * tombstones of hard-deleted logs all carry their new revision.
+     */
+    _notifyChange(records) {
+        if (!this.onChange || records.length === 0) return;
+
+        try {
+            this.onChange(records);
+        } catch (error) {
+            console.error('Change listener failed:', error);
+        }
+    }
+
+    /**
+     * Close the current profile's database and load another profile's journal
+     */
+    async switchProfile(profileId) {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+
+        this.logs = [];
+        this.trash = [];
+        this.daily = new Map();
+        this._setProfile(profileId);
         this.useIndexedDB = this._checkIndexedDBSupport();
 
-        this.init();
+        this.ready = this.init();
+        await this.ready;
     }
 
     /**
@@ -27,6 +121,10 @@ export class StorageService {
         } else {
             this.logs = this._loadFromLocalStorage();
         }
+
+        await this._loadAggregates();
+        await this._loadTrash();
+        await this.purgeExpiredTrash();
     }
 
     /**
@@ -41,7 +139,7 @@ export class StorageService {
      */
     async _initIndexedDB() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(this.dbName, DB_VERSION);
 
             request.onerror = () => {
                 console.error('IndexedDB failed to open');
@@ -52,22 +150,49 @@ export class StorageService {
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+
+                // Another tab is upgrading the schema - let it proceed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.warn('Database upgraded in another tab. Please reload.');
+                };
+
                 this._loadFromIndexedDB().then(resolve);
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+                runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
+            };
 
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                    objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    objectStore.createIndex('foodName', 'food.name', { unique: false });
-                    objectStore.createIndex('mood', 'mood.mood', { unique: false });
-                }
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked - close other NutriMood tabs');
             };
         });
     }
 
+    /**
+     * Check that a database at an older schema version upgrades cleanly.
+     * Seeds a throwaway database with a copy of recent logs (or a sample).
+     */
+    async verifySchemaUpgrade(fromVersion = 1) {
+        if (!this.useIndexedDB) return null;
+
+        const sample = this.logs.length > 0
+            ? this.logs.slice(0, 50)
+            : [{
+                id: 1,
+                timestamp: new Date().toISOString(),
+                food: { name: 'Sample Apple', calories: 95, protein: '0g', carbs: '25g', fats: '0g' },
+                mood: { mood: 'Good', color: '#54a0ff' },
+                image: null
+            }];
+
+        const report = await verifyMigrations(fromVersion, sample);
+        console.log(`Schema upgrade v${report.fromVersion} → v${report.toVersion}:`, report.ok ? 'OK' : 'FAILED', report);
+        return report;
+    }
+
     /**
      * Load logs from IndexedDB
      */
@@ -109,6 +234,22 @@ export class StorageService {
         });
     }
 
+    /**
+     * Save many logs to IndexedDB in a single transaction
+     */
+    async _saveManyToIndexedDB(logs) {
+        if (!this.db) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(STORE_NAME);
+            logs.forEach(log => objectStore.put(log));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Delete log from IndexedDB
      */
@@ -143,7 +284,7 @@ export class StorageService {
         this.logs = localData;
 
         // Backup localStorage data before clearing
-        localStorage.setItem('nutrimood_logs_backup', localStorage.getItem(STORAGE_KEY));
+        localStorage.setItem(profileKey('nutrimood_logs_backup', this.profileId), localStorage.getItem(this.storageKey));
 
         console.log('Migration complete. localStorage backed up.');
     }
@@ -153,7 +294,7 @@ export class StorageService {
      */
     _loadFromLocalStorage() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
+            const stored = localStorage.getItem(this.storageKey);
             return stored ? JSON.parse(stored) : [];
         } catch (e) {
             console.error('LocalStorage Error:', e);
@@ -166,28 +307,37 @@ export class StorageService {
      */
     _saveToLocalStorage() {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.logs));
+            localStorage.setItem(this.storageKey, JSON.stringify(this.logs));
+            this.storageFull = false;
         } catch (e) {
+            console.error('Failed to save to localStorage:', e);
+
+            // Never drop entries to make room - report it and let the user archive
             if (e.name === 'QuotaExceededError') {
-                console.warn('LocalStorage quota exceeded');
-                // Remove oldest entries
-                this.logs = this.logs.slice(0, Math.floor(this.logs.length * 0.8));
-                this._saveToLocalStorage();
+                this.storageFull = true;
+                if (this.onStorageFull) this.onStorageFull();
             }
         }
     }
 
     /**
      * Add a new log entry
+     * Pass `entry.timestamp` to backdate it; defaults to now
+     * @param {Object} [options.photo] - { blob, thumbnail } meal photo, kept in the photos store
      */
-    async addLog(entry) {
+    async addLog(entry, { photo = null } = {}) {
         const newEntry = {
             id: Date.now() + Math.random(), // Ensure uniqueness
-            timestamp: new Date().toISOString(),
-            ...entry
+            ...entry,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            ...this._revision(entry)
         };
 
-        this.logs.unshift(newEntry);
+        if (photo && this.supportsPhotos()) {
+            newEntry.hasPhoto = true;
+        }
+
+        this._insertSorted(newEntry);
 
         if (this.useIndexedDB) {
             try {
@@ -200,297 +350,1457 @@ export class StorageService {
             this._saveToLocalStorage();
         }
 
+        await this._updateAggregates([], [newEntry]);
+
+        if (newEntry.hasPhoto) {
+            try {
+                await this.savePhoto(newEntry.id, photo);
+            } catch (error) {
+                console.error('Failed to save photo:', error);
+                newEntry.hasPhoto = false;
+                await this._saveToIndexedDB(newEntry).catch(() => {});
+            }
+        }
+
+        this._notifyChange([newEntry]);
         return newEntry;
     }
 
     /**
-     * Delete a log entry
+     * Photos need Blob storage, so they are only kept when IndexedDB is available
      */
-    async deleteLog(id) {
-        const index = this.logs.findIndex(log => log.id === id);
-        if (index === -1) return false;
+    supportsPhotos() {
+        return this.useIndexedDB && !!this.db;
+    }
 
-        this.logs.splice(index, 1);
+    /**
+     * Store a meal photo and its thumbnail for a log
+     * @param {{blob: Blob, thumbnail: Blob}} photo
+     */
+    async savePhoto(logId, { blob, thumbnail }) {
+        if (!this.supportsPhotos()) return false;
 
-        if (this.useIndexedDB) {
-            await this._deleteFromIndexedDB(id);
-        } else {
-            this._saveToLocalStorage();
-        }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PHOTO_STORE], 'readwrite');
+            transaction.objectStore(PHOTO_STORE).put({
+                logId,
+                blob,
+                thumbnail,
+                type: blob.type,
+                createdAt: new Date().toISOString()
+            });
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-        return true;
+    /**
+     * Get the stored photo record ({ logId, blob, thumbnail, type }) for a log, or null
+     */
+    async getPhoto(logId) {
+        if (!this.supportsPhotos()) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([PHOTO_STORE], 'readonly').objectStore(PHOTO_STORE).get(logId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Clear all logs
+     * Remove photos for the given log ids
      */
-    async clearLogs() {
-        this.logs = [];
+    async _deletePhotos(logIds) {
+        if (!this.supportsPhotos() || logIds.length === 0) return;
 
-        if (this.useIndexedDB && this.db) {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const objectStore = transaction.objectStore(STORE_NAME);
-            objectStore.clear();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PHOTO_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(PHOTO_STORE);
+            logIds.forEach(id => objectStore.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Insert into the in-memory list, keeping newest first
+     */
+    _insertSorted(entry) {
+        const time = new Date(entry.timestamp);
+        const index = this.logs.findIndex(log => new Date(log.timestamp) <= time);
+
+        if (index === -1) {
+            this.logs.push(entry);
         } else {
-            localStorage.removeItem(STORAGE_KEY);
+            this.logs.splice(index, 0, entry);
         }
     }
 
     /**
-     * Get all logs
+     * Delete a log entry (moves it to the trash)
+     * @returns {Promise<string|false>} Trash batch id for restoreBatch, or false if not found
      */
-    getLogs() {
-        return this.logs;
+    async deleteLog(id) {
+        const log = this.getLog(id);
+        if (!log) return false;
+
+        return this._moveToTrash([log], 'deleted');
     }
 
     /**
-     * Get weekly summary
+     * Update an existing log entry.
+     * The first edit snapshots the original (AI) values into `original`.
      */
-    getWeeklySummary() {
-        const now = new Date();
-        const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-        const weeklyLogs = this.logs.filter(log => new Date(log.timestamp) >= oneWeekAgo);
+    async updateLog(id, patch = {}) {
+        const index = this.logs.findIndex(log => log.id === id);
+        if (index === -1) return null;
+
+        const current = this.logs[index];
+        const updated = {
+            ...current,
+            ...patch,
+            food: patch.food ? { ...current.food, ...patch.food } : current.food,
+            mood: patch.mood ? { ...current.mood, ...patch.mood } : current.mood,
+            id: current.id,
+            original: current.original || {
+                food: current.food,
+                mood: current.mood,
+                timestamp: current.timestamp
+            },
+            editedAt: new Date().toISOString(),
+            ...this._revision(current)
+        };
 
-        const totalCalories = weeklyLogs.reduce((sum, log) => {
-            return sum + (parseInt(log.food?.calories) || 0);
-        }, 0);
+        this.logs[index] = updated;
 
-        const avgDailyCalories = weeklyLogs.length ? Math.round(totalCalories / 7) : 0;
+        // Timestamp may have changed - keep newest first
+        if (patch.timestamp) {
+            this.logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
 
-        const moodCounts = {};
-        weeklyLogs.forEach(log => {
-            const mood = log.mood?.mood;
-            if (mood) {
-                moodCounts[mood] = (moodCounts[mood] || 0) + 1;
+        if (this.useIndexedDB) {
+            try {
+                await this._saveToIndexedDB(updated);
+            } catch (error) {
+                console.error('Failed to update in IndexedDB:', error);
+                this._saveToLocalStorage();
             }
-        });
+        } else {
+            this._saveToLocalStorage();
+        }
 
-        return {
-            totalCalories,
-            avgDailyCalories,
-            moodCounts,
-            totalEntries: weeklyLogs.length
-        };
+        await this._updateAggregates([current], [updated]);
+        this._notifyChange([updated]);
+        return updated;
     }
 
     /**
-     * Get sensitivity report (trigger and safe foods)
+     * Get a single log entry by id
      */
-    getSensitivityReport() {
-        const triggerFoods = {};
-        const safeFoods = {};
+    getLog(id) {
+        return this.logs.find(log => log.id === id) || null;
+    }
 
-        this.logs.forEach(log => {
-            const mood = log.mood?.mood;
-            const foodName = log.food?.name;
+    /**
+     * Clear all logs (moves them to the trash)
+     * @returns {Promise<string|null>} Trash batch id for restoreBatch, or null if there was nothing to clear
+     */
+    async clearLogs() {
+        if (this.logs.length === 0) return null;
 
-            if (!mood || !foodName) return;
+        return this._moveToTrash([...this.logs], 'cleared');
+    }
 
-            // Negative moods
-            if (['Very Bad', 'Bad', 'Uneasy', 'Bloated', 'Tired'].includes(mood)) {
-                triggerFoods[foodName] = (triggerFoods[foodName] || 0) + 1;
+    /**
+     * Trash
+     * Deleted logs keep their photos until they are purged, either manually
+     * or automatically after the retention period.
+     */
+    async _loadTrash() {
+        if (this.useIndexedDB && this.db) {
+            this.trash = await new Promise((resolve, reject) => {
+                const request = this.db.transaction([TRASH_STORE], 'readonly').objectStore(TRASH_STORE).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        } else {
+            try {
+                this.trash = JSON.parse(localStorage.getItem(this.trashKey)) || [];
+            } catch (e) {
+                console.error('LocalStorage Error:', e);
+                this.trash = [];
             }
-            // Positive moods
-            else if (['Good', 'Energetic', 'Happy', 'Feel OK'].includes(mood)) {
-                safeFoods[foodName] = (safeFoods[foodName] || 0) + 1;
+        }
+    }
+
+    _saveTrashToLocalStorage() {
+        try {
+            localStorage.setItem(this.trashKey, JSON.stringify(this.trash));
+        } catch (e) {
+            console.error('Failed to save trash:', e);
+
+            if (e.name === 'QuotaExceededError') {
+                this.storageFull = true;
+                if (this.onStorageFull) this.onStorageFull();
             }
-        });
+        }
+    }
+
+    /**
+     * Move logs into the trash in one step
+     * @param {Object} [options.revision] - Keep this revision instead of bumping it (remote deletions)
+     * @returns {Promise<string>} Batch id shared by every log moved together
+     */
+    async _moveToTrash(logs, reason, { revision = null } = {}) {
+        const batchId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const deletedAt = new Date().toISOString();
+        const ids = new Set(logs.map(log => log.id));
+        const records = logs.map(log => ({
+            ...log,
+            ...(revision || this._revision(log)),
+            deletedAt,
+            deletedBatch: batchId,
+            deletedReason: reason
+        }));
+
+        this.logs = this.logs.filter(log => !ids.has(log.id));
+        this.trash = this.trash.filter(item => !ids.has(item.id)).concat(records);
 
-        const sortedTriggers = Object.entries(triggerFoods)
-            .sort((a, b) => b[1] - a[1])
-            .map(([name, count]) => ({ name, count }));
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORE_NAME, TRASH_STORE], 'readwrite');
+                const logStore = transaction.objectStore(STORE_NAME);
+                const trashStore = transaction.objectStore(TRASH_STORE);
+                records.forEach(record => {
+                    logStore.delete(record.id);
+                    trashStore.put(record);
+                });
 
-        const sortedSafe = Object.entries(safeFoods)
-            .sort((a, b) => b[1] - a[1])
-            .map(([name, count]) => ({ name, count }));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            this._saveToLocalStorage();
+            this._saveTrashToLocalStorage();
+        }
 
-        return { triggers: sortedTriggers, safe: sortedSafe };
+        await this._updateAggregates(logs, []);
+        if (!revision) this._notifyChange(records);
+        return batchId;
     }
 
     /**
-     * Get nutrient trends by mood
+     * Get trashed logs, most recently deleted first
      */
-    getNutrientTrends() {
-        const moodData = {};
+    getTrash() {
+        return [...this.trash].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
 
-        this.logs.forEach(log => {
-            const mood = log.mood?.mood;
-            if (!mood) return;
+    /**
+     * Restore trashed logs by id. A restored log replaces any live log with the same id.
+     * @returns {Promise<number>} Number of logs restored
+     */
+    async restoreFromTrash(ids) {
+        const idSet = new Set(ids);
+        const records = this.trash.filter(item => idSet.has(item.id));
+        if (records.length === 0) return 0;
 
-            if (!moodData[mood]) {
-                moodData[mood] = { calories: 0, protein: 0, carbs: 0, fats: 0, count: 0 };
-            }
+        const restored = records.map(({ deletedAt, deletedBatch, deletedReason, ...log }) => ({ ...log, ...this._revision(log) }));
 
-            const protein = parseInt(log.food?.protein) || 0;
-            const carbs = parseInt(log.food?.carbs) || 0;
-            const fats = parseInt(log.food?.fats) || 0;
-            const calories = parseInt(log.food?.calories) || 0;
-
-            moodData[mood].calories += calories;
-            moodData[mood].protein += protein;
-            moodData[mood].carbs += carbs;
-            moodData[mood].fats += fats;
-            moodData[mood].count++;
-        });
-
-        // Calculate averages
-        Object.keys(moodData).forEach(mood => {
-            const data = moodData[mood];
-            if (data.count > 0) {
-                data.avgCalories = Math.round(data.calories / data.count);
-                data.avgProtein = Math.round(data.protein / data.count);
-                data.avgCarbs = Math.round(data.carbs / data.count);
-                data.avgFats = Math.round(data.fats / data.count);
-            }
-        });
+        const replaced = this.logs.filter(log => idSet.has(log.id));
+        this.trash = this.trash.filter(item => !idSet.has(item.id));
+        this.logs = this.logs.filter(log => !idSet.has(log.id));
+        restored.forEach(log => this._insertSorted(log));
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORE_NAME, TRASH_STORE], 'readwrite');
+                const logStore = transaction.objectStore(STORE_NAME);
+                const trashStore = transaction.objectStore(TRASH_STORE);
+                restored.forEach(log => {
+                    logStore.put(log);
+                    trashStore.delete(log.id);
+                });
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            this._saveToLocalStorage();
+            this._saveTrashToLocalStorage();
+        }
 
-        return moodData;
+        await this._updateAggregates(replaced, restored);
+        this._notifyChange(restored);
+        return restored.length;
     }
 
     /**
-     * Get current streak
+     * Undo a delete/clear by restoring everything trashed together
      */
-    getStreak() {
-        if (this.logs.length === 0) return 0;
+    async restoreBatch(batchId) {
+        const ids = this.trash.filter(item => item.deletedBatch === batchId).map(item => item.id);
+        return this.restoreFromTrash(ids);
+    }
 
-        const dates = [...new Set(this.logs.map(log =>
-            new Date(log.timestamp).toDateString()
-        ))];
+    /**
+     * Permanently delete trashed logs (and their photos)
+     */
+    async deleteFromTrash(ids) {
+        const idSet = new Set(ids);
+        const records = this.trash.filter(item => idSet.has(item.id));
+        if (records.length === 0) return 0;
 
-        dates.sort((a, b) => new Date(b) - new Date(a));
+        this.trash = this.trash.filter(item => !idSet.has(item.id));
 
-        let streak = 0;
-        const today = new Date().toDateString();
-        const yesterday = new Date(Date.now() - 86400000).toDateString();
+        // A live log may share the id (e.g. after a replace import) - keep its photo
+        const liveIds = new Set(this.logs.map(log => log.id));
+        const photoIds = records.filter(item => item.hasPhoto && !liveIds.has(item.id)).map(item => item.id);
 
-        if (dates[0] === today) {
-            streak = 1;
-        } else if (dates[0] === yesterday) {
-            streak = 1;
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([TRASH_STORE], 'readwrite');
+                const trashStore = transaction.objectStore(TRASH_STORE);
+                records.forEach(item => trashStore.delete(item.id));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            await this._deletePhotos(photoIds);
         } else {
-            return 0;
+            this._saveTrashToLocalStorage();
         }
 
-        for (let i = 0; i < dates.length - 1; i++) {
-            const current = new Date(dates[i]);
-            const prev = new Date(dates[i + 1]);
+        return records.length;
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        return this.deleteFromTrash(this.trash.map(item => item.id));
+    }
 
-            const diffTime = Math.abs(current - prev);
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    /**
+     * Permanently delete trashed logs older than the retention period
+     */
+    async purgeExpiredTrash() {
+        const cutoff = Date.now() - this.getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+        const expired = this.trash.filter(item => new Date(item.deletedAt).getTime() < cutoff);
 
-            if (diffDays === 1) {
-                streak++;
-            } else {
-                break;
-            }
+        if (expired.length > 0) {
+            console.log(`Purging ${expired.length} expired items from trash`);
         }
 
-        return streak;
+        return this.deleteFromTrash(expired.map(item => item.id));
+    }
+
+    getTrashRetentionDays() {
+        const days = parseInt(localStorage.getItem(this.trashRetentionKey), 10);
+        return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    setTrashRetentionDays(days) {
+        const value = parseInt(days, 10);
+        if (!(value > 0)) {
+            throw new Error('Retention must be at least 1 day');
+        }
+        localStorage.setItem(this.trashRetentionKey, String(value));
     }
 
     /**
-     * Export data
+     * Get all logs
      */
-    async exportData(format = 'json') {
-        if (format === 'json') {
-            return JSON.stringify(this.logs, null, 2);
-        } else if (format === 'csv') {
-            return this._exportToCSV();
-        }
-        throw new Error('Unsupported format');
+    getLogs() {
+        return this.logs;
     }
 
     /**
-     * Export to CSV
+     * Query logs newest first using the `timestamp` index.
+     * Pass the returned `nextCursor` back in to fetch the following page;
+     * it is null once there are no more results.
+     *
+     * @param {Object} options
+     * @param {Date|string} [options.from] - Inclusive lower bound
+     * @param {Date|string} [options.to] - Inclusive upper bound
+     * @param {number} [options.limit=50] - Page size
+     * @param {{timestamp: string, id: *}} [options.cursor] - Position after the last row of the previous page
+     * @returns {Promise<{logs: Array, nextCursor: Object|null}>}
      */
-    _exportToCSV() {
-        const headers = ['Date', 'Time', 'Food', 'Calories', 'Protein', 'Carbs', 'Fats', 'Mood'];
-        const rows = this.logs.map(log => {
-            const date = new Date(log.timestamp);
-            return [
-                date.toLocaleDateString(),
-                date.toLocaleTimeString(),
-                log.food?.name || '',
-                log.food?.calories || '',
-                log.food?.protein || '',
-                log.food?.carbs || '',
-                log.food?.fats || '',
-                log.mood?.mood || ''
-            ];
-        });
+    async queryLogs({ from = null, to = null, limit = 50, cursor = null } = {}) {
+        const lower = from ? new Date(from).toISOString() : null;
+        let upper = to ? new Date(to).toISOString() : null;
+
+        // Resume at the cursor; rows sharing its timestamp are filtered below
+        if (cursor && (!upper || cursor.timestamp < upper)) {
+            upper = cursor.timestamp;
+        }
+
+        if (!this.useIndexedDB || !this.db) {
+            return this._queryInMemory(lower, upper, limit, cursor);
+        }
+
+        let range = null;
+        if (lower && upper) range = IDBKeyRange.bound(lower, upper);
+        else if (lower) range = IDBKeyRange.lowerBound(lower);
+        else if (upper) range = IDBKeyRange.upperBound(upper);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const index = transaction.objectStore(STORE_NAME).index('timestamp');
+            const request = index.openCursor(range, 'prev');
+            const logs = [];
+
+            request.onsuccess = () => {
+                const current = request.result;
+
+                if (!current) {
+                    resolve({ logs, nextCursor: null });
+                    return;
+                }
+
+                // Same-timestamp rows come in descending id order; skip those already returned
+                if (cursor && current.key === cursor.timestamp && indexedDB.cmp(current.primaryKey, cursor.id) >= 0) {
+                    current.continue();
+                    return;
+                }
+
+                if (logs.length === limit) {
+                    const last = logs[logs.length - 1];
+                    resolve({ logs, nextCursor: { timestamp: last.timestamp, id: last.id } });
+                    return;
+                }
 
-        const csv = [headers, ...rows]
-            .map(row => row.map(cell => `"${cell}"`).join(','))
-            .join('\n');
+                logs.push(current.value);
+                current.continue();
+            };
 
-        return csv;
+            request.onerror = () => {
+                console.error('Failed to query IndexedDB');
+                reject(request.error);
+            };
+        });
     }
 
     /**
-     * Import data
+     * localStorage fallback for queryLogs, with the same ordering rules
      */
-    async importData(jsonData) {
-        try {
-            const imported = JSON.parse(jsonData);
+    _queryInMemory(lower, upper, limit, cursor) {
+        const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
 
-            if (!Array.isArray(imported)) {
-                throw new Error('Invalid data format');
-            }
+        const matches = this.logs
+            .filter(log => (!lower || log.timestamp >= lower) && (!upper || log.timestamp <= upper))
+            .filter(log => !(cursor && log.timestamp === cursor.timestamp && compareIds(log.id, cursor.id) >= 0))
+            .sort((a, b) => (a.timestamp === b.timestamp
+                ? compareIds(b.id, a.id)
+                : (a.timestamp < b.timestamp ? 1 : -1)));
 
-            for (const log of imported) {
-                await this.addLog(log);
-            }
+        const logs = matches.slice(0, limit);
+        const last = logs[logs.length - 1];
+        const nextCursor = matches.length > limit ? { timestamp: last.timestamp, id: last.id } : null;
 
-            return imported.length;
-        } catch (error) {
-            console.error('Import failed:', error);
-            throw error;
-        }
+        return Promise.resolve({ logs, nextCursor });
     }
 
     /**
-     * Get storage usage
+     * Daily aggregates
+     * Loaded with the journal; rebuilt when missing or out of step with the logs
+     * (e.g. first run after the upgrade, or an interrupted write), judged by
+     * the entry count and the logs fingerprint saved with them.
      */
-    async getStorageUsage() {
-        if ('storage' in navigator && 'estimate' in navigator.storage) {
-            const estimate = await navigator.storage.estimate();
-            return {
-                usage: estimate.usage,
-                quota: estimate.quota,
-                percentage: (estimate.usage / estimate.quota) * 100
-            };
+    async _loadAggregates() {
+        if (this.useIndexedDB && this.db) {
+            const records = await new Promise((resolve, reject) => {
+                const request = this.db.transaction([DAILY_STORE], 'readonly').objectStore(DAILY_STORE).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+
+            const entries = records.reduce((sum, day) => sum + day.entries, 0);
+            const fingerprint = localStorage.getItem(this.dailyFingerprintKey);
+            if (entries === this.logs.length && fingerprint === this._logsFingerprint()) {
+                this.daily = new Map(records.map(day => [day.date, day]));
+                return;
+            }
         }
-        return null;
+
+        await this.rebuildAggregates();
     }
 
     /**
-     * Cleanup old data
+     * Recompute every daily aggregate from the logs
      */
-    async cleanupOldData(daysToKeep = 90) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+    async rebuildAggregates() {
+        this.daily = buildDailyAggregates(this.logs);
 
-        const logsToKeep = this.logs.filter(log =>
-            new Date(log.timestamp) >= cutoffDate
-        );
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([DAILY_STORE], 'readwrite');
+                const objectStore = transaction.objectStore(DAILY_STORE);
+                objectStore.clear();
+                this.daily.forEach(day => objectStore.put(day));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            this._saveAggregatesFingerprint();
+        }
+    }
 
-        const removedCount = this.logs.length - logsToKeep.length;
+    /**
+     * Log count and latest change, saved whenever the stored aggregates are
+     * brought up to date. An edit they missed changes it even when the
+     * number of entries still adds up.
+     */
+    _logsFingerprint() {
+        let latest = '';
+        this.logs.forEach(log => {
+            const changed = log.updatedAt || log.timestamp || '';
+            if (changed > latest) latest = changed;
+        });
+        return `${this.logs.length}:${latest}`;
+    }
 
-        if (removedCount > 0) {
-            this.logs = logsToKeep;
+    _saveAggregatesFingerprint() {
+        try {
+            localStorage.setItem(this.dailyFingerprintKey, this._logsFingerprint());
+        } catch (error) {
+            // Without it the next load rebuilds, which is only slower
+            console.warn('Failed to save the aggregates fingerprint:', error);
+        }
+    }
 
-            if (this.useIndexedDB) {
-                await this.clearLogs();
-                for (const log of logsToKeep) {
-                    await this._saveToIndexedDB(log);
+    /**
+     * Subtract removed logs and add new ones, then save the touched days
+     */
+    async _updateAggregates(removed = [], added = []) {
+        const touched = new Set();
+
+        const apply = (log, sign) => {
+            const key = dayKey(log.timestamp);
+            if (!this.daily.has(key)) this.daily.set(key, emptyDay(key));
+            applyLogToDay(this.daily.get(key), log, sign);
+            touched.add(key);
+        };
+
+        removed.forEach(log => apply(log, -1));
+        added.forEach(log => apply(log, 1));
+
+        touched.forEach(key => {
+            if (this.daily.get(key).entries <= 0) this.daily.delete(key);
+        });
+
+        if (!this.useIndexedDB || !this.db) return;
+
+        try {
+            if (touched.size > 0) {
+                await new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction([DAILY_STORE], 'readwrite');
+                    const objectStore = transaction.objectStore(DAILY_STORE);
+                    touched.forEach(key => {
+                        if (this.daily.has(key)) objectStore.put(this.daily.get(key));
+                        else objectStore.delete(key);
+                    });
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            }
+            this._saveAggregatesFingerprint();
+        } catch (error) {
+            // The next load notices the mismatch and rebuilds
+            console.error('Failed to save daily aggregates:', error);
+        }
+    }
+
+    /**
+     * Daily aggregates between two dates (inclusive), oldest first
+     */
+    getDailyAggregates({ from = null, to = null } = {}) {
+        const start = from ? dayKey(from) : '';
+        const end = to ? dayKey(to) : '9999-12-31';
+
+        return [...this.daily.values()]
+            .filter(day => day.date >= start && day.date <= end)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Get weekly summary (last 7 calendar days)
+     */
+    getWeeklySummary() {
+        return summarizeWeek([...this.daily.values()]);
+    }
+
+    /**
+     * Get sensitivity report (trigger and safe foods)
+     */
+    getSensitivityReport() {
+        return sensitivityFromDays([...this.daily.values()]);
+    }
+
+    /**
+     * Get nutrient trends by mood
+     */
+    getNutrientTrends() {
+        return nutrientTrendsFromDays([...this.daily.values()]);
+    }
+
+    /**
+     * Get current streak
+     */
+    getStreak() {
+        return streakFromDays([...this.daily.keys()]);
+    }
+
+    /**
+     * Export data
+     * @param {'json'|'csv'|'encrypted'|'fhir'|'omh'} format - 'encrypted' is a passphrase-protected JSON backup;
+     *   'fhir' is a FHIR R5 Bundle and 'omh' Open mHealth data points (see health-export.js)
+     * @param {Object} options
+     * @param {string} [options.passphrase] - Required for 'encrypted'
+     * @param {{id: string, name: string}} [options.profile] - Recorded in JSON exports
+     */
+    async exportData(format = 'json', { passphrase, profile } = {}) {
+        if (format === 'json') {
+            return JSON.stringify(await this._exportEnvelope(profile), null, 2);
+        } else if (format === 'csv') {
+            return this._exportToCSV();
+        } else if (format === 'encrypted') {
+            return encryptBackup(JSON.stringify(await this._exportEnvelope(profile), null, 2), passphrase);
+        } else if (format === 'fhir') {
+            return JSON.stringify(buildFHIRBundle(this.logs, { profile }), null, 2);
+        } else if (format === 'omh') {
+            return JSON.stringify(buildOpenMHealth(this.logs, { profile }), null, 2);
+        }
+        throw new Error('Unsupported format');
+    }
+
+    /**
+     * JSON export body: the logs plus the profile they belong to
+     */
+    async _exportEnvelope(profile, logs = this.logs) {
+        return {
+            exportedAt: new Date().toISOString(),
+            profile: profile ? { id: profile.id, name: profile.name } : { id: this.profileId },
+            logs: await this._logsWithPhotos(logs)
+        };
+    }
+
+    /**
+     * Logs with their photos inlined as data URLs, for JSON exports
+     */
+    async _logsWithPhotos(logs = this.logs) {
+        const result = [];
+
+        for (const log of logs) {
+            const record = log.hasPhoto ? await this.getPhoto(log.id) : null;
+
+            if (!record) {
+                result.push(log);
+                continue;
+            }
+
+            const { hasPhoto, ...rest } = log;
+            result.push({
+                ...rest,
+                photo: {
+                    type: record.type,
+                    data: await blobToDataURL(record.blob),
+                    thumbnail: record.thumbnail ? await blobToDataURL(record.thumbnail) : null
                 }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Export to CSV
+     */
+    _exportToCSV() {
+        const headers = ['Date', 'Time', 'Food', 'Calories', 'Protein', 'Carbs', 'Fats', 'Mood', 'ID'];
+        const rows = this.logs.map(log => {
+            const date = new Date(log.timestamp);
+            return [
+                date.toLocaleDateString(),
+                date.toLocaleTimeString(),
+                log.food?.name || '',
+                log.food?.calories || '',
+                log.food?.protein || '',
+                log.food?.carbs || '',
+                log.food?.fats || '',
+                log.mood?.mood || '',
+                log.id
+            ];
+        });
+
+        return toCSV([headers, ...rows]);
+    }
+
+    /**
+     * Import data (validates, skips duplicates and merges by default)
+     * @returns {Promise<number>} Number of entries added
+     */
+    async importData(jsonData, { mode = 'merge', passphrase } = {}) {
+        try {
+            const preview = await this.previewImport(jsonData, { passphrase });
+            return await this.commitImport(preview, mode);
+        } catch (error) {
+            console.error('Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Dry run of an import: nothing is written.
+     * Accepts a JSON array of logs, an object with a `logs` array, or an
+     * encrypted backup (pass `passphrase`; throws 'PASSPHRASE_REQUIRED' without one).
+     *
+     * @returns {Promise<{total: number, valid: Array, toAdd: Array, skipped: Array, invalid: Array}>}
+     *   valid   - entries that passed validation (unique within the file); imported on replace
+     *   toAdd   - valid entries not already in the journal; imported on merge
+     *   skipped - { row, entry, reason } duplicates
+     *   invalid - { row, errors } rows that failed validation
+     *   sourceProfile - { id, name } of the exporting profile, or null for older files
+     */
+    async previewImport(jsonData, { passphrase } = {}) {
+        if (isEncryptedBackup(jsonData)) {
+            jsonData = await decryptBackup(jsonData, passphrase);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonData);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const rows = Array.isArray(parsed) ? parsed : parsed?.logs;
+        if (!Array.isArray(rows)) {
+            throw new Error('Invalid data format');
+        }
+
+        const preview = this._previewEntries(rows);
+        preview.sourceProfile = Array.isArray(parsed) ? null : (parsed.profile || null);
+        return preview;
+    }
+
+    /**
+     * Read the header row of a CSV file and guess which column holds which field
+     * @returns {{headers: string[], mapping: Object, sample: string[][]}}
+     */
+    inspectCSV(csvText) {
+        const { headers, records } = readCSV(csvText);
+        return { headers, mapping: guessColumnMapping(headers), sample: records.slice(0, 3) };
+    }
+
+    /**
+     * Dry run of a CSV import. Rows matching an existing entry (by ID column,
+     * or by time + food) with different values become updates, so edited
+     * spreadsheets can be loaded back.
+     *
+     * @param {string} csvText
+     * @param {Object} options
+     * @param {Object} [options.mapping] - field → column index, see inspectCSV
+     * @param {string[]} [options.dateOrder] - e.g. ['day', 'month', 'year']; auto-detected if omitted
+     */
+    async previewCSVImport(csvText, { mapping = null, dateOrder = null } = {}) {
+        const { headers, records } = readCSV(csvText);
+        const rows = csvRecordsToEntries(records, mapping || guessColumnMapping(headers), { dateOrder });
+
+        return this._previewEntries(rows, { detectUpdates: true });
+    }
+
+    /**
+     * Shared validation + duplicate detection for every import format
+     */
+    _previewEntries(rows, { detectUpdates = false } = {}) {
+        const existingById = new Map(this.logs.map(log => [log.id, log]));
+        const existingByKey = new Map(this.logs.map(log => [duplicateKey(log), log]));
+        const seenIds = new Set();
+        const seenKeys = new Set();
+
+        const preview = { total: rows.length, valid: [], toAdd: [], updates: [], skipped: [], invalid: [] };
+
+        rows.forEach((raw, index) => {
+            const row = index + 1;
+            const { entry, errors } = normalizeLogEntry(raw);
+
+            if (!entry) {
+                preview.invalid.push({ row, errors });
+                return;
+            }
+
+            const key = duplicateKey(entry);
+            if ((entry.id !== undefined && seenIds.has(entry.id)) || seenKeys.has(key)) {
+                preview.skipped.push({ row, entry, reason: 'Duplicate within file' });
+                return;
+            }
+            if (entry.id !== undefined) seenIds.add(entry.id);
+            seenKeys.add(key);
+            preview.valid.push(entry);
+
+            const byId = entry.id !== undefined ? existingById.get(entry.id) : null;
+            const existing = byId || existingByKey.get(key);
+
+            if (!existing) {
+                preview.toAdd.push(entry);
+            } else if (detectUpdates && entryDiffers(existing, entry)) {
+                preview.updates.push({ row, id: existing.id, entry });
             } else {
+                const reason = byId ? 'Already in journal (same id)' : 'Already in journal (same time and food)';
+                preview.skipped.push({ row, entry, reason });
+            }
+        });
+
+        return preview;
+    }
+
+    /**
+     * Apply a preview from previewImport/previewCSVImport
+     * @param {'merge'|'replace'} mode - merge adds new entries (and applies updates); replace swaps the whole journal
+     * @returns {Promise<number>} Number of entries written
+     */
+    async commitImport(preview, mode = 'merge') {
+        if (!['merge', 'replace'].includes(mode)) {
+            throw new Error('Invalid import mode. Must be "merge" or "replace"');
+        }
+
+        const incoming = mode === 'replace' ? preview.valid : preview.toAdd;
+        const photos = [];
+        const entries = incoming.map(({ photo, ...entry }) => {
+            const id = entry.id !== undefined ? entry.id : Date.now() + Math.random();
+
+            if (photo && this.supportsPhotos()) {
+                photos.push({ id, photo });
+                return { ...entry, id, hasPhoto: true, ...this._revision(entry) };
+            }
+
+            const { hasPhoto, ...rest } = entry;
+            return { ...rest, id, ...this._revision(entry) };
+        });
+
+        if (mode === 'replace') {
+            // Old entries go to the trash so the replace can be undone
+            preview.replacedBatch = await this.clearLogs();
+            preview.importedIds = entries.map(entry => entry.id);
+
+            // Importing your own backup reuses ids, so its photos overwrite
+            // those of the trashed entries; keep them for the undo
+            preview.replacedPhotos = [];
+            for (const { id } of photos) {
+                const record = await this.getPhoto(id);
+                if (record) preview.replacedPhotos.push(record);
+            }
+        }
+
+        entries.forEach(entry => this._insertSorted(entry));
+
+        if (this.useIndexedDB) {
+            try {
+                await this._saveManyToIndexedDB(entries);
+            } catch (error) {
+                console.error('Failed to save import to IndexedDB:', error);
                 this._saveToLocalStorage();
             }
+        } else {
+            this._saveToLocalStorage();
+        }
+
+        for (const { id, photo } of photos) {
+            try {
+                const blob = dataURLToBlob(photo.data);
+                const thumbnail = photo.thumbnail ? dataURLToBlob(photo.thumbnail) : blob;
+                await this.savePhoto(id, { blob, thumbnail });
+            } catch (error) {
+                console.error('Failed to import photo:', error);
+            }
+        }
+
+        await this._updateAggregates([], entries);
+        this._notifyChange(entries);
+
+        let updated = 0;
+        if (mode === 'merge') {
+            for (const { id, entry } of preview.updates || []) {
+                const { food, mood, timestamp } = entry;
+                const current = this.getLog(id);
+                const patch = {
+                    food: { name: food.name, calories: food.calories, protein: food.protein, carbs: food.carbs, fats: food.fats },
+                    mood
+                };
+
+                // Keep sub-second precision unless the time really changed
+                if (current && new Date(current.timestamp).toISOString().slice(0, 19) !== timestamp.slice(0, 19)) {
+                    patch.timestamp = timestamp;
+                }
+
+                if (await this.updateLog(id, patch)) updated++;
+            }
+        }
+
+        return entries.length + updated;
+    }
+
+    /**
+     * Sync
+     * Apply records pulled from the sync server. They keep their remote
+     * revision and do not fire onChange, so they are never pushed back.
+     * Photos stay on the device that took them.
+     *
+     * @param {Array<{id, rev, updatedAt, deviceId, deleted: boolean, log: Object|null}>} changes
+     * @returns {Promise<Array>} Ids whose local state changed
+     */
+    async applyRemoteChanges(changes) {
+        const applied = [];
+
+        for (const change of changes) {
+            const live = this.getLog(change.id);
+            const trashed = this.trash.find(item => item.id === change.id) || null;
+            const local = live || trashed;
+            if (local && compareRevisions(change, local) <= 0) continue;
+
+            const revision = { rev: change.rev, updatedAt: change.updatedAt, deviceId: change.deviceId };
+
+            if (change.deleted) {
+                if (live) {
+                    await this._moveToTrash([live], 'sync', { revision });
+                    applied.push(change.id);
+                } else if (trashed) {
+                    await this._putTrashRecord({ ...trashed, ...revision });
+                }
+                continue;
+            }
+
+            // Another device or the server may send anything: validate like an import
+            const { hasPhoto, ...remoteLog } = change.log || {};
+            const { entry, errors } = normalizeLogEntry({ ...remoteLog, id: change.id });
+            if (!entry) {
+                console.warn(`Skipping invalid synced log ${change.id}:`, errors);
+                continue;
+            }
+
+            const log = { ...entry, ...revision, id: change.id };
+            if (local?.hasPhoto) log.hasPhoto = true;
+
+            await this._putFromRemote(log);
+            applied.push(change.id);
+        }
+
+        return applied;
+    }
+
+    async _putTrashRecord(record) {
+        this.trash = this.trash.map(item => (item.id === record.id ? record : item));
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([TRASH_STORE], 'readwrite');
+                transaction.objectStore(TRASH_STORE).put(record);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            this._saveTrashToLocalStorage();
+        }
+    }
+
+    /**
+     * Insert or replace a live log, taking it out of the trash if needed
+     */
+    async _putFromRemote(log) {
+        const previous = this.getLog(log.id);
+        this.trash = this.trash.filter(item => item.id !== log.id);
+        this.logs = this.logs.filter(item => item.id !== log.id);
+        this._insertSorted(log);
+        await this._updateAggregates(previous ? [previous] : [], [log]);
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORE_NAME, TRASH_STORE], 'readwrite');
+                transaction.objectStore(STORE_NAME).put(log);
+                transaction.objectStore(TRASH_STORE).delete(log.id);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            this._saveToLocalStorage();
+            this._saveTrashToLocalStorage();
+        }
+    }
+
+    /**
+     * Outbox: the latest unsent change per log id. A newer change for the
+     * same log replaces the queued one.
+     */
+    async putOutbox(records) {
+        if (records.length === 0) return;
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([OUTBOX_STORE], 'readwrite');
+                const objectStore = transaction.objectStore(OUTBOX_STORE);
+                records.forEach(record => objectStore.put(record));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            const outbox = this._loadOutboxFromLocalStorage();
+            records.forEach(record => { outbox[record.id] = record; });
+            localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+        }
+    }
+
+    async getOutbox() {
+        if (this.useIndexedDB && this.db) {
+            return new Promise((resolve, reject) => {
+                const request = this.db.transaction([OUTBOX_STORE], 'readonly').objectStore(OUTBOX_STORE).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return Object.values(this._loadOutboxFromLocalStorage());
+    }
+
+    /**
+     * Drop sent changes, unless the log was changed again since they were read
+     */
+    async removeFromOutbox(records) {
+        if (records.length === 0) return;
+
+        const isSame = (queued, sent) => queued && queued.rev === sent.rev && queued.updatedAt === sent.updatedAt;
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([OUTBOX_STORE], 'readwrite');
+                const objectStore = transaction.objectStore(OUTBOX_STORE);
+                records.forEach(sent => {
+                    const request = objectStore.get(sent.id);
+                    request.onsuccess = () => {
+                        if (isSame(request.result, sent)) objectStore.delete(sent.id);
+                    };
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            const outbox = this._loadOutboxFromLocalStorage();
+            records.forEach(sent => {
+                if (isSame(outbox[sent.id], sent)) delete outbox[sent.id];
+            });
+            localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+        }
+    }
+
+    async clearOutbox() {
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([OUTBOX_STORE], 'readwrite');
+                transaction.objectStore(OUTBOX_STORE).clear();
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } else {
+            localStorage.removeItem(this.outboxKey);
+        }
+    }
+
+    /**
+     * Food composition table (see food-db.js). Only kept in IndexedDB;
+     * without it the bundled table is used directly.
+     * @returns {Promise<Object[]|null>} null when IndexedDB is unavailable
+     */
+    async getFoods() {
+        if (!this.useIndexedDB || !this.db) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([FOODS_STORE], 'readonly').objectStore(FOODS_STORE).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Replace the whole food table in one transaction
+     */
+    async replaceFoods(foods) {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([FOODS_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(FOODS_STORE);
+            objectStore.clear();
+            foods.forEach(food => objectStore.put(food));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Packaged product by barcode (see products.js), trying each form of the code
+     * @param {string[]} codes - e.g. the GTIN-13 and UPC-A forms
+     * @returns {Promise<Object|null>}
+     */
+    async getProduct(codes) {
+        if (!this.useIndexedDB || !this.db) return null;
+
+        return new Promise((resolve, reject) => {
+            const objectStore = this.db.transaction([PRODUCTS_STORE], 'readonly').objectStore(PRODUCTS_STORE);
+            const next = (index) => {
+                if (index >= codes.length) {
+                    resolve(null);
+                    return;
+                }
+                const request = objectStore.get(codes[index]);
+                request.onsuccess = () => (request.result ? resolve(request.result) : next(index + 1));
+                request.onerror = () => reject(request.error);
+            };
+            next(0);
+        });
+    }
+
+    /**
+     * Add or update products in one transaction
+     */
+    async putProducts(products) {
+        if (!this.useIndexedDB || !this.db) throw new Error('The product catalog needs IndexedDB');
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PRODUCTS_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(PRODUCTS_STORE);
+            products.forEach(product => objectStore.put(product));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Products the user saved (e.g. from a nutrition label), newest first
+     */
+    async getSavedProducts() {
+        if (!this.useIndexedDB || !this.db) return [];
+
+        return new Promise((resolve, reject) => {
+            const index = this.db.transaction([PRODUCTS_STORE], 'readonly').objectStore(PRODUCTS_STORE).index('savedAt');
+            const request = index.getAll();
+            request.onsuccess = () => resolve((request.result || []).reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteProduct(code) {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PRODUCTS_STORE], 'readwrite');
+            transaction.objectStore(PRODUCTS_STORE).delete(code);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async countProducts() {
+        if (!this.useIndexedDB || !this.db) return 0;
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([PRODUCTS_STORE], 'readonly').objectStore(PRODUCTS_STORE).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Cached AI reply by request hash (see response-cache.js)
+     * @returns {Promise<Object|null>}
+     */
+    async getCachedResponse(key) {
+        if (!this.useIndexedDB || !this.db) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([RESPONSES_STORE], 'readonly').objectStore(RESPONSES_STORE).get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putCachedResponse(entry) {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([RESPONSES_STORE], 'readwrite');
+            transaction.objectStore(RESPONSES_STORE).put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete cached replies created before `createdBefore`, then the oldest
+     * ones until at most `maxEntries` are left
+     * @returns {Promise<number>} number deleted
+     */
+    async pruneCachedResponses({ createdBefore, maxEntries }) {
+        if (!this.useIndexedDB || !this.db) return 0;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([RESPONSES_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(RESPONSES_STORE);
+            let deleted = 0;
+
+            const countRequest = objectStore.count();
+            countRequest.onsuccess = () => {
+                let remaining = countRequest.result;
+                const cursorRequest = objectStore.index('createdAt').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || (remaining <= maxEntries && cursor.value.createdAt >= createdBefore)) return;
+
+                    cursor.delete();
+                    deleted++;
+                    remaining--;
+                    cursor.continue();
+                };
+            };
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async clearCachedResponses() {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([RESPONSES_STORE], 'readwrite');
+            transaction.objectStore(RESPONSES_STORE).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Meals waiting in the capture queue (see capture-queue.js), oldest first
+     */
+    async getPendingCaptures() {
+        if (!this.useIndexedDB || !this.db) return [];
+
+        return new Promise((resolve, reject) => {
+            const index = this.db.transaction([PENDING_STORE], 'readonly').objectStore(PENDING_STORE).index('capturedAt');
+            const request = index.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getPendingCapture(id) {
+        if (!this.useIndexedDB || !this.db) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([PENDING_STORE], 'readonly').objectStore(PENDING_STORE).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putPendingCapture(entry) {
+        if (!this.useIndexedDB || !this.db) throw new Error('Saving meals for later needs IndexedDB');
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PENDING_STORE], 'readwrite');
+            transaction.objectStore(PENDING_STORE).put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async deletePendingCapture(id) {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PENDING_STORE], 'readwrite');
+            transaction.objectStore(PENDING_STORE).delete(id);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Record one AI call (see usage.js); the id is assigned by the store
+     */
+    async addUsage(record) {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([USAGE_STORE], 'readwrite');
+            transaction.objectStore(USAGE_STORE).add(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * AI calls made at or after `from` (ISO timestamp), oldest first
+     */
+    async getUsage(from) {
+        if (!this.useIndexedDB || !this.db) return [];
+
+        return new Promise((resolve, reject) => {
+            const index = this.db.transaction([USAGE_STORE], 'readonly').objectStore(USAGE_STORE).index('at');
+            const request = index.getAll(IDBKeyRange.lowerBound(from));
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearUsage() {
+        if (!this.useIndexedDB || !this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([USAGE_STORE], 'readwrite');
+            transaction.objectStore(USAGE_STORE).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    _loadOutboxFromLocalStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(this.outboxKey)) || {};
+        } catch (e) {
+            console.error('LocalStorage Error:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Undo a replace import: drop the imported entries and restore the previous journal
+     */
+    async undoReplaceImport(preview) {
+        if (!preview.replacedBatch) return false;
+
+        const ids = new Set(preview.importedIds || []);
+        const imported = this.logs.filter(log => ids.has(log.id));
+        this.logs = this.logs.filter(log => !ids.has(log.id));
+        await this._updateAggregates(imported, []);
+
+        const deletedAt = new Date().toISOString();
+        this._notifyChange(imported.map(log => ({ id: log.id, ...this._revision(log), deletedAt })));
+
+        const replacedPhotos = preview.replacedPhotos || [];
+        const replacedPhotoIds = new Set(replacedPhotos.map(record => record.logId));
+
+        if (this.useIndexedDB && this.db) {
+            for (const log of imported) {
+                await this._deleteFromIndexedDB(log.id);
+            }
+            await this._deletePhotos(imported
+                .filter(log => log.hasPhoto && !replacedPhotoIds.has(log.id))
+                .map(log => log.id));
+            for (const { logId, blob, thumbnail } of replacedPhotos) {
+                await this.savePhoto(logId, { blob, thumbnail });
+            }
+        } else {
+            this._saveToLocalStorage();
         }
 
-        return removedCount;
+        await this.restoreBatch(preview.replacedBatch);
+        preview.replacedBatch = null;
+        preview.replacedPhotos = null;
+        return true;
+    }
+
+    /**
+     * Get storage usage
+     * In localStorage fallback mode this measures localStorage itself, since
+     * navigator.storage.estimate() does not cover its much smaller limit.
+     * @returns {Promise<{usage: number, quota: number, percentage: number, backend: string}|null>}
+     */
+    async getStorageUsage() {
+        if (!this.useIndexedDB) {
+            let usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                // UTF-16: two bytes per character
+                usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            }
+            return {
+                usage,
+                quota: LOCAL_STORAGE_QUOTA,
+                percentage: (usage / LOCAL_STORAGE_QUOTA) * 100,
+                backend: 'localStorage'
+            };
+        }
+
+        if ('storage' in navigator && 'estimate' in navigator.storage) {
+            const estimate = await navigator.storage.estimate();
+            return {
+                usage: estimate.usage,
+                quota: estimate.quota,
+                percentage: (estimate.usage / estimate.quota) * 100,
+                backend: 'indexedDB'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Logs older than a date, oldest first
+     */
+    getLogsBefore(date) {
+        const cutoff = new Date(date);
+        return this.logs.filter(log => new Date(log.timestamp) < cutoff).reverse();
+    }
+
+    /**
+     * JSON archive (same format as exportData('json')) of the given logs
+     */
+    async exportArchive(logs, { profile } = {}) {
+        return JSON.stringify(await this._exportEnvelope(profile, logs), null, 2);
+    }
+
+    /**
+     * Permanently remove archived logs and their photos from this device.
+     * Only call after the user has saved the archive and agreed to the removal.
+     * Other synced devices keep their copies.
+     * @returns {Promise<number>} Number of logs removed
+     */
+    async removeArchivedLogs(ids) {
+        const idSet = new Set(ids);
+        const removed = this.logs.filter(log => idSet.has(log.id));
+        if (removed.length === 0) return 0;
+
+        this.logs = this.logs.filter(log => !idSet.has(log.id));
+        await this._updateAggregates(removed, []);
+
+        if (this.useIndexedDB && this.db) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+                const objectStore = transaction.objectStore(STORE_NAME);
+                removed.forEach(log => objectStore.delete(log.id));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            await this._deletePhotos(removed.filter(log => log.hasPhoto).map(log => log.id));
+        } else {
+            this._saveToLocalStorage();
+        }
+
+        return removed.length;
+    }
+
+    /**
+     * Cleanup old data (moves logs older than daysToKeep to the trash)
+     * @returns {Promise<{removed: number, batchId: string|null}>}
+     */
+    async cleanupOldData(daysToKeep = 90) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+        const removed = this.logs.filter(log => new Date(log.timestamp) < cutoffDate);
+        if (removed.length === 0) return { removed: 0, batchId: null };
+
+        const batchId = await this._moveToTrash(removed, 'cleanup');
+        return { removed: removed.length, batchId };
     }
 
     /**
@@ -0,0 +1,293 @@
+/**
+ * Sync Service
+ * Optional sync of the journal with a self-hosted server (see server/sync-server.js).
+ *
+ * Local writes are queued in an outbox (one entry per log, latest state wins)
+ * so edits made offline are sent once the server is reachable. Each sync
+ * pushes the outbox, then pulls everything the server has seen since the
+ * last pull. Conflicts are settled with compareRevisions: higher rev, then
+ * later updatedAt, then greater deviceId - the server applies the same rule.
+ *
+ * Wire format of a change:
+ * { id, rev, updatedAt, deviceId, deleted: boolean, log: Object|null }
+ */
+
+import { profileKey, DEFAULT_PROFILE_ID } from './profiles.js';
+
+const DEVICE_ID_KEY = 'nutrimood_device_id';
+const SYNC_CONFIG_KEY = 'nutrimood_sync';
+const PUSH_BATCH_SIZE = 200;
+const SYNC_DELAY_MS = 3000;
+
+/**
+ * Stable random id for this browser, shared by all profiles
+ */
+export function getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Convert a stored record (live log, trash record or tombstone) to a wire change
+ */
+export function toSyncChange(record) {
+    const deleted = Boolean(record.deletedAt);
+    const { deletedAt, deletedBatch, deletedReason, ...log } = record;
+
+    return {
+        id: record.id,
+        rev: record.rev || 0,
+        updatedAt: record.updatedAt || record.editedAt || record.timestamp || new Date(0).toISOString(),
+        deviceId: record.deviceId || getDeviceId(),
+        deleted,
+        log: deleted ? null : log
+    };
+}
+
+export class SyncService {
+    constructor(storageService, profileId = DEFAULT_PROFILE_ID) {
+        this.storageService = storageService;
+        this.syncing = null;
+        this.timer = null;
+
+        // Called with the changed ids after a sync touched the local journal
+        this.onRemoteChange = null;
+        // Called with { state, message } whenever the status changes
+        this.onStatus = null;
+
+        this._loadConfig(profileId);
+        this.storageService.onChange = (records) => this._queueChanges(records);
+
+        window.addEventListener('online', () => this.scheduleSync(0));
+    }
+
+    _loadConfig(profileId) {
+        this.profileId = profileId;
+        try {
+            this.config = JSON.parse(localStorage.getItem(profileKey(SYNC_CONFIG_KEY, profileId))) || {};
+        } catch (e) {
+            this.config = {};
+        }
+    }
+
+    _saveConfig() {
+        localStorage.setItem(profileKey(SYNC_CONFIG_KEY, this.profileId), JSON.stringify(this.config));
+    }
+
+    /**
+     * Follow a profile switch (StorageService must already be switched)
+     */
+    switchProfile(profileId) {
+        clearTimeout(this.timer);
+        this._loadConfig(profileId);
+        if (this.isEnabled()) this.scheduleSync(0);
+    }
+
+    isEnabled() {
+        return Boolean(this.config.endpoint && this.config.journal);
+    }
+
+    getConfig() {
+        const { endpoint = '', token = '', journal = '', lastSyncAt = null } = this.config;
+        return { endpoint, token, journal, lastSyncAt };
+    }
+
+    /**
+     * Connect to a server. Changing the endpoint or journal starts over:
+     * the whole local journal is queued and everything is pulled again.
+     */
+    async configure({ endpoint, token = '', journal }) {
+        endpoint = (endpoint || '').trim().replace(/\/+$/, '');
+        journal = (journal || '').trim();
+
+        if (!endpoint) {
+            await this.disable();
+            return;
+        }
+        if (!/^https?:\/\//.test(endpoint)) {
+            throw new Error('Sync server URL must start with http:// or https://');
+        }
+        if (!/^[\w-]{1,64}$/.test(journal)) {
+            throw new Error('Journal name may only use letters, numbers, - and _');
+        }
+
+        const changed = endpoint !== this.config.endpoint || journal !== this.config.journal;
+        this.config = { ...this.config, endpoint, token: token.trim(), journal };
+
+        if (changed) {
+            this.config.cursor = 0;
+            this.config.lastSyncAt = null;
+            await this.storageService.clearOutbox();
+            await this._queueAll();
+        }
+
+        this._saveConfig();
+    }
+
+    async disable() {
+        clearTimeout(this.timer);
+        this.config = {};
+        this._saveConfig();
+        await this.storageService.clearOutbox();
+        this._status('off', 'Sync is off');
+    }
+
+    async getPendingCount() {
+        return (await this.storageService.getOutbox()).length;
+    }
+
+    /**
+     * Wait for a running sync to finish (e.g. before switching profiles)
+     */
+    async idle() {
+        clearTimeout(this.timer);
+        if (this.syncing) await this.syncing.catch(() => {});
+    }
+
+    /**
+     * Sync soon, coalescing bursts of local writes into one request
+     */
+    scheduleSync(delay = SYNC_DELAY_MS) {
+        if (!this.isEnabled()) return;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.sync().catch(error => console.warn('Background sync failed:', error.message));
+        }, delay);
+    }
+
+    /**
+     * Push the outbox, then pull remote changes
+     * @returns {Promise<{pushed: number, pulled: number, conflicts: number}>}
+     */
+    async sync() {
+        if (!this.isEnabled()) throw new Error('SYNC_NOT_CONFIGURED');
+        if (this.syncing) return this.syncing;
+
+        this.syncing = this._sync().finally(() => { this.syncing = null; });
+        return this.syncing;
+    }
+
+    async _sync() {
+        if (navigator.onLine === false) {
+            this._status('offline', 'Offline - changes will sync when you reconnect');
+            throw new Error('SYNC_OFFLINE');
+        }
+
+        this._status('syncing', 'Syncing…');
+
+        try {
+            const { pushed, conflicts } = await this._push();
+            const pulled = await this._pull();
+
+            this.config.lastSyncAt = new Date().toISOString();
+            this._saveConfig();
+            this._status('ok', `Synced ${new Date(this.config.lastSyncAt).toLocaleTimeString()}`);
+
+            return { pushed, pulled, conflicts };
+        } catch (error) {
+            this._status('error', `Sync failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async _push() {
+        const outbox = await this.storageService.getOutbox();
+        let pushed = 0;
+        let conflicts = 0;
+
+        for (let i = 0; i < outbox.length; i += PUSH_BATCH_SIZE) {
+            const batch = outbox.slice(i, i + PUSH_BATCH_SIZE);
+            const response = await this._request('POST', '/changes', { changes: batch });
+
+            // The server kept a newer version of these - adopt it locally
+            const newer = response.conflicts || [];
+            await this._applyRemote(newer);
+
+            await this.storageService.removeFromOutbox(batch);
+            pushed += (response.applied || []).length;
+            conflicts += newer.length;
+        }
+
+        return { pushed, conflicts };
+    }
+
+    async _pull() {
+        let pulled = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+            const response = await this._request('GET', `/changes?since=${this.config.cursor || 0}`);
+            pulled += (await this._applyRemote(response.changes || [])).length;
+
+            this.config.cursor = response.cursor;
+            this._saveConfig();
+            hasMore = Boolean(response.hasMore);
+        }
+
+        return pulled;
+    }
+
+    /**
+     * Apply remote winners and drop queued local changes they supersede
+     */
+    async _applyRemote(changes) {
+        if (changes.length === 0) return [];
+
+        const applied = await this.storageService.applyRemoteChanges(changes);
+
+        const appliedIds = new Set(applied);
+        const outbox = await this.storageService.getOutbox();
+        await this.storageService.removeFromOutbox(outbox.filter(change => appliedIds.has(change.id)));
+
+        if (applied.length > 0 && this.onRemoteChange) this.onRemoteChange(applied);
+        return applied;
+    }
+
+    async _request(method, path, body) {
+        const { endpoint, token, journal } = this.config;
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${endpoint}/journals/${encodeURIComponent(journal)}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401) throw new Error('SYNC_UNAUTHORIZED');
+        if (!response.ok) {
+            const errData = await response.json().catch(() => ({}));
+            throw new Error(errData.error || `Sync server error (${response.status})`);
+        }
+
+        return response.json();
+    }
+
+    async _queueChanges(records) {
+        if (!this.isEnabled()) return;
+
+        try {
+            await this.storageService.putOutbox(records.map(toSyncChange));
+            this.scheduleSync();
+        } catch (error) {
+            console.error('Failed to queue change for sync:', error);
+        }
+    }
+
+    /**
+     * Queue every live log and trashed log (as a deletion)
+     */
+    async _queueAll() {
+        const records = [...this.storageService.getLogs(), ...this.storageService.getTrash()];
+        await this.storageService.putOutbox(records.map(toSyncChange));
+    }
+
+    _status(state, message) {
+        if (this.onStatus) this.onStatus({ state, message });
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Usage Service
+ * Every AI call is recorded in the profile's IndexedDB (`usage` store) with
+ * the token counts the provider reported and a cost estimated from
+ * data/ai-pricing.js:
+ *   record = { id, at, provider, model, feature, inputTokens, outputTokens, cost }
+ * cost is null when the model has no known price. A monthly budget (per
+ * profile) warns as it runs out and can pause non-essential calls.
+ */
+
+import { MODEL_PRICES } from '../data/ai-pricing.js';
+import { profileKey, DEFAULT_PROFILE_ID } from './profiles.js';
+
+const BUDGET_KEY = 'ai_budget';
+const BUDGET_BLOCK_KEY = 'ai_budget_block';
+
+// Warn once this share of the budget is spent
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// Logging meals, and checking the connection, never pauses for the budget
+export const ESSENTIAL_FEATURES = ['image', 'label', 'voice', 'test'];
+
+export const FEATURE_LABELS = {
+    image: 'Meal photos',
+    label: 'Nutrition labels',
+    voice: 'Spoken and typed logs',
+    plan: 'Meal plans',
+    grocery: 'Shopping lists',
+    fridge: 'Recipes',
+    chat: 'Chat',
+    test: 'Connection tests'
+};
+
+export const BUDGET_LEVELS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    OVER: 'over'
+};
+
+/**
+ * A non-essential call while the monthly budget is used up and blocking is on
+ */
+export class BudgetExceededError extends Error {
+    constructor(status) {
+        super(`This month's AI budget of ${formatCost(status.limit)} is used up. Meal photos, labels and spoken logs still work; plans, shopping lists, recipes and chat are paused until next month or a higher budget is set in Settings.`);
+        this.name = 'BudgetExceededError';
+        this.status = status;
+    }
+}
+
+/**
+ * Estimated US dollars for one call, null if the model has no known price
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+    const name = String(model || '').toLowerCase().replace(/^models\//, '');
+    const match = MODEL_PRICES
+        .filter(([prefix]) => name.startsWith(prefix))
+        .sort((a, b) => b[0].length - a[0].length)[0];
+    if (!match) return null;
+
+    const [, input, output] = match;
+    return (inputTokens * input + outputTokens * output) / 1e6;
+}
+
+export function formatCost(dollars) {
+    if (dollars === null || dollars === undefined) return '–';
+    if (dollars > 0 && dollars < 0.01) return `$${dollars.toFixed(4)}`;
+    return `$${dollars.toFixed(2)}`;
+}
+
+export function formatTokens(tokens) {
+    if (tokens < 1000) return String(tokens);
+    return tokens < 1e6 ? `${(tokens / 1000).toFixed(1)}k` : `${(tokens / 1e6).toFixed(2)}M`;
+}
+
+function startOfMonth(date = new Date()) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function budgetLevel(spent, limit) {
+    if (!limit) return BUDGET_LEVELS.OK;
+    if (spent >= limit) return BUDGET_LEVELS.OVER;
+    return spent >= limit * BUDGET_WARNING_RATIO ? BUDGET_LEVELS.WARNING : BUDGET_LEVELS.OK;
+}
+
+/**
+ * Totals for a list of records, overall and grouped by `key`
+ */
+function totals(records, key = null) {
+    const groups = new Map();
+    records.forEach(record => {
+        const id = key ? key(record) : 'all';
+        const group = groups.get(id) || { id, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+
+        group.calls++;
+        group.inputTokens += record.inputTokens;
+        group.outputTokens += record.outputTokens;
+        if (record.cost === null) group.unpriced++;
+        else group.cost += record.cost;
+
+        groups.set(id, group);
+    });
+    return [...groups.values()].sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+}
+
+export class UsageService {
+    constructor(storageService, profileId = DEFAULT_PROFILE_ID) {
+        this.storageService = storageService;
+
+        // Called with the budget status when a call moves it to warning or over
+        this.onBudget = null;
+
+        this.switchProfile(profileId);
+    }
+
+    switchProfile(profileId) {
+        this.profileId = profileId;
+        this.limit = parseFloat(localStorage.getItem(profileKey(BUDGET_KEY, profileId))) || 0;
+        this.block = localStorage.getItem(profileKey(BUDGET_BLOCK_KEY, profileId)) === 'true';
+    }
+
+    /**
+     * @returns {{limit: number, block: boolean}} limit 0 means no budget
+     */
+    getBudget() {
+        return { limit: this.limit, block: this.block };
+    }
+
+    /**
+     * @param {Object} budget
+     * @param {number|string} budget.limit - US dollars per calendar month; empty or 0 for none
+     * @param {boolean} budget.block - Pause non-essential calls once it is used up
+     */
+    setBudget({ limit, block }) {
+        const value = limit === '' || limit === null || limit === undefined ? 0 : Number(limit);
+        if (!(value >= 0)) {
+            throw new Error('Budget must be an amount in dollars');
+        }
+
+        this.limit = value;
+        this.block = Boolean(block);
+        localStorage.setItem(profileKey(BUDGET_KEY, this.profileId), String(value));
+        localStorage.setItem(profileKey(BUDGET_BLOCK_KEY, this.profileId), String(this.block));
+    }
+
+    /**
+     * Store one call. Failing to record never fails the call itself.
+     * @param {Object} call - { provider, model, feature, inputTokens, outputTokens }
+     */
+    async record({ provider, model, feature, inputTokens = 0, outputTokens = 0 }) {
+        try {
+            const before = await this.getBudgetStatus();
+            const cost = estimateCost(model, inputTokens, outputTokens);
+
+            await this.storageService.addUsage({
+                at: new Date().toISOString(),
+                provider,
+                model: model || '',
+                feature: feature || 'other',
+                inputTokens,
+                outputTokens,
+                cost
+            });
+
+            const spent = before.spent + (cost || 0);
+            const level = budgetLevel(spent, this.limit);
+            if (level !== before.level && this.onBudget) {
+                this.onBudget({ ...before, spent, level });
+            }
+        } catch (error) {
+            console.warn('AI usage could not be recorded:', error);
+        }
+    }
+
+    /**
+     * Calls, tokens and cost since the start of the month, in total and by
+     * provider/model and by feature
+     */
+    async getMonthSummary(now = new Date()) {
+        const records = await this.storageService.getUsage(startOfMonth(now).toISOString());
+
+        const byModel = totals(records, record => `${record.provider}\u0000${record.model}`).map(group => {
+            const [provider, model] = group.id.split('\u0000');
+            return { ...group, provider, model };
+        });
+
+        return {
+            since: startOfMonth(now).toISOString(),
+            ...(totals(records)[0] || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 }),
+            byModel,
+            byFeature: totals(records, record => record.feature)
+        };
+    }
+
+    /**
+     * @returns {Promise<{limit, block, spent, level}>} level is one of BUDGET_LEVELS
+     */
+    async getBudgetStatus(now = new Date()) {
+        const records = await this.storageService.getUsage(startOfMonth(now).toISOString());
+        const spent = records.reduce((sum, record) => sum + (record.cost || 0), 0);
+
+        return { limit: this.limit, block: this.block, spent, level: budgetLevel(spent, this.limit) };
+    }
+
+    /**
+     * Throw a BudgetExceededError if `feature` is paused by the budget
+     */
+    async assertAllowed(feature) {
+        if (!this.block || !this.limit || ESSENTIAL_FEATURES.includes(feature)) return;
+
+        const status = await this.getBudgetStatus();
+        if (status.level === BUDGET_LEVELS.OVER) throw new BudgetExceededError(status);
+    }
+
+    async clear() {
+        await this.storageService.clearUsage();
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * Barcode Utilities
+ * Check digits and normalization for EAN/UPC product codes, and a decoder
+ * for EAN-13, UPC-A, EAN-8 and UPC-E symbols in raw pixels. The decoder is
+ * the fallback for browsers without BarcodeDetector.
+ *
+ * Codes are normalized to GTIN-13 (UPC-A and UPC-E get a leading zero
+ * after expansion); EAN-8 codes stay 8 digits.
+ */
+
+// Element widths (in modules) of the digits 0-9. L and R codes share widths;
+// G codes are the L codes reversed.
+const L_CODES = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']
+    .map(code => code.split('').map(Number));
+const G_CODES = L_CODES.map(widths => [...widths].reverse());
+
+// EAN-13: parity (L = 0, G = 1) of the six left digits encodes the first digit
+const EAN13_PARITY = ['000000', '001011', '001101', '001110', '010011', '011001', '011100', '010101', '010110', '011010'];
+
+// UPC-E: parity (G = 1) of the six digits encodes the check digit, number system 0.
+// Number system 1 uses the inverse.
+const UPCE_PARITY = ['111000', '110100', '110010', '110001', '101100', '100110', '100011', '101010', '101001', '100101'];
+
+const MAX_DIGIT_ERROR = 1.9;
+const MAX_WIDTH_ERROR = 0.8;
+const SCAN_LINES = 24;
+
+/**
+ * GS1 check digit for the digits before it
+ */
+function checkDigit(body) {
+    const sum = body.split('').reverse()
+        .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Whether a code is 8, 12, 13 or 14 digits with a correct check digit
+ */
+export function isValidBarcode(code) {
+    const text = String(code ?? '');
+    return /^(\d{8}|\d{12,14})$/.test(text) && checkDigit(text.slice(0, -1)) === text.slice(-1);
+}
+
+/**
+ * UPC-A code for an 8-digit UPC-E code, null if it is not one
+ */
+export function expandUPCE(code) {
+    const text = String(code ?? '');
+    if (!/^[01]\d{7}$/.test(text)) return null;
+
+    const [system, d1, d2, d3, d4, d5, d6] = text;
+    let body;
+    if (d6 <= '2') body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+    else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+    else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+    const upcA = `${system}${body}${text[7]}`;
+    return isValidBarcode(upcA) ? upcA : null;
+}
+
+/**
+ * Canonical form of a scanned or typed code
+ * @param {string} code - Digits; spaces and dashes are ignored
+ * @param {string} [format] - Format reported by the scanner; 'upc_e' codes are expanded
+ * @returns {string|null} GTIN-13 or EAN-8, null if the code is not valid
+ */
+export function normalizeBarcode(code, format = '') {
+    let text = String(code ?? '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(text)) return null;
+
+    if (format === 'upc_e') text = expandUPCE(text) || '';
+
+    if (text.length === 14 && text.startsWith('0')) text = text.slice(1);
+    if (text.length === 12) text = `0${text}`;
+    if (text.length !== 8 && text.length !== 13) return null;
+
+    return isValidBarcode(text) ? text : null;
+}
+
+/**
+ * Forms a catalog may store the same product under (GTIN-13, UPC-A, ...)
+ */
+export function barcodeVariants(code) {
+    const normalized = normalizeBarcode(code) || String(code ?? '');
+    const variants = [normalized];
+    if (normalized.length === 13 && normalized.startsWith('0')) variants.push(normalized.slice(1));
+    if (normalized.length === 13) variants.push(`0${normalized}`);
+
+    // A typed 8-digit code may be UPC-E rather than EAN-8
+    const upcA = normalized.length === 8 ? expandUPCE(normalized) : null;
+    if (upcA) variants.push(`0${upcA}`, upcA);
+    return variants;
+}
+
+// --- Decoding ---------------------------------------------------------------
+
+/**
+ * Dark/light run lengths along one line of grey values.
+ * The threshold is halfway between the darkest and lightest pixel on the line.
+ * @returns {Array<{dark: boolean, width: number}>}
+ */
+function toRuns(line) {
+    let min = 255;
+    let max = 0;
+    line.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    if (max - min < 40) return [];
+
+    const threshold = (min + max) / 2;
+    const runs = [];
+    line.forEach(value => {
+        const dark = value < threshold;
+        const last = runs[runs.length - 1];
+        if (last && last.dark === dark) last.width++;
+        else runs.push({ dark, width: 1 });
+    });
+    return runs;
+}
+
+/**
+ * Best-matching digit for four element widths
+ * @returns {{digit: number, parity: number}|null} parity 1 for G codes
+ */
+function matchDigit(widths, allowG) {
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const scaled = widths.map(width => width * 7 / total);
+    let best = null;
+
+    [L_CODES, allowG ? G_CODES : null].forEach((codes, parity) => {
+        if (!codes) return;
+        codes.forEach((pattern, digit) => {
+            const errors = pattern.map((modules, i) => Math.abs(scaled[i] - modules));
+            const error = errors.reduce((sum, value) => sum + value, 0);
+            if (errors.every(value => value <= MAX_WIDTH_ERROR) && error <= MAX_DIGIT_ERROR &&
+                (!best || error < best.error)) {
+                best = { digit, parity, error };
+            }
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Whether the runs from `start` are guard bars of about one module each
+ */
+function isGuard(runs, start, count, module) {
+    for (let i = start; i < start + count; i++) {
+        if (!runs[i] || runs[i].width < module * 0.4 || runs[i].width > module * 1.8) return false;
+    }
+    return true;
+}
+
+/**
+ * Quiet zone: a light area of at least a few modules (or the image edge)
+ */
+function hasQuietZone(runs, index, module) {
+    const run = runs[index];
+    return !run || (!run.dark && run.width >= module * 3);
+}
+
+function decodeDigits(runs, start, count, allowG) {
+    const digits = [];
+    for (let i = 0; i < count; i++) {
+        const offset = start + i * 4;
+        const match = matchDigit(runs.slice(offset, offset + 4).map(run => run.width), allowG);
+        if (!match) return null;
+        digits.push(match);
+    }
+    return digits;
+}
+
+function symbolWidth(runs, start, length) {
+    return runs.slice(start, start + length).reduce((sum, run) => sum + run.width, 0);
+}
+
+/**
+ * EAN-13 / UPC-A: guard, 6 digits, middle guard, 6 digits, guard (59 runs, 95 modules)
+ */
+function decodeEAN13(runs, start) {
+    const module = symbolWidth(runs, start, 59) / 95;
+    if (!hasQuietZone(runs, start - 1, module) || !hasQuietZone(runs, start + 59, module)) return null;
+    if (!isGuard(runs, start, 3, module) || !isGuard(runs, start + 27, 5, module) || !isGuard(runs, start + 56, 3, module)) return null;
+
+    const left = decodeDigits(runs, start + 3, 6, true);
+    const right = left && decodeDigits(runs, start + 32, 6, false);
+    if (!right) return null;
+
+    const first = EAN13_PARITY.indexOf(left.map(match => match.parity).join(''));
+    if (first < 0) return null;
+
+    const code = `${first}${left.map(match => match.digit).join('')}${right.map(match => match.digit).join('')}`;
+    if (!isValidBarcode(code)) return null;
+    return code.startsWith('0') ? { format: 'upc_a', code: code.slice(1) } : { format: 'ean_13', code };
+}
+
+/**
+ * EAN-8: guard, 4 digits, middle guard, 4 digits, guard (43 runs, 67 modules)
+ */
+function decodeEAN8(runs, start) {
+    const module = symbolWidth(runs, start, 43) / 67;
+    if (!hasQuietZone(runs, start - 1, module) || !hasQuietZone(runs, start + 43, module)) return null;
+    if (!isGuard(runs, start, 3, module) || !isGuard(runs, start + 19, 5, module) || !isGuard(runs, start + 40, 3, module)) return null;
+
+    const left = decodeDigits(runs, start + 3, 4, false);
+    const right = left && decodeDigits(runs, start + 24, 4, false);
+    if (!right) return null;
+
+    const code = [...left, ...right].map(match => match.digit).join('');
+    return isValidBarcode(code) ? { format: 'ean_8', code } : null;
+}
+
+/**
+ * UPC-E: guard, 6 digits, end guard of six elements (33 runs, 51 modules)
+ */
+function decodeUPCE(runs, start) {
+    const module = symbolWidth(runs, start, 33) / 51;
+    if (!hasQuietZone(runs, start - 1, module) || !hasQuietZone(runs, start + 33, module)) return null;
+    if (!isGuard(runs, start, 3, module) || !isGuard(runs, start + 27, 6, module)) return null;
+
+    const digits = decodeDigits(runs, start + 3, 6, true);
+    if (!digits) return null;
+
+    const parity = digits.map(match => match.parity).join('');
+    const inverse = parity.split('').map(bit => (bit === '1' ? '0' : '1')).join('');
+    const payload = digits.map(match => match.digit).join('');
+
+    for (const [system, pattern] of [['0', parity], ['1', inverse]]) {
+        const check = UPCE_PARITY.indexOf(pattern);
+        if (check >= 0 && expandUPCE(`${system}${payload}${check}`)) {
+            return { format: 'upc_e', code: `${system}${payload}${check}` };
+        }
+    }
+    return null;
+}
+
+function decodeRuns(runs) {
+    for (let start = 0; start < runs.length; start++) {
+        if (!runs[start].dark) continue;
+
+        const result = (runs.length - start >= 59 && decodeEAN13(runs, start)) ||
+            (runs.length - start >= 43 && decodeEAN8(runs, start)) ||
+            (runs.length - start >= 33 && decodeUPCE(runs, start));
+        if (result) return result;
+    }
+    return null;
+}
+
+/**
+ * Grey values along evenly spaced rows and columns of an image
+ */
+function* scanLines({ data, width, height }) {
+    const grey = (x, y) => {
+        const i = (y * width + x) * 4;
+        return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    };
+
+    for (let n = 1; n <= SCAN_LINES; n++) {
+        const y = Math.floor(height * n / (SCAN_LINES + 1));
+        yield Array.from({ length: width }, (_, x) => grey(x, y));
+    }
+    for (let n = 1; n <= SCAN_LINES; n++) {
+        const x = Math.floor(width * n / (SCAN_LINES + 1));
+        yield Array.from({ length: height }, (_, y) => grey(x, y));
+    }
+}
+
+/**
+ * Find an EAN/UPC barcode in an image, read horizontally or vertically,
+ * either way up. The code read on most lines wins.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels, e.g. from a canvas
+ * @returns {{format: 'ean_13'|'upc_a'|'ean_8'|'upc_e', code: string}|null}
+ */
+export function decodeBarcode(imageData) {
+    const votes = new Map();
+
+    for (const line of scanLines(imageData)) {
+        const runs = toRuns(line);
+        const result = decodeRuns(runs) || decodeRuns([...runs].reverse());
+        if (!result) continue;
+
+        const key = `${result.format}:${result.code}`;
+        votes.set(key, { result, count: (votes.get(key)?.count || 0) + 1 });
+    }
+
+    let best = null;
+    votes.forEach(vote => {
+        if (!best || vote.count > best.count) best = vote;
+    });
+    return best ? best.result : null;
+}
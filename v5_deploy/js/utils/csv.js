@@ -0,0 +1,75 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reader/writer (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Quote a single cell, doubling any embedded quotes
+ */
+export function toCSVCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build CSV text from an array of rows (each an array of cells)
+ */
+export function toCSV(rows) {
+    return rows.map(row => row.map(toCSVCell).join(',')).join('\n');
+}
+
+/**
+ * Guess the delimiter from the first line (comma, semicolon or tab)
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text into an array of rows. Blank lines are dropped.
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const input = text.replace(/^\uFEFF/, ''); // Strip BOM added by spreadsheet apps
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
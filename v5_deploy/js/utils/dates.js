@@ -0,0 +1,239 @@
+/**
+ * Date Utilities
+ * Helpers for converting between stored ISO timestamps and form inputs.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format a date as a value for <input type="datetime-local"> (local time)
+ */
+export function toDateTimeLocalValue(date = new Date()) {
+    const d = new Date(date);
+    if (isNaN(d)) return '';
+
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Parse a datetime-local input value into an ISO timestamp (null if empty/invalid)
+ */
+export function fromDateTimeLocalValue(value) {
+    if (!value) return null;
+
+    const d = new Date(value);
+    return isNaN(d) ? null : d.toISOString();
+}
+
+/**
+ * Timestamp after editing a datetime-local input that was filled from `original`.
+ * The input only holds minutes, so while it still shows the original the
+ * original is kept, seconds included.
+ * @returns {string|null} ISO timestamp (null if the input is empty/invalid)
+ */
+export function editedTimestamp(value, original) {
+    if (original && value === toDateTimeLocalValue(original)) {
+        return new Date(original).toISOString();
+    }
+    return fromDateTimeLocalValue(value);
+}
+
+const MEAL_HOURS = {
+    breakfast: [8, 0],
+    brunch: [10, 30],
+    lunch: [12, 30],
+    snack: [16, 0],
+    dinner: [19, 0],
+    supper: [19, 0]
+};
+
+const PART_OF_DAY_HOURS = {
+    morning: [8, 0],
+    afternoon: [15, 0],
+    evening: [19, 0],
+    night: [21, 0]
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+/**
+ * Resolve phrases like "yesterday at lunch", "2 hours ago" or "on monday at 7pm"
+ * into an ISO timestamp relative to `now`. Returns null when no time is mentioned.
+ */
+export function resolveMealTime(text, now = new Date()) {
+    if (!text) return null;
+
+    const lower = text.toLowerCase();
+    const result = new Date(now);
+    let matched = false;
+
+    // Relative offsets: "2 hours ago", "an hour ago", "30 minutes ago"
+    const agoMatch = lower.match(/\b(\d+|a|an|one|two|three|four|five|six)\s+(hour|hr|minute|min)s?\s+ago\b/);
+    if (agoMatch) {
+        const amount = NUMBER_WORDS[agoMatch[1]] || parseInt(agoMatch[1], 10);
+        const unitMs = agoMatch[2].startsWith('h') ? 3600000 : 60000;
+        return new Date(now.getTime() - amount * unitMs).toISOString();
+    }
+
+    // Day: "yesterday", "N days ago", "last night", weekday names
+    const daysAgoMatch = lower.match(/\b(\d+|two|three|four|five|six)\s+days?\s+ago\b/);
+    if (/\byesterday\b/.test(lower) || /\blast night\b/.test(lower)) {
+        result.setDate(result.getDate() - 1);
+        matched = true;
+    } else if (daysAgoMatch) {
+        const amount = NUMBER_WORDS[daysAgoMatch[1]] || parseInt(daysAgoMatch[1], 10);
+        result.setDate(result.getDate() - amount);
+        matched = true;
+    } else {
+        const weekday = WEEKDAYS.findIndex(day => new RegExp(`\\b${day}\\b`).test(lower));
+        if (weekday !== -1) {
+            // Most recent past occurrence (a week ago if it is today's name)
+            const diff = (now.getDay() - weekday + 7) % 7 || 7;
+            result.setDate(result.getDate() - diff);
+            matched = true;
+        }
+    }
+
+    // Time of day: explicit clock time wins over meal names and parts of day
+    let time = null;
+    const clockMatch = lower.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/) || lower.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+    if (clockMatch) {
+        let hours = parseInt(clockMatch[1], 10);
+        const minutes = parseInt(clockMatch[2] || '0', 10);
+        const meridiem = clockMatch[3];
+
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours < 24 && minutes < 60) time = [hours, minutes];
+    }
+
+    // A bare meal name ("I just had breakfast") says what was eaten, not when:
+    // its usual hour applies to "for lunch", "at dinner" or with a named day
+    if (!time) {
+        const meal = Object.keys(MEAL_HOURS).find(name =>
+            new RegExp(`\\b(for|at|during)\\s+(my\\s+)?${name}\\b`).test(lower)
+            || (matched && new RegExp(`\\b${name}\\b`).test(lower)));
+        if (meal) time = MEAL_HOURS[meal];
+    }
+
+    if (!time) {
+        if (/\blast night\b|\btonight\b/.test(lower)) time = PART_OF_DAY_HOURS.night;
+        else {
+            const part = Object.keys(PART_OF_DAY_HOURS).find(name => new RegExp(`\\b(this|in the|yesterday)\\s+${name}\\b`).test(lower));
+            if (part) time = PART_OF_DAY_HOURS[part];
+        }
+    }
+
+    if (time) {
+        result.setHours(time[0], time[1], 0, 0);
+        matched = true;
+    }
+
+    if (!matched) return null;
+
+    // Never log into the future (e.g. "dinner" mentioned at noon)
+    if (result > now) return now.toISOString();
+
+    return result.toISOString();
+}
+
+/**
+ * Order of day/month/year in a locale's short numeric date, e.g. ['month', 'day', 'year'] for en-US
+ */
+export function getLocaleDateOrder(locale = undefined) {
+    try {
+        const parts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date(2001, 10, 22));
+        const order = parts.map(p => p.type).filter(type => ['day', 'month', 'year'].includes(type));
+        return order.length === 3 ? order : ['month', 'day', 'year'];
+    } catch (e) {
+        return ['month', 'day', 'year'];
+    }
+}
+
+const splitDate = (value) => String(value).trim().split(/[^\d]+/).filter(Boolean);
+
+/**
+ * Pick a date order for a column of numeric dates.
+ * Values like "22/11/2001" rule out month-first; otherwise the locale order is used.
+ */
+export function detectDateOrder(values, fallback = getLocaleDateOrder()) {
+    let dayFirst = false;
+    let monthFirst = false;
+
+    for (const value of values) {
+        const parts = splitDate(value);
+        if (parts.length < 3) continue;
+        if (parts[0].length === 4) return ['year', 'month', 'day'];
+        if (parseInt(parts[0], 10) > 12) dayFirst = true;
+        if (parseInt(parts[1], 10) > 12) monthFirst = true;
+    }
+
+    if (dayFirst && !monthFirst) return ['day', 'month', 'year'];
+    if (monthFirst && !dayFirst) return ['month', 'day', 'year'];
+    return fallback;
+}
+
+/**
+ * Parse a date (and optional separate time) written in a locale's numeric format.
+ * ISO strings are accepted as-is. Returns a Date, or null if the value can't be read.
+ *
+ * @param {string} dateValue - e.g. "11/22/2001", "22.11.2001", "2001-11-22T08:30:00Z"
+ * @param {string} [timeValue] - e.g. "2:30:05 PM", "14:30", "14.30.05"
+ * @param {string[]} [order] - from getLocaleDateOrder/detectDateOrder
+ */
+export function parseLocaleDateTime(dateValue, timeValue = '', order = getLocaleDateOrder()) {
+    if (!dateValue) return null;
+
+    const raw = String(dateValue).trim();
+    if (/^\d{4}-\d{2}-\d{2}T/.test(raw)) {
+        const iso = new Date(raw);
+        return isNaN(iso) ? null : iso;
+    }
+
+    // A single column may hold "date time"; split it off if no time column was given
+    let datePart = raw;
+    let timePart = String(timeValue || '').trim();
+    const combined = raw.match(/^([\d./-]+)[,\sT]+(.+)$/);
+    if (combined && !timePart) {
+        datePart = combined[1];
+        timePart = combined[2];
+    }
+
+    const parts = splitDate(datePart);
+    if (parts.length !== 3) return null;
+
+    const values = {};
+    order.forEach((type, i) => { values[type] = parseInt(parts[i], 10); });
+
+    let year = values.year;
+    if (year < 100) year += 2000;
+    const month = values.month;
+    const day = values.day;
+
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+    if (timePart) {
+        const timeMatch = timePart.match(/^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?$/i);
+        if (!timeMatch) return null;
+
+        hours = parseInt(timeMatch[1], 10);
+        minutes = parseInt(timeMatch[2], 10);
+        seconds = parseInt(timeMatch[3] || '0', 10);
+        const meridiem = timeMatch[4]?.toLowerCase().replace(/\./g, '');
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    }
+
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+
+    // Reject overflow like 31/02 rolling into March
+    if (isNaN(date) || date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59) {
+        return null;
+    }
+
+    return date;
+}
@@ -0,0 +1,137 @@
+/**
+ * HTTP Utilities
+ * fetch with a timeout per attempt, cancellation through an AbortSignal,
+ * and retries with exponential backoff and jitter on 429 and 5xx replies.
+ * A Retry-After header from the server is used instead of the backoff.
+ */
+
+export const DEFAULT_TIMEOUT = 60000; // ms per attempt
+export const DEFAULT_RETRIES = 2;
+
+const BASE_DELAY = 1000;
+// Longer waits (e.g. a Retry-After of minutes) return the error reply instead
+const MAX_DELAY = 30000;
+
+/**
+ * Whether a request failed because its signal was aborted (user cancelled)
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+function abortError() {
+    return new DOMException('The request was cancelled', 'AbortError');
+}
+
+function timeoutError(timeout) {
+    const error = new Error(`No reply after ${Math.round(timeout / 1000)} seconds. Please try again.`);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date),
+ * null if it is missing or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const text = value.trim();
+    if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: a random wait between half and all of
+ * BASE_DELAY * 2^attempt, capped at MAX_DELAY
+ */
+export function backoffDelay(attempt) {
+    const ceiling = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Statuses a Response cannot be built with a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function fetchWithTimeout(url, init, timeout, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+
+        // A reply can stall after its headers: read the body while the
+        // timeout and the cancel link still apply
+        const body = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    } catch (error) {
+        if (timedOut) throw timeoutError(timeout);
+        if (signal?.aborted) throw abortError();
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * fetch that gives up after a timeout and retries rate limits and server errors.
+ * The timeout covers the whole reply, body included. Resolves to the last
+ * response, which may still be an error reply.
+ * @param {string} url
+ * @param {RequestInit} init - fetch options (without signal)
+ * @param {Object} options
+ * @param {number} [options.timeout] - Milliseconds to wait for each attempt
+ * @param {number} [options.retries] - Attempts after the first
+ * @param {AbortSignal} [options.signal] - Aborts the request and any wait; rejects with an AbortError
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init = {}, { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, signal = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw abortError();
+
+        const response = await fetchWithTimeout(url, init, timeout, signal);
+        if (!isRetryable(response.status) || attempt >= retries) return response;
+
+        const delay = parseRetryAfter(response.headers.get('retry-after')) ?? backoffDelay(attempt);
+        if (delay > MAX_DELAY) return response;
+
+        console.warn(`Request failed with ${response.status}, retrying in ${delay} ms`);
+        await sleep(delay, signal);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Image Utilities
+ * Resizing and Blob/data URL conversion for meal photos.
+ */
+
+/**
+ * Scale an image file down so its longest side is at most maxSize (JPEG output)
+ */
+export function resizeImage(file, maxSize, quality = 0.8) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+        img.src = url;
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const canvas = document.createElement('canvas');
+            let width = img.width;
+            let height = img.height;
+
+            if (width > height) {
+                if (width > maxSize) {
+                    height *= maxSize / width;
+                    width = maxSize;
+                }
+            } else {
+                if (height > maxSize) {
+                    width *= maxSize / height;
+                    height = maxSize;
+                }
+            }
+
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, width, height);
+
+            canvas.toBlob((blob) => {
+                resolve(blob);
+            }, 'image/jpeg', quality);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read image'));
+        };
+    });
+}
+
+/**
+ * Encode a Blob as a data URL
+ */
+export async function blobToDataURL(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Decode a base64 data URL back into a Blob
+ */
+export function dataURLToBlob(dataURL) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/.exec(dataURL || '');
+    if (!match || !match[2]) throw new Error('Invalid data URL');
+
+    const binary = atob(match[3]);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+}
+
+/**
+ * MIME type and base64 payload of an image data URL (a bare base64 string
+ * is taken to be JPEG)
+ * @returns {{mimeType: string, data: string}}
+ */
+export function splitDataURL(dataURL) {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataURL || '');
+    return match ? { mimeType: match[1], data: match[2] } : { mimeType: 'image/jpeg', data: dataURL };
+}
@@ -0,0 +1,82 @@
+/**
+ * JSON Utilities
+ * Reading JSON out of free text, e.g. a model reply that wraps the object in
+ * a markdown fence or a sentence, or leaves a trailing comma.
+ */
+
+/**
+ * Index of the bracket that closes the one at `start`, -1 if it never closes
+ */
+function closingIndex(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Drop commas directly before a closing bracket (outside strings)
+ */
+function removeTrailingCommas(json) {
+    let result = '';
+    let inString = false;
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') result += json[++i] ?? '';
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        if (char === ',' && /^\s*[}\]]/.test(json.slice(i + 1))) continue;
+        result += char;
+    }
+    return result;
+}
+
+// Position of the next { or [ after `from`, -1 if there is none
+function nextOpening(text, from) {
+    const offset = text.slice(from + 1).search(/[{[]/);
+    return offset < 0 ? -1 : from + 1 + offset;
+}
+
+/**
+ * Parse the first JSON object or array in a text
+ * @throws {SyntaxError} if the text contains none
+ */
+export function extractJSON(text) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1] : source;
+
+    // Prose before the JSON may contain brackets too; try each bracketed
+    // span in turn, but never the objects nested inside one
+    let lastError = new SyntaxError('No JSON object found in the text');
+    let start = nextOpening(body, -1);
+    while (start >= 0) {
+        const end = closingIndex(body, start);
+        try {
+            return JSON.parse(removeTrailingCommas(body.slice(start, end < 0 ? undefined : end + 1)));
+        } catch (error) {
+            lastError = error;
+        }
+        start = end < 0 ? -1 : nextOpening(body, end);
+    }
+    throw lastError;
+}
@@ -0,0 +1,128 @@
+/**
+ * Nutrition Utilities
+ * Portion math for meal items. Each item keeps its nutrients as a basis -
+ * per 100 g when its weight is known, otherwise per serving - and the eaten
+ * amounts are recomputed from that basis, so changing a portion back and
+ * forth never compounds rounding errors.
+ *
+ * basis = { per: '100g' | 'serving', calories, protein, carbs, fats,
+ *           fiber?, sugar?, sodium? } (numbers; sodium in mg)
+ */
+
+export const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fats'];
+
+// Only known for some foods (nutrition labels, product catalog)
+export const DETAIL_KEYS = ['fiber', 'sugar', 'sodium'];
+
+/**
+ * Weight in grams from a portion text like "150 g", "0.2 kg" or "120 grams"
+ * @returns {number|null}
+ */
+export function parseGrams(text) {
+    if (typeof text === 'number') return text > 0 ? text : null;
+    if (typeof text !== 'string') return null;
+
+    const match = text.match(/(\d+(?:[.,]\d+)?)\s*(kg|g|grams?)\b/i);
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(',', '.'));
+    const grams = match[2].toLowerCase() === 'kg' ? value * 1000 : value;
+    return grams > 0 ? grams : null;
+}
+
+function nutrientValues(item) {
+    const values = {};
+    NUTRIENT_KEYS.forEach(key => {
+        // 300, "300" or "20g"
+        const value = parseFloat(String(item?.[key] ?? '').replace(',', '.'));
+        values[key] = value > 0 ? value : 0;
+    });
+    return values;
+}
+
+/**
+ * Nutrient basis and eaten amount of an item (grams or number of servings)
+ * @returns {{basis: Object, amount: number}}
+ */
+export function portionOf(item) {
+    if (item?.basis) {
+        const amount = item.basis.per === '100g' ? item.grams : item.quantity;
+        return { basis: item.basis, amount: amount > 0 ? amount : (item.basis.per === '100g' ? 100 : 1) };
+    }
+
+    const values = nutrientValues(item);
+    const grams = parseGrams(item?.grams) || parseGrams(item?.portion);
+
+    if (grams) {
+        const basis = { per: '100g' };
+        NUTRIENT_KEYS.forEach(key => {
+            basis[key] = Math.round(values[key] * 10000 / grams) / 100;
+        });
+        return { basis, amount: grams };
+    }
+
+    return { basis: { per: 'serving', ...values }, amount: 1 };
+}
+
+/**
+ * Scale factor from the basis to an amount (grams or servings)
+ */
+export function portionFactor(basis, amount) {
+    return basis.per === '100g' ? amount / 100 : amount;
+}
+
+/**
+ * Nutrients for an amount of a basis, in the app's format
+ * (calories as a number, macros as "Ng")
+ */
+export function scaleNutrients(basis, factor) {
+    return {
+        calories: Math.round(basis.calories * factor),
+        protein: `${Math.round(basis.protein * factor)}g`,
+        carbs: `${Math.round(basis.carbs * factor)}g`,
+        fats: `${Math.round(basis.fats * factor)}g`
+    };
+}
+
+/**
+ * Detail nutrients for an amount of a basis, null if the basis has none
+ * @returns {{fiber?: number, sugar?: number, sodium?: number}|null} grams, sodium in mg
+ */
+export function scaleDetails(basis, factor) {
+    const details = {};
+    DETAIL_KEYS.forEach(key => {
+        if (typeof basis[key] === 'number') details[key] = Math.round(basis[key] * factor * 10) / 10;
+    });
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Stored item for what was eaten: `amount` of the basis, times the meal's
+ * serving multiplier
+ * @param {{name: string, portion: string, basis: Object, amount: number, source?: Object, foodId?: string, barcode?: string, ingredients?: string}} item
+ * @param {number} servings - Meal multiplier, e.g. 0.5 for "I only ate half"
+ */
+export function portionedItem(item, servings = 1) {
+    const amount = item.amount * servings;
+    const factor = portionFactor(item.basis, amount);
+    const result = {
+        name: item.name,
+        portion: item.portion,
+        ...scaleNutrients(item.basis, factor),
+        basis: item.basis
+    };
+
+    const details = scaleDetails(item.basis, factor);
+    if (details) result.details = details;
+
+    if (item.basis.per === '100g') {
+        result.grams = Math.round(amount);
+        result.portion = `${result.grams} g`;
+    } else {
+        result.quantity = Math.round(amount * 100) / 100;
+    }
+    ['source', 'foodId', 'barcode', 'ingredients'].forEach(key => {
+        if (item[key]) result[key] = item[key];
+    });
+    return result;
+}
@@ -0,0 +1,45 @@
+/**
+ * Record Revisions
+ * Every stored log carries { rev, updatedAt, deviceId }, bumped on each local
+ * write. Shared by the browser sync engine and the reference sync server so
+ * both sides pick the same winner for a conflict.
+ */
+
+/**
+ * Revision fields for the next write of a record
+ */
+export function nextRevision(record, deviceId, now = new Date()) {
+    return {
+        rev: (record?.rev || 0) + 1,
+        updatedAt: now.toISOString(),
+        deviceId
+    };
+}
+
+/**
+ * Order two revisions: higher rev wins, then later updatedAt, then the
+ * greater deviceId. Returns > 0 if a is newer, < 0 if b is newer, 0 if equal.
+ */
+export function compareRevisions(a, b) {
+    const revA = a?.rev || 0;
+    const revB = b?.rev || 0;
+    if (revA !== revB) return revA - revB;
+
+    const timeA = Date.parse(a?.updatedAt) || 0;
+    const timeB = Date.parse(b?.updatedAt) || 0;
+    if (timeA !== timeB) return timeA - timeB;
+
+    const deviceA = a?.deviceId || '';
+    const deviceB = b?.deviceId || '';
+    if (deviceA === deviceB) return 0;
+    return deviceA > deviceB ? 1 : -1;
+}
+
+/**
+ * Pick the winning version of a record. Ties keep `current`.
+ */
+export function resolveConflict(current, incoming) {
+    if (!current) return incoming;
+    if (!incoming) return current;
+    return compareRevisions(incoming, current) > 0 ? incoming : current;
+}
@@ -0,0 +1,216 @@
+/**
+ * JSON Schema Validation
+ * A small validator for the subset of JSON Schema (draft-07) used by the
+ * bundled schemas in js/schemas/:
+ *   type, enum, const, required, properties, additionalProperties, items,
+ *   minItems, maxItems, minLength, pattern, format ('date-time', 'uri'),
+ *   minimum, maximum, anyOf, oneOf, allOf, $ref ('#/definitions/...')
+ * coerce() loosens values toward a schema first, for input such as model
+ * output where numbers arrive as "300kcal".
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+
+    return ref.slice(2).split('/').reduce((node, part) => {
+        if (!node || !(part in node)) throw new Error(`Unresolved $ref: ${ref}`);
+        return node[part];
+    }, root);
+}
+
+const FORMATS = {
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+    uri: (value) => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+};
+
+// Whether the value has the const properties (e.g. resourceType) an object schema asks for
+function matchesDiscriminator(schema, value, root) {
+    if (schema.$ref) return matchesDiscriminator(resolveRef(schema.$ref, root), value, root);
+    if (typeOf(value) !== 'object' || !schema.properties) return true;
+
+    return Object.entries(schema.properties)
+        .every(([key, property]) => !('const' in property) || value[key] === property.const);
+}
+
+function check(schema, value, path, root, errors) {
+    if (schema.$ref) {
+        check(resolveRef(schema.$ref, root), value, path, root, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: does not match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push(`${path}: is not a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        });
+
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, child]) => {
+            if (properties[key]) {
+                check(properties[key], child, `${path}.${key}`, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, child, `${path}.${key}`, root, errors);
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(sub => check(sub, value, path, root, errors));
+    }
+
+    if (schema.anyOf || schema.oneOf) {
+        const options = schema.anyOf || schema.oneOf;
+        const results = options.map(sub => {
+            const subErrors = [];
+            check(sub, value, path, root, subErrors);
+            return subErrors;
+        });
+        const passing = results.filter(subErrors => subErrors.length === 0).length;
+
+        if (passing === 0) {
+            // Report the shape the value was meant to be: the one whose const
+            // properties match, otherwise the one with the fewest errors
+            const intended = results.filter((subErrors, index) => matchesDiscriminator(options[index], value, root));
+            const closest = (intended.length > 0 ? intended : results)
+                .reduce((best, subErrors) => (subErrors.length < best.length ? subErrors : best));
+            errors.push(`${path}: does not match any allowed shape`, ...closest);
+        } else if (schema.oneOf && passing > 1) {
+            errors.push(`${path}: matches more than one allowed shape`);
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {{valid: boolean, errors: string[]}} errors are "path: message", paths start at "$"
+ */
+export function validate(schema, value) {
+    const errors = [];
+    check(schema, value, '$', schema, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+// "300kcal", "1,200 kcal", "12,5 g" -> 300, 1200, 12.5
+function parseNumber(text) {
+    const match = text.replace(/(\d),(\d{3})(?!\d)/g, '$1$2').replace(',', '.').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+function convert(value, types) {
+    const wantsNumber = types.includes('number') || types.includes('integer');
+
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (types.includes('null') && /^(|null|none|n\/a)$/i.test(text)) return null;
+        if (wantsNumber) {
+            const number = parseNumber(text);
+            if (number !== null) return types.includes('number') ? number : Math.round(number);
+        }
+        if (types.includes('boolean') && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    }
+    if (typeof value === 'number') {
+        if (types.includes('integer')) return Math.round(value);
+        if (types.includes('string')) return String(value);
+    }
+    return value;
+}
+
+/**
+ * Copy of a value converted toward a schema where the intent is clear:
+ * number strings ("300kcal") to numbers, numbers to strings, "null" or ""
+ * to null. Anything else is left for validate() to report.
+ */
+export function coerce(schema, value, root = schema) {
+    if (schema.$ref) return coerce(resolveRef(schema.$ref, root), value, root);
+
+    const options = schema.anyOf || schema.oneOf;
+    if (options) {
+        for (const option of options) {
+            const candidate = coerce(option, value, root);
+            const errors = [];
+            check(option, candidate, '$', root, errors);
+            if (errors.length === 0) return candidate;
+        }
+        return value;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) value = convert(value, types);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        return value.map(item => coerce(schema.items, item, root));
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const additional = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+            const childSchema = properties[key] || additional;
+            return [key, childSchema ? coerce(childSchema, child, root) : child];
+        }));
+    }
+    return value;
+}
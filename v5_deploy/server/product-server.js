@@ -0,0 +1,103 @@
+/**
+ * NutriMood Product Server
+ * Mock of the Open Food Facts product API used by js/services/products.js,
+ * for development and for hosting your own catalog. No dependencies.
+ *
+ *   GET /api/v2/product/:code(.json)  → { code, status: 1, product } or 404 { code, status: 0 }
+ *   GET /health                       → { ok: true, products }
+ *
+ * Products come from PRODUCTS_FILE: an Open Food Facts JSONL dump or a JSON
+ * array of products (default: server/sample-products.json).
+ *
+ * Usage:
+ *   PORT=8788 PRODUCTS_FILE=./products.jsonl node server/product-server.js
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { normalizeBarcode, barcodeVariants } from '../js/utils/barcode.js';
+
+/**
+ * Products from a JSON array or JSONL file; lines that are not JSON are skipped
+ */
+export async function loadProducts(file) {
+    const text = await fs.readFile(file, 'utf8');
+    if (text.trimStart().startsWith('[')) return JSON.parse(text);
+
+    return text.split('\n').flatMap(line => {
+        if (!line.trim()) return [];
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {Object[]} options.products - Open Food Facts products (need a `code`)
+ */
+export function createProductServer({ products }) {
+    // Every form of each code, so UPC-A and GTIN-13 lookups both hit
+    const byCode = new Map();
+    products.forEach(product => {
+        const code = normalizeBarcode(product?.code);
+        if (code) barcodeVariants(code).forEach(variant => byCode.set(variant, product));
+    });
+
+    return http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'GET') {
+            send(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/health') {
+            send(res, 200, { ok: true, products: products.length });
+            return;
+        }
+
+        const match = url.pathname.match(/^\/api\/v[02]\/product\/(\d+)(?:\.json)?$/);
+        if (!match) {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const code = match[1];
+        const product = byCode.get(code) || byCode.get(normalizeBarcode(code));
+        if (!product) {
+            send(res, 404, { code, status: 0, status_verbose: 'product not found' });
+            return;
+        }
+        send(res, 200, { code, status: 1, status_verbose: 'product found', product });
+    });
+}
+
+// Run directly: node server/product-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.PORT || '8788', 10);
+    const file = process.env.PRODUCTS_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'sample-products.json');
+
+    const products = await loadProducts(file);
+    createProductServer({ products }).listen(port, () => {
+        console.log(`NutriMood product server listening on http://localhost:${port} (${products.length} products from ${file})`);
+    });
+}
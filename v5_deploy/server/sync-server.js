@@ -0,0 +1,243 @@
+/**
+ * NutriMood Sync Server
+ * Reference implementation of the sync endpoint used by js/services/sync.js.
+ * No dependencies; each journal is one JSON file in DATA_DIR.
+ *
+ *   GET  /journals/:journal/changes?since=<cursor>  → { changes, cursor, hasMore }
+ *   POST /journals/:journal/changes  { changes }     → { applied, conflicts, cursor }
+ *   GET  /health                                     → { ok: true }
+ *
+ * Usage:
+ *   PORT=8787 DATA_DIR=./sync-data SYNC_TOKEN=secret node server/sync-server.js
+ * SYNC_TOKEN is optional; when set, clients must send "Authorization: Bearer <token>".
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { compareRevisions } from '../js/utils/revisions.js';
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const PULL_PAGE_SIZE = 500;
+const JOURNAL_PATTERN = /^[\w-]{1,64}$/;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Check one incoming change against the wire format
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return 'change must be an object';
+    if (typeof change.id !== 'number' && typeof change.id !== 'string') return 'id must be a number or string';
+    if (!Number.isInteger(change.rev) || change.rev < 0) return 'rev must be a non-negative integer';
+    if (typeof change.updatedAt !== 'string' || isNaN(Date.parse(change.updatedAt))) return 'updatedAt must be an ISO date';
+    if (typeof change.deviceId !== 'string' || !change.deviceId) return 'deviceId is required';
+    if (typeof change.deleted !== 'boolean') return 'deleted must be a boolean';
+    if (!change.deleted && (!change.log || typeof change.log !== 'object')) return 'log is required unless deleted';
+    return null;
+}
+
+/**
+ * File-backed journal store. Every accepted change gets the next sequence
+ * number; pulls return records changed after a given sequence.
+ */
+class JournalStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.journals = new Map();
+        this.writes = new Map();
+    }
+
+    _file(journal) {
+        return path.join(this.dataDir, `${journal}.json`);
+    }
+
+    async _load(journal) {
+        if (this.journals.has(journal)) return this.journals.get(journal);
+
+        let data = { seq: 0, records: {} };
+        try {
+            data = JSON.parse(await fs.readFile(this._file(journal), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.journals.set(journal, data);
+        return data;
+    }
+
+    /**
+     * Write via a temp file + rename so a crash never leaves half a journal.
+     * Writes to the same journal are serialized.
+     */
+    async _save(journal, data) {
+        const previous = this.writes.get(journal) || Promise.resolve();
+        const write = previous.then(async () => {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            const tmp = `${this._file(journal)}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(data));
+            await fs.rename(tmp, this._file(journal));
+        });
+
+        this.writes.set(journal, write.catch(() => {}));
+        return write;
+    }
+
+    async pull(journal, since) {
+        const data = await this._load(journal);
+
+        // A cursor from before the journal file was reset - start over
+        if (since > data.seq) since = 0;
+
+        const changes = Object.values(data.records)
+            .filter(record => record.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+
+        const page = changes.slice(0, PULL_PAGE_SIZE);
+        return {
+            changes: page,
+            cursor: page.length > 0 ? page[page.length - 1].seq : Math.max(since, 0),
+            hasMore: changes.length > page.length
+        };
+    }
+
+    async push(journal, changes) {
+        const data = await this._load(journal);
+        const applied = [];
+        const conflicts = [];
+        let changed = false;
+
+        changes.forEach(change => {
+            const key = String(change.id);
+            const current = data.records[key];
+            const order = current ? compareRevisions(change, current) : 1;
+
+            if (order > 0) {
+                data.seq += 1;
+                data.records[key] = { ...change, seq: data.seq };
+                applied.push(change.id);
+                changed = true;
+            } else if (order === 0) {
+                // Already stored (e.g. a retried push)
+                applied.push(change.id);
+            } else {
+                conflicts.push(current);
+            }
+        });
+
+        if (changed) await this._save(journal, data);
+        return { applied, conflicts, cursor: data.seq };
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory for journal files
+ * @param {string} [options.token] - Required bearer token, if any
+ */
+export function createSyncServer({ dataDir, token = '' }) {
+    const store = new JournalStore(dataDir);
+
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (url.pathname === '/health') {
+                send(res, 200, { ok: true });
+                return;
+            }
+
+            if (token && req.headers.authorization !== `Bearer ${token}`) {
+                throw new HttpError(401, 'Unauthorized');
+            }
+
+            const match = url.pathname.match(/^\/journals\/([^/]+)\/changes$/);
+            if (!match) throw new HttpError(404, 'Not found');
+
+            const journal = decodeURIComponent(match[1]);
+            if (!JOURNAL_PATTERN.test(journal)) throw new HttpError(400, 'Invalid journal name');
+
+            if (req.method === 'GET') {
+                const since = parseInt(url.searchParams.get('since') || '0', 10);
+                send(res, 200, await store.pull(journal, isNaN(since) ? 0 : since));
+                return;
+            }
+
+            if (req.method === 'POST') {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch (error) {
+                    if (error instanceof HttpError) throw error;
+                    throw new HttpError(400, 'Body is not valid JSON');
+                }
+
+                if (!Array.isArray(body?.changes)) throw new HttpError(400, 'Body must contain a changes array');
+
+                for (const [index, change] of body.changes.entries()) {
+                    const problem = validateChange(change);
+                    if (problem) throw new HttpError(400, `changes[${index}]: ${problem}`);
+                }
+
+                send(res, 200, await store.push(journal, body.changes));
+                return;
+            }
+
+            throw new HttpError(405, 'Method not allowed');
+        } catch (error) {
+            if (!(error instanceof HttpError)) console.error('Sync server error:', error);
+            send(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    });
+}
+
+// Run directly: node server/sync-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.PORT || '8787', 10);
+    const dataDir = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+    createSyncServer({ dataDir, token: process.env.SYNC_TOKEN || '' }).listen(port, () => {
+        console.log(`NutriMood sync server listening on http://localhost:${port} (data: ${dataDir})`);
+    });
+}
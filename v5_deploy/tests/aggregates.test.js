@@ -0,0 +1,171 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { StorageService } from '../js/services/storage.js';
+import { buildDailyAggregates } from '../js/services/aggregates.js';
+
+// Local times, as days are local calendar days
+const at = (day, hour) => new Date(2025, 4, day, hour).toISOString();
+
+// Whole-number amounts, so adding and subtracting them is exact
+const LOGS = [
+    {
+        timestamp: at(12, 8),
+        food: { name: 'Porridge', calories: 320, protein: '11g', carbs: '54g', fats: '7g' },
+        mood: { mood: 'Good', color: '#54a0ff' }
+    },
+    {
+        timestamp: at(12, 12),
+        food: {
+            name: 'Lunch',
+            calories: 650,
+            protein: '40g',
+            carbs: '60g',
+            fats: '20g',
+            items: [{ name: 'Rice', calories: 250 }, { name: 'Chicken', calories: 400 }]
+        },
+        mood: { mood: 'Bloated', color: '#ff9f43' }
+    },
+    {
+        timestamp: at(13, 19),
+        food: { name: 'Pizza', calories: 900, protein: '35g', carbs: '100g', fats: '38g' },
+        mood: { mood: 'Bloated', color: '#ff9f43' }
+    },
+    {
+        timestamp: at(14, 7),
+        food: { name: 'Toast', calories: 180, protein: '6g', carbs: '30g', fats: '4g' },
+        mood: null
+    }
+];
+
+let profile = 0;
+
+// Every test gets its own profile, so its own database
+async function openStorage(id = `aggregates-${++profile}`) {
+    const storage = new StorageService(id);
+    await storage.ready;
+    return storage;
+}
+
+// Let the clock move on, so the next write gets a later updatedAt
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function storedDays(storage) {
+    return new Promise((resolve, reject) => {
+        const request = storage.db.transaction(['daily'], 'readonly').objectStore('daily').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const sortedDays = (days) => [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('incremental daily aggregates', () => {
+    test('match a rebuild after adds, edits, deletes and restores', async () => {
+        const storage = await openStorage();
+        const added = [];
+        for (const log of LOGS) added.push(await storage.addLog(log));
+
+        await storage.updateLog(added[0].id, { food: { calories: 350, protein: '12g' }, mood: { mood: 'Happy', color: '#1dd1a1' } });
+        await storage.updateLog(added[2].id, { timestamp: at(14, 20) });
+        await storage.updateLog(added[3].id, { mood: { mood: 'Tired', color: '#576574' } });
+        const batch = await storage.deleteLog(added[1].id);
+        await storage.deleteLog(added[3].id);
+        await storage.restoreBatch(batch);
+
+        const incremental = storage.getDailyAggregates();
+        expect(incremental).toEqual(sortedDays(buildDailyAggregates(storage.getLogs())));
+        expect(incremental.map(day => day.date)).toEqual(['2025-05-12', '2025-05-14']);
+
+        await storage.rebuildAggregates();
+        expect(storage.getDailyAggregates()).toEqual(incremental);
+        storage.db.close();
+    });
+
+    test('keep the stored records in step with memory', async () => {
+        const storage = await openStorage();
+        const added = [];
+        for (const log of LOGS) added.push(await storage.addLog(log));
+
+        await storage.updateLog(added[2].id, { timestamp: at(12, 21) });
+        await storage.deleteLog(added[3].id);
+
+        const stored = (await storedDays(storage)).sort((a, b) => a.date.localeCompare(b.date));
+        expect(stored).toEqual(sortedDays(buildDailyAggregates(storage.getLogs())));
+        expect(stored.map(day => day.date)).toEqual(['2025-05-12']);
+        storage.db.close();
+    });
+
+    test('drop a day once its last log goes', async () => {
+        const storage = await openStorage();
+        const log = await storage.addLog(LOGS[3]);
+        await storage.deleteLog(log.id);
+
+        expect(storage.getDailyAggregates()).toEqual([]);
+        expect(await storedDays(storage)).toEqual([]);
+        storage.db.close();
+    });
+});
+
+describe('loading stored aggregates', () => {
+    test('keeps them when the fingerprint matches', async () => {
+        const id = `aggregates-${++profile}`;
+        const storage = await openStorage(id);
+        for (const log of LOGS) await storage.addLog(log);
+        const expected = storage.getDailyAggregates();
+        storage.db.close();
+
+        const rebuild = jest.spyOn(StorageService.prototype, 'rebuildAggregates');
+        const reloaded = await openStorage(id);
+
+        expect(rebuild).not.toHaveBeenCalled();
+        expect(reloaded.getDailyAggregates()).toEqual(expected);
+        reloaded.db.close();
+    });
+
+    test('rebuilds after an edit whose aggregate write was lost', async () => {
+        const id = `aggregates-${++profile}`;
+        const storage = await openStorage(id);
+        const added = [];
+        for (const log of LOGS) added.push(await storage.addLog(log));
+
+        // Same number of entries, so only the fingerprint can tell
+        await tick();
+        jest.spyOn(storage, '_updateAggregates').mockResolvedValue();
+        await storage.updateLog(added[0].id, { food: { calories: 500 } });
+        storage.db.close();
+
+        const rebuild = jest.spyOn(StorageService.prototype, 'rebuildAggregates');
+        const reloaded = await openStorage(id);
+
+        expect(rebuild).toHaveBeenCalledTimes(1);
+        expect(reloaded.getDailyAggregates()).toEqual(sortedDays(buildDailyAggregates(reloaded.getLogs())));
+        expect(reloaded.getDailyAggregates({ from: at(12, 0), to: at(12, 0) })[0].calories)
+            .toBe(500 + 650);
+        reloaded.db.close();
+    });
+
+    test('rebuilds when the entry count is off', async () => {
+        const id = `aggregates-${++profile}`;
+        const storage = await openStorage(id);
+        for (const log of LOGS) await storage.addLog(log);
+
+        jest.spyOn(storage, '_updateAggregates').mockResolvedValue();
+        await storage.addLog({ ...LOGS[0], timestamp: at(15, 8) });
+        storage.db.close();
+
+        const reloaded = await openStorage(id);
+        expect(reloaded.getDailyAggregates()).toEqual(sortedDays(buildDailyAggregates(reloaded.getLogs())));
+        expect(reloaded.getDailyAggregates().map(day => day.date)).toContain('2025-05-15');
+        reloaded.db.close();
+    });
+});
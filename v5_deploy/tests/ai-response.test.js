@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { AIResponseError, parseAIResponse, repairPrompt } from '../js/services/ai-response.js';
+import { AnalysisService } from '../js/services/analysis.js';
+
+// The error a call throws, undefined if it does not
+function thrown(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return undefined;
+}
+
+describe('parseAIResponse', () => {
+    test('coerces and validates a reply against its schema', () => {
+        const text = 'Sure! ```json\n{"name": "Pasta", "calories": "650 kcal", "protein": "22g", "mood": null}\n```';
+        expect(parseAIResponse(text, 'voice')).toEqual({ name: 'Pasta', calories: 650, protein: 22, mood: null });
+    });
+
+    test('only parses the JSON without a kind', () => {
+        expect(parseAIResponse('{"anything": "goes"}')).toEqual({ anything: 'goes' });
+    });
+
+    test('passes on an {"error": ...} reply as a plain error', () => {
+        const error = thrown(() => parseAIResponse('{"error": "Not food detected"}', 'image'));
+        expect(error).toBeInstanceOf(Error);
+        expect(error).not.toBeInstanceOf(AIResponseError);
+        expect(error.message).toBe('Not food detected');
+    });
+
+    test('rejects a reply without JSON', () => {
+        const text = 'I am not able to help with that.';
+        const error = thrown(() => parseAIResponse(text, 'voice'));
+        expect(error).toBeInstanceOf(AIResponseError);
+        expect(error).toMatchObject({ kind: 'voice', text });
+        expect(error.errors[0]).toMatch(/^\$: not valid JSON/);
+        expect(error.message).toBe('The AI sent a spoken food log the app could not read. Please try again.');
+    });
+
+    test('rejects a reply that does not match the schema', () => {
+        expect(() => parseAIResponse('{"name": "Soup", "calories": "plenty"}', 'voice')).toThrow(AIResponseError);
+
+        const error = thrown(() => parseAIResponse('{"items": [{"calories": 100}]}', 'image'));
+        expect(error).toBeInstanceOf(AIResponseError);
+        expect(error.errors).toContain('$.items[0].name: is required');
+    });
+});
+
+describe('repairPrompt', () => {
+    test('quotes the first few errors', () => {
+        const error = new AIResponseError('voice', ['a: 1', 'b: 2', 'c: 3', 'd: 4', 'e: 5', 'f: 6'], '');
+        const prompt = repairPrompt(error);
+        expect(prompt).toContain('a: 1; b: 2; c: 3; d: 4; e: 5.');
+        expect(prompt).not.toContain('f: 6');
+    });
+});
+
+describe('AnalysisService repair retry', () => {
+    let service;
+    let provider;
+
+    // A configured provider whose replies are given by the test
+    function useReplies(...replies) {
+        provider = {
+            id: 'claude',
+            isConfigured: () => true,
+            complete: jest.fn()
+        };
+        replies.forEach(text => provider.complete.mockResolvedValueOnce({ text, usage: {} }));
+        service.providers.set('claude', provider);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        service = new AnalysisService();
+        service.provider = 'claude';
+        service.fallbacks = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses a valid reply without asking again', async () => {
+        useReplies('{"name": "Toast", "calories": 180}');
+        await expect(service.analyze('text', { prompt: 'toast' }, { response: 'voice' }))
+            .resolves.toEqual({ name: 'Toast', calories: 180 });
+        expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('asks once for a correction and uses it', async () => {
+        useReplies('The toast has about 180 calories.', '{"name": "Toast", "calories": 180}');
+
+        await expect(service.analyze('text', { prompt: 'toast' }, { response: 'voice' }))
+            .resolves.toEqual({ name: 'Toast', calories: 180 });
+        expect(provider.complete).toHaveBeenCalledTimes(2);
+
+        const [messages] = provider.complete.mock.calls[1];
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(messages[1].text).toBe('The toast has about 180 calories.');
+        expect(messages[2].text).toMatch(/^Your reply could not be used: \$: not valid JSON/);
+    });
+
+    test('gives up after one failed correction', async () => {
+        useReplies('{"name": "Toast"}', '{"name": "Toast", "calories": "some"}');
+
+        await expect(service.analyze('text', { prompt: 'toast' }, { response: 'voice' }))
+            .rejects.toBeInstanceOf(AIResponseError);
+        expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry an {"error": ...} reply', async () => {
+        useReplies('{"error": "Not food detected"}');
+
+        await expect(service.analyze('text', { prompt: 'a shoe' }, { response: 'image' }))
+            .rejects.toThrow('Not food detected');
+        expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+});
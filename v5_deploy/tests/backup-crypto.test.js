@@ -0,0 +1,94 @@
+import { BACKUP_FORMAT, isEncryptedBackup, encryptBackup, decryptBackup } from '../js/services/backup-crypto.js';
+
+const PLAINTEXT = JSON.stringify({ logs: [{ id: 1, food: { name: 'Porridge' } }] });
+const PASSPHRASE = 'correct horse battery staple';
+
+// Key derivation is deliberately slow: encrypt once and tamper with copies
+let backupText;
+
+function tampered(change) {
+    const backup = JSON.parse(backupText);
+    change(backup);
+    return JSON.stringify(backup);
+}
+
+// Flip one bit of a base64 field
+function flipBit(base64) {
+    const bytes = Buffer.from(base64, 'base64');
+    bytes[0] ^= 1;
+    return bytes.toString('base64');
+}
+
+beforeAll(async () => {
+    backupText = await encryptBackup(PLAINTEXT, PASSPHRASE);
+});
+
+describe('encryptBackup', () => {
+    test('writes the documented format without the plaintext', () => {
+        const backup = JSON.parse(backupText);
+
+        expect(backup).toMatchObject({
+            format: BACKUP_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 310000 },
+            cipher: { name: 'AES-GCM' }
+        });
+        expect(Buffer.from(backup.kdf.salt, 'base64')).toHaveLength(16);
+        expect(Buffer.from(backup.cipher.iv, 'base64')).toHaveLength(12);
+        expect(backupText).not.toContain('Porridge');
+        expect(isEncryptedBackup(backupText)).toBe(true);
+    });
+
+    test('requires a passphrase', async () => {
+        await expect(encryptBackup(PLAINTEXT, '')).rejects.toThrow('PASSPHRASE_REQUIRED');
+    });
+});
+
+describe('isEncryptedBackup', () => {
+    test('is false for plain exports and other text', () => {
+        expect(isEncryptedBackup(PLAINTEXT)).toBe(false);
+        expect(isEncryptedBackup('not json')).toBe(false);
+    });
+});
+
+describe('decryptBackup', () => {
+    test('round-trips with the right passphrase', async () => {
+        await expect(decryptBackup(backupText, PASSPHRASE)).resolves.toBe(PLAINTEXT);
+    });
+
+    test('fails with a wrong passphrase', async () => {
+        await expect(decryptBackup(backupText, 'wrong horse')).rejects.toThrow('DECRYPTION_FAILED');
+        await expect(decryptBackup(backupText, '')).rejects.toThrow('PASSPHRASE_REQUIRED');
+    });
+
+    test('rejects a changed ciphertext', async () => {
+        const text = tampered(backup => { backup.ciphertext = flipBit(backup.ciphertext); });
+        await expect(decryptBackup(text, PASSPHRASE)).rejects.toThrow('DECRYPTION_FAILED');
+    });
+
+    test('rejects a changed header', async () => {
+        const salt = tampered(backup => { backup.kdf.salt = flipBit(backup.kdf.salt); });
+        const iv = tampered(backup => { backup.cipher.iv = flipBit(backup.cipher.iv); });
+        const iterations = tampered(backup => { backup.kdf.iterations += 1; });
+
+        await expect(decryptBackup(salt, PASSPHRASE)).rejects.toThrow('DECRYPTION_FAILED');
+        await expect(decryptBackup(iv, PASSPHRASE)).rejects.toThrow('DECRYPTION_FAILED');
+        await expect(decryptBackup(iterations, PASSPHRASE)).rejects.toThrow('DECRYPTION_FAILED');
+    });
+
+    test('ignores fields outside the header', async () => {
+        const text = tampered(backup => { backup.createdAt = '2000-01-01T00:00:00.000Z'; });
+        await expect(decryptBackup(text, PASSPHRASE)).resolves.toBe(PLAINTEXT);
+    });
+
+    test.each([
+        ['fewer iterations than ours', backup => { backup.kdf.iterations = 1000; }],
+        ['over ten times our iterations', backup => { backup.kdf.iterations = 310000 * 10 + 1; }],
+        ['iterations that are not an integer', backup => { backup.kdf.iterations = '310000'; }],
+        ['another version', backup => { backup.version = 2; }],
+        ['another key derivation', backup => { backup.kdf.name = 'scrypt'; }],
+        ['another cipher', backup => { backup.cipher.name = 'AES-CBC'; }]
+    ])('refuses a file with %s', async (_, change) => {
+        await expect(decryptBackup(tampered(change), PASSPHRASE)).rejects.toThrow('UNSUPPORTED_BACKUP');
+    });
+});
@@ -0,0 +1,137 @@
+import { isValidBarcode, expandUPCE, normalizeBarcode, barcodeVariants, decodeBarcode } from '../js/utils/barcode.js';
+
+// Element widths of the digits, light first (L), reversed (G); R codes are
+// the L widths starting dark
+const L_WIDTHS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+const EAN13_PARITY = ['000000', '001011', '001101', '001110', '010011', '011001', '011100', '010101', '010110', '011010'];
+const UPCE_PARITY = ['111000', '110100', '110010', '110001', '101100', '100110', '100011', '101010', '101001', '100101'];
+
+function digitModules(digit, { g = false, r = false } = {}) {
+    const widths = L_WIDTHS[digit].split('').map(Number);
+    if (g) widths.reverse();
+    return widths.map((width, i) => String((i + (r ? 1 : 0)) % 2).repeat(width)).join('');
+}
+
+/**
+ * Bars and spaces of a code as a string of modules, 1 for a bar
+ */
+function encode(code, format) {
+    const digits = code.split('').map(Number);
+    if (format === 'ean_13') {
+        const parity = EAN13_PARITY[digits[0]];
+        const left = digits.slice(1, 7).map((digit, i) => digitModules(digit, { g: parity[i] === '1' }));
+        const right = digits.slice(7).map(digit => digitModules(digit, { r: true }));
+        return `101${left.join('')}01010${right.join('')}101`;
+    }
+    if (format === 'ean_8') {
+        const left = digits.slice(0, 4).map(digit => digitModules(digit));
+        const right = digits.slice(4).map(digit => digitModules(digit, { r: true }));
+        return `101${left.join('')}01010${right.join('')}101`;
+    }
+    // upc_e: number system, six digits, check digit
+    let parity = UPCE_PARITY[digits[7]];
+    if (digits[0] === 1) parity = parity.split('').map(bit => (bit === '1' ? '0' : '1')).join('');
+    const body = digits.slice(1, 7).map((digit, i) => digitModules(digit, { g: parity[i] === '1' }));
+    return `101${body.join('')}010101`;
+}
+
+/**
+ * RGBA pixels of a barcode with a quiet zone, like a canvas ImageData
+ */
+function render(modules, { moduleWidth = 3, height = 30, vertical = false } = {}) {
+    const line = `${'0'.repeat(12)}${modules}${'0'.repeat(12)}`;
+    const length = line.length * moduleWidth;
+    const width = vertical ? height : length;
+    const rows = vertical ? length : height;
+    const data = new Uint8ClampedArray(width * rows * 4);
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < width; x++) {
+            const position = vertical ? y : x;
+            const value = line[Math.floor(position / moduleWidth)] === '1' ? 20 : 235;
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height: rows };
+}
+
+describe('isValidBarcode', () => {
+    test('checks the GS1 check digit', () => {
+        expect(isValidBarcode('4006381333931')).toBe(true);
+        expect(isValidBarcode('4006381333932')).toBe(false);
+        expect(isValidBarcode('036000291452')).toBe(true);
+        expect(isValidBarcode('96385074')).toBe(true);
+    });
+
+    test('accepts only 8, 12, 13 or 14 digits', () => {
+        expect(isValidBarcode('12345')).toBe(false);
+        expect(isValidBarcode('40063813339a1')).toBe(false);
+        expect(isValidBarcode(null)).toBe(false);
+    });
+});
+
+describe('expandUPCE', () => {
+    test('expands each UPC-E form to UPC-A', () => {
+        expect(expandUPCE('01234565')).toBe('012345000065');
+        expect(expandUPCE('04252614')).toBe('042100005264');
+    });
+
+    test('rejects codes that are not UPC-E', () => {
+        expect(expandUPCE('21234565')).toBeNull();
+        expect(expandUPCE('01234566')).toBeNull();
+    });
+});
+
+describe('normalizeBarcode', () => {
+    test('normalizes to GTIN-13, ignoring spaces and dashes', () => {
+        expect(normalizeBarcode('0 36000-29145 2')).toBe('0036000291452');
+        expect(normalizeBarcode('00036000291452')).toBe('0036000291452');
+        expect(normalizeBarcode('4006381333931')).toBe('4006381333931');
+    });
+
+    test('keeps EAN-8 and expands UPC-E when the scanner says so', () => {
+        expect(normalizeBarcode('96385074')).toBe('96385074');
+        expect(normalizeBarcode('04252614', 'upc_e')).toBe('0042100005264');
+    });
+
+    test('returns null for anything else', () => {
+        expect(normalizeBarcode('4006381333932')).toBeNull();
+        expect(normalizeBarcode('abc')).toBeNull();
+        expect(normalizeBarcode('')).toBeNull();
+    });
+});
+
+describe('barcodeVariants', () => {
+    test('lists the forms a catalog may use for a UPC-A product', () => {
+        expect(barcodeVariants('036000291452')).toEqual(['0036000291452', '036000291452', '00036000291452']);
+    });
+
+    test('includes the UPC-A expansion of an 8-digit code', () => {
+        expect(barcodeVariants('04252614')).toEqual(['04252614', '0042100005264', '042100005264']);
+    });
+});
+
+describe('decodeBarcode', () => {
+    test.each([
+        ['ean_13', '4006381333931'],
+        ['ean_8', '96385074'],
+        ['upc_e', '01234565']
+    ])('reads %s %s', (format, code) => {
+        expect(decodeBarcode(render(encode(code, format)))).toEqual({ format, code });
+    });
+
+    test('reports an EAN-13 with a leading zero as UPC-A', () => {
+        expect(decodeBarcode(render(encode('0036000291452', 'ean_13')))).toEqual({ format: 'upc_a', code: '036000291452' });
+    });
+
+    test('reads codes upside down and vertically', () => {
+        const modules = encode('4006381333931', 'ean_13');
+        const reversed = modules.split('').reverse().join('');
+        expect(decodeBarcode(render(reversed))).toEqual({ format: 'ean_13', code: '4006381333931' });
+        expect(decodeBarcode(render(modules, { vertical: true }))).toEqual({ format: 'ean_13', code: '4006381333931' });
+    });
+
+    test('returns null when there is no barcode', () => {
+        expect(decodeBarcode(render(''))).toBeNull();
+    });
+});
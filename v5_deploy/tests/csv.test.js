@@ -0,0 +1,73 @@
+import { toCSVCell, toCSV, detectDelimiter, parseCSV } from '../js/utils/csv.js';
+import { guessColumnMapping, csvRecordsToEntries } from '../js/services/csv-import.js';
+
+describe('toCSV', () => {
+    test('quotes every cell and doubles embedded quotes', () => {
+        expect(toCSVCell('Say "cheese"')).toBe('"Say ""cheese"""');
+        expect(toCSVCell(null)).toBe('""');
+        expect(toCSVCell(0)).toBe('"0"');
+    });
+
+    test('joins rows with newlines', () => {
+        expect(toCSV([['a', 'b'], [1, 2]])).toBe('"a","b"\n"1","2"');
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('picks the most frequent delimiter on the first line', () => {
+        expect(detectDelimiter('date;food;calories\n1,5;2;3')).toBe(';');
+        expect(detectDelimiter('date\tfood\n')).toBe('\t');
+        expect(detectDelimiter('date,food')).toBe(',');
+    });
+
+    test('defaults to a comma for a single column', () => {
+        expect(detectDelimiter('food\napple')).toBe(',');
+    });
+});
+
+describe('parseCSV', () => {
+    test('reads quoted fields with delimiters, quotes and line breaks', () => {
+        const text = 'food,notes\r\n"Soup, tomato","Said ""yum""\nthen slept"\r\n';
+        expect(parseCSV(text)).toEqual([
+            ['food', 'notes'],
+            ['Soup, tomato', 'Said "yum"\nthen slept']
+        ]);
+    });
+
+    test('round-trips what toCSV writes', () => {
+        const rows = [['name', 'calories'], ['Fish, "fresh"', '210'], ['', 'x\ny']];
+        expect(parseCSV(toCSV(rows))).toEqual(rows);
+    });
+
+    test('strips a byte order mark and drops blank lines', () => {
+        expect(parseCSV('\uFEFFfood;calories\n\n;\nApple;95\n')).toEqual([['food', 'calories'], ['Apple', '95']]);
+    });
+});
+
+describe('CSV import', () => {
+    const headers = ['Date', 'Time', 'Food', 'Calories', 'Protein', 'Carbs', 'Fat', 'Mood'];
+
+    test('guesses columns from common header names', () => {
+        const mapping = guessColumnMapping(headers);
+        expect(mapping).toMatchObject({ date: 0, time: 1, food: 2, calories: 3, mood: 7 });
+    });
+
+    test('reads day-first dates when the data rules out month-first', () => {
+        const mapping = guessColumnMapping(headers);
+        const records = [
+            ['22/11/2024', '08:30', 'Toast', '180', '6', '30', '3', 'Good'],
+            ['03/12/2024', '7:05 PM', 'Stew', '540', '', '', '', '']
+        ];
+
+        const [toast, stew] = csvRecordsToEntries(records, mapping);
+        expect(toast.timestamp).toBe(new Date(2024, 10, 22, 8, 30).toISOString());
+        expect(toast.food).toEqual({ name: 'Toast', calories: '180', protein: '6', carbs: '30', fats: '3' });
+        expect(toast.mood).toBe('Good');
+        expect(stew.timestamp).toBe(new Date(2024, 11, 3, 19, 5).toISOString());
+        expect(stew.mood).toBeNull();
+    });
+
+    test('refuses a mapping without the required columns', () => {
+        expect(() => csvRecordsToEntries([['Toast']], { food: 0 })).toThrow(/Map a column for/);
+    });
+});
@@ -0,0 +1,117 @@
+import { detectDateOrder, parseLocaleDateTime, resolveMealTime, toDateTimeLocalValue, fromDateTimeLocalValue, editedTimestamp } from '../js/utils/dates.js';
+
+const DAY_FIRST = ['day', 'month', 'year'];
+const MONTH_FIRST = ['month', 'day', 'year'];
+
+describe('detectDateOrder', () => {
+    test('a day over 12 in the first place means day-first', () => {
+        expect(detectDateOrder(['01/02/2024', '22/11/2024'], MONTH_FIRST)).toEqual(DAY_FIRST);
+    });
+
+    test('a day over 12 in the second place means month-first', () => {
+        expect(detectDateOrder(['11/22/2024', '01/02/2024'], DAY_FIRST)).toEqual(MONTH_FIRST);
+    });
+
+    test('a four-digit first part means year-first', () => {
+        expect(detectDateOrder(['2024.11.22'], DAY_FIRST)).toEqual(['year', 'month', 'day']);
+    });
+
+    test('falls back when the column is ambiguous or contradictory', () => {
+        expect(detectDateOrder(['01/02/2024', '03/04/2024'], DAY_FIRST)).toEqual(DAY_FIRST);
+        expect(detectDateOrder(['22/11/2024', '11/22/2024'], MONTH_FIRST)).toEqual(MONTH_FIRST);
+    });
+});
+
+describe('parseLocaleDateTime', () => {
+    test('reads a date in the given order', () => {
+        expect(parseLocaleDateTime('22.11.2024', '', DAY_FIRST)).toEqual(new Date(2024, 10, 22));
+        expect(parseLocaleDateTime('11/22/2024', '', MONTH_FIRST)).toEqual(new Date(2024, 10, 22));
+        expect(parseLocaleDateTime('22/11/24', '', DAY_FIRST)).toEqual(new Date(2024, 10, 22));
+    });
+
+    test('reads 24-hour and 12-hour times', () => {
+        expect(parseLocaleDateTime('22/11/2024', '14.30.05', DAY_FIRST)).toEqual(new Date(2024, 10, 22, 14, 30, 5));
+        expect(parseLocaleDateTime('11/22/2024', '2:30 PM', MONTH_FIRST)).toEqual(new Date(2024, 10, 22, 14, 30));
+        expect(parseLocaleDateTime('11/22/2024', '12:15 a.m.', MONTH_FIRST)).toEqual(new Date(2024, 10, 22, 0, 15));
+    });
+
+    test('splits a time off a combined date column', () => {
+        expect(parseLocaleDateTime('22/11/2024 08:45', '', DAY_FIRST)).toEqual(new Date(2024, 10, 22, 8, 45));
+    });
+
+    test('accepts ISO timestamps as they are', () => {
+        expect(parseLocaleDateTime('2024-11-22T08:30:00Z', '', DAY_FIRST)).toEqual(new Date('2024-11-22T08:30:00Z'));
+    });
+
+    test('rejects impossible dates and unreadable values', () => {
+        expect(parseLocaleDateTime('31/02/2024', '', DAY_FIRST)).toBeNull();
+        expect(parseLocaleDateTime('22/11/2024', '25:00', DAY_FIRST)).toBeNull();
+        expect(parseLocaleDateTime('22/11/2024', 'noon', DAY_FIRST)).toBeNull();
+        expect(parseLocaleDateTime('yesterday', '', DAY_FIRST)).toBeNull();
+        expect(parseLocaleDateTime('', '', DAY_FIRST)).toBeNull();
+    });
+});
+
+describe('datetime-local values', () => {
+    test('round-trip through local time', () => {
+        const date = new Date(2025, 4, 14, 9, 5);
+        expect(toDateTimeLocalValue(date)).toBe('2025-05-14T09:05');
+        expect(fromDateTimeLocalValue('2025-05-14T09:05')).toBe(date.toISOString());
+        expect(fromDateTimeLocalValue('')).toBeNull();
+    });
+});
+
+describe('editedTimestamp', () => {
+    const original = new Date(2025, 4, 14, 9, 5, 42, 517).toISOString();
+
+    test('keeps the seconds while the input still shows the original', () => {
+        expect(editedTimestamp('2025-05-14T09:05', original)).toBe(original);
+    });
+
+    test('takes the new value once the date or time changes', () => {
+        expect(editedTimestamp('2025-05-14T09:06', original)).toBe(new Date(2025, 4, 14, 9, 6).toISOString());
+        expect(editedTimestamp('2025-05-13T09:05', original)).toBe(new Date(2025, 4, 13, 9, 5).toISOString());
+    });
+
+    test('returns null for an empty input', () => {
+        expect(editedTimestamp('', original)).toBeNull();
+    });
+});
+
+describe('resolveMealTime', () => {
+    // Wednesday evening
+    const now = new Date(2025, 4, 14, 21, 30);
+    const at = (...args) => new Date(...args).toISOString();
+
+    test('returns null when no time is mentioned', () => {
+        expect(resolveMealTime('a bowl of pasta', now)).toBeNull();
+        expect(resolveMealTime('', now)).toBeNull();
+    });
+
+    test('a bare meal name keeps the current time', () => {
+        expect(resolveMealTime('I had a snack', now)).toBeNull();
+        expect(resolveMealTime('I just had breakfast', now)).toBeNull();
+    });
+
+    test('a meal phrase uses the usual hour of that meal', () => {
+        expect(resolveMealTime('pasta for lunch', now)).toBe(at(2025, 4, 14, 12, 30));
+        expect(resolveMealTime('soup at dinner', now)).toBe(at(2025, 4, 14, 19, 0));
+        expect(resolveMealTime('yesterday lunch was a salad', now)).toBe(at(2025, 4, 13, 12, 30));
+    });
+
+    test('an explicit clock time wins over the meal', () => {
+        expect(resolveMealTime('lunch at 1pm', now)).toBe(at(2025, 4, 14, 13, 0));
+    });
+
+    test('reads relative offsets and days', () => {
+        expect(resolveMealTime('two hours ago', now)).toBe(at(2025, 4, 14, 19, 30));
+        expect(resolveMealTime('last night', now)).toBe(at(2025, 4, 13, 21, 0));
+        expect(resolveMealTime('on monday at 7pm', now)).toBe(at(2025, 4, 12, 19, 0));
+        expect(resolveMealTime('cereal this morning', now)).toBe(at(2025, 4, 14, 8, 0));
+    });
+
+    test('never resolves into the future', () => {
+        const noon = new Date(2025, 4, 14, 12, 0);
+        expect(resolveMealTime('steak for dinner', noon)).toBe(noon.toISOString());
+    });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import { FoodDatabaseService, normalizeFoodName } from '../js/services/food-db.js';
+import { AnalysisService } from '../js/services/analysis.js';
+import { SOURCES } from '../js/services/meal-items.js';
+import { FOODS_VERSION } from '../js/data/foods.js';
+
+const FROM_DB = { calories: SOURCES.FOOD_DB, protein: SOURCES.FOOD_DB, carbs: SOURCES.FOOD_DB, fats: SOURCES.FOOD_DB };
+
+// Storage with no saved table, so the bundled one is loaded
+function emptyStorage() {
+    return {
+        getFoods: jest.fn(async () => []),
+        replaceFoods: jest.fn(async () => {})
+    };
+}
+
+let foodDatabase;
+
+beforeAll(async () => {
+    foodDatabase = new FoodDatabaseService(emptyStorage());
+    await foodDatabase.ready();
+});
+
+describe('normalizeFoodName', () => {
+    test('drops case, accents, punctuation and plural endings', () => {
+        expect(normalizeFoodName('Crème Brûlée!')).toBe('creme brulee');
+        expect(normalizeFoodName('Blueberries, fresh')).toBe('blueberry fresh');
+        expect(normalizeFoodName('Tomatoes')).toBe('tomato');
+        expect(normalizeFoodName('Grass')).toBe('grass');
+    });
+});
+
+describe('FoodDatabaseService.load', () => {
+    test('seeds storage with the bundled table when it has none', async () => {
+        const storage = emptyStorage();
+        await new FoodDatabaseService(storage).ready();
+
+        const [records] = storage.replaceFoods.mock.calls[0];
+        expect(records.length).toBeGreaterThan(50);
+        expect(records.every(record => record.version === FOODS_VERSION)).toBe(true);
+    });
+
+    test('uses the stored table when it is current', async () => {
+        const stored = [{
+            id: 'tea', name: 'Tea', aliases: [], version: FOODS_VERSION,
+            per100g: { calories: 1, protein: 0, carbs: 0, fats: 0 }, serving: { grams: 240, label: '1 cup' }
+        }];
+        const storage = { getFoods: async () => stored, replaceFoods: jest.fn() };
+        const database = new FoodDatabaseService(storage);
+        await database.ready();
+
+        expect(storage.replaceFoods).not.toHaveBeenCalled();
+        expect(database.foods.map(food => food.id)).toEqual(['tea']);
+    });
+});
+
+describe('FoodDatabaseService.search', () => {
+    test('finds names, aliases and the part before a comma', () => {
+        expect(foodDatabase.search('banana')[0]).toMatchObject({ food: { id: 'banana' }, score: 1 });
+        expect(foodDatabase.search('porridge')[0].food.id).toBe('oatmeal');
+        expect(foodDatabase.search('oatmeal')[0].food.id).toBe('oatmeal');
+    });
+
+    test.each([
+        ['bananna', 'banana'],
+        ['avocdo', 'avocado'],
+        ['brocoli', 'broccoli'],
+        ['chiken', 'chicken-breast']
+    ])('forgives the misspelling %s', (query, id) => {
+        expect(foodDatabase.search(query)[0].food.id).toBe(id);
+    });
+
+    test('finds nothing for unknown words or an empty query', () => {
+        expect(foodDatabase.search('xyzzy')).toEqual([]);
+        expect(foodDatabase.search('  ')).toEqual([]);
+    });
+
+    test('returns at most the limit, best first', () => {
+        const matches = foodDatabase.search('chicken', 2);
+        expect(matches).toHaveLength(2);
+        expect(matches[0].score).toBeGreaterThanOrEqual(matches[1].score);
+    });
+});
+
+describe('FoodDatabaseService.estimateFromText', () => {
+    test('builds a meal from the foods and amounts in a sentence', () => {
+        const meal = foodDatabase.estimateFromText('two eggs and a slice of toast');
+
+        expect(meal.name).toBe('Egg, White bread');
+        expect(meal.items.map(item => [item.foodId, item.grams])).toEqual([['egg', 100], ['white-bread', 25]]);
+        expect(meal.calories).toBe(meal.items[0].calories + meal.items[1].calories);
+    });
+
+    test('reads grams and fractions, despite misspellings', () => {
+        expect(foodDatabase.estimateFromText('150g of bananna').items[0]).toMatchObject({ foodId: 'banana', grams: 150 });
+        expect(foodDatabase.estimateFromText('half an avocadoo').items[0]).toMatchObject({ foodId: 'avocado', grams: 75 });
+    });
+
+    test('prefers the longer name', () => {
+        const meal = foodDatabase.estimateFromText('peanut butter on toast');
+        expect(meal.items.map(item => item.foodId)).toEqual(['peanut-butter', 'white-bread']);
+    });
+
+    test('tags the meal and every item as coming from the food database', () => {
+        const meal = foodDatabase.estimateFromText('an apple');
+
+        expect(meal.source).toEqual(FROM_DB);
+        expect(meal.items[0].source).toEqual(FROM_DB);
+    });
+
+    test('returns null when no food is recognized', () => {
+        expect(foodDatabase.estimateFromText('I had a qwerty')).toBeNull();
+        expect(foodDatabase.estimateFromText('')).toBeNull();
+    });
+});
+
+describe('AnalysisService.parseVoiceLog without the AI', () => {
+    const NOW = new Date(2025, 4, 14, 13, 0);
+    let service;
+    let provider;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        provider = {
+            id: 'claude',
+            isConfigured: () => true,
+            complete: jest.fn(async () => { throw new Error('Service unavailable'); })
+        };
+        service = new AnalysisService('food-db-test', { foodDatabase });
+        service.provider = 'claude';
+        service.fallbacks = [];
+        service.providers.set('claude', provider);
+    });
+
+    afterEach(() => {
+        navigator.onLine = true;
+        jest.restoreAllMocks();
+    });
+
+    test('estimates offline from the food database', async () => {
+        navigator.onLine = false;
+        const result = await service.parseVoiceLog('two eggs for breakfast', NOW);
+
+        expect(provider.complete).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ name: 'Egg', source: FROM_DB, mood: null });
+        expect(new Date(result.eatenAt).getHours()).toBe(8);
+    });
+
+    test('falls back to the food database when the AI call fails', async () => {
+        const result = await service.parseVoiceLog('a banana', NOW);
+
+        expect(provider.complete).toHaveBeenCalled();
+        expect(result).toMatchObject({ name: 'Banana', source: FROM_DB });
+    });
+
+    test('passes the AI error on when no food matches', async () => {
+        await expect(service.parseVoiceLog('something strange', NOW)).rejects.toThrow('Service unavailable');
+
+        navigator.onLine = false;
+        await expect(service.parseVoiceLog('something strange', NOW))
+            .rejects.toThrow('You are offline and no food in the offline database matched');
+    });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { buildFHIRBundle, buildOpenMHealth } from '../js/services/health-export.js';
+import { validate } from '../js/utils/schema.js';
+import { FHIR_BUNDLE_SCHEMA } from '../js/schemas/fhir-bundle.js';
+import { OMH_DATA_POINTS_SCHEMA } from '../js/schemas/open-mhealth.js';
+
+const LOGS = [
+    {
+        id: 1715700000000.123,
+        timestamp: '2025-05-14T12:30:00.000Z',
+        food: {
+            name: 'Lunch',
+            calories: 650,
+            protein: '40g',
+            carbs: '60g',
+            fats: '20g',
+            items: [{ name: 'Rice', portion: '200 g' }, { name: 'Chicken' }]
+        },
+        mood: { mood: 'Bloated', color: '#ff9f43' }
+    },
+    {
+        id: 'a1b2',
+        timestamp: '2025-05-14T08:00:00.000Z',
+        food: { name: 'Porridge', calories: 320, protein: '11g', carbs: 'n/a', fats: '7g' },
+        mood: { mood: 'Good', color: '#54a0ff' }
+    },
+    {
+        id: 3,
+        timestamp: '2025-05-15T07:45:00.000Z',
+        food: { name: 'Toast', calories: 180 },
+        mood: null
+    }
+];
+
+const PROFILE = { id: 'p-1', name: 'Sam' };
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('buildFHIRBundle', () => {
+    test('builds a Bundle that validates against the bundled schema', () => {
+        const bundle = buildFHIRBundle(LOGS, { profile: PROFILE });
+        expect(validate(FHIR_BUNDLE_SCHEMA, bundle)).toEqual({ valid: true, errors: [] });
+
+        const resources = bundle.entry.map(entry => entry.resource);
+        expect(resources.map(resource => resource.resourceType))
+            .toEqual(['Patient', 'NutritionIntake', 'Observation', 'NutritionIntake', 'Observation', 'NutritionIntake']);
+        expect(resources[0]).toMatchObject({ id: 'patient-p-1', name: [{ text: 'Sam' }] });
+
+        // Oldest first; ids keep only the characters FHIR allows
+        const [, porridge, good, lunch, bloated] = resources;
+        expect(porridge.id).toBe('intake-a1b2');
+        expect(lunch.id).toBe('intake-1715700000000.123');
+        expect(porridge.ingredientLabel.map(label => label.nutrient.concept.coding[0].code))
+            .toEqual(['ENERC_KCAL', 'PROCNT', 'FAT']);
+        expect(lunch.consumedItem[0].amount).toEqual({ value: 200, unit: 'g', system: 'http://unitsofmeasure.org', code: 'g' });
+        expect(lunch.consumedItem[1].amount).toBeUndefined();
+
+        expect(good.valueCodeableConcept.coding[0]).toMatchObject({ system: 'urn:nutrimood:mood', code: 'good' });
+        expect(bloated.code.text).toBe('Symptom after eating');
+        expect(bloated.focus[0].reference).toBe(bundle.entry[3].fullUrl);
+    });
+
+    test('rejects a meal whose item has no name', () => {
+        const log = { ...LOGS[2], food: { name: 'Plate', calories: 100, items: [{ name: '' }] } };
+
+        expect(() => buildFHIRBundle([log])).toThrow(/^FHIR export is invalid: .*consumedItem\[0\]\.nutritionProduct/);
+    });
+
+    test('output with a unit other than kcal or g fails the schema', () => {
+        const bundle = buildFHIRBundle(LOGS);
+        bundle.entry[1].resource.ingredientLabel[0].amount.code = 'mg';
+
+        expect(validate(FHIR_BUNDLE_SCHEMA, bundle).valid).toBe(false);
+    });
+});
+
+describe('buildOpenMHealth', () => {
+    test('builds data points that validate against the bundled schema', () => {
+        const dataPoints = buildOpenMHealth(LOGS, { profile: PROFILE });
+        expect(validate(OMH_DATA_POINTS_SCHEMA, dataPoints)).toEqual({ valid: true, errors: [] });
+
+        expect(dataPoints.map(point => point.header.schema_id.name))
+            .toEqual(['food-intake', 'mood', 'food-intake', 'mood', 'food-intake']);
+        expect(dataPoints.every(point => point.header.user_id === 'p-1')).toBe(true);
+
+        const [porridge, good, , bloated, toast] = dataPoints;
+        expect(porridge.body).toEqual({
+            food_name: 'Porridge',
+            effective_time_frame: { date_time: '2025-05-14T08:00:00.000Z' },
+            calories: { value: 320, unit: 'kcal' },
+            protein: { value: 11, unit: 'g' },
+            fat: { value: 7, unit: 'g' }
+        });
+        expect(good.body).toMatchObject({ mood: 'Good', is_symptom: false, food_intake_id: porridge.header.id });
+        expect(bloated.body.is_symptom).toBe(true);
+        expect(toast.body.calories).toEqual({ value: 180, unit: 'kcal' });
+    });
+
+    test('rejects a mood that is not a name', () => {
+        const log = { ...LOGS[2], mood: { mood: 4, color: '#54a0ff' } };
+
+        expect(() => buildOpenMHealth([log])).toThrow(/^Open mHealth export is invalid: /);
+    });
+
+    test('output with an unknown body field fails the schema', () => {
+        const dataPoints = buildOpenMHealth(LOGS);
+        dataPoints[0].body.sugar = { value: 3, unit: 'g' };
+
+        expect(validate(OMH_DATA_POINTS_SCHEMA, dataPoints).valid).toBe(false);
+    });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { fetchWithRetry, parseRetryAfter, backoffDelay, isAbortError } from '../js/utils/http.js';
+
+const realFetch = globalThis.fetch;
+
+function reply(status, body = '', headers = {}) {
+    return new Response(body, { status, headers });
+}
+
+/**
+ * A reply whose headers arrive but whose body never finishes. Like a real
+ * fetch, aborting the request's signal fails the body read.
+ */
+function stalledReply(signal) {
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('{"partial":'));
+            signal.addEventListener('abort', () => controller.error(signal.reason), { once: true });
+        }
+    });
+    return new Response(body, { status: 200 });
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+    jest.restoreAllMocks();
+});
+
+describe('parseRetryAfter', () => {
+    test('reads seconds and HTTP dates', () => {
+        const now = Date.parse('2025-05-14T10:00:00Z');
+        expect(parseRetryAfter('120')).toBe(120000);
+        expect(parseRetryAfter('Wed, 14 May 2025 10:00:30 GMT', now)).toBe(30000);
+        expect(parseRetryAfter('Wed, 14 May 2025 09:00:00 GMT', now)).toBe(0);
+    });
+
+    test('returns null when missing or unreadable', () => {
+        expect(parseRetryAfter(null)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+describe('backoffDelay', () => {
+    test('waits between half and all of the doubling delay, capped', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        expect(backoffDelay(0)).toBe(500);
+        expect(backoffDelay(2)).toBe(2000);
+        expect(backoffDelay(10)).toBe(15000);
+
+        Math.random.mockReturnValue(1);
+        expect(backoffDelay(0)).toBe(1000);
+        expect(backoffDelay(10)).toBe(30000);
+    });
+});
+
+describe('fetchWithRetry', () => {
+    test('returns a successful reply with its body', async () => {
+        globalThis.fetch = jest.fn(async () => reply(200, '{"ok":true}', { 'content-type': 'application/json' }));
+
+        const response = await fetchWithRetry('https://api.example/test', { method: 'POST' });
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('application/json');
+        expect(await response.json()).toEqual({ ok: true });
+        expect(globalThis.fetch).toHaveBeenCalledWith('https://api.example/test', expect.objectContaining({ method: 'POST' }));
+    });
+
+    test('retries rate limits and server errors', async () => {
+        globalThis.fetch = jest.fn()
+            .mockResolvedValueOnce(reply(429, 'slow down', { 'retry-after': '0' }))
+            .mockResolvedValueOnce(reply(503, 'busy', { 'retry-after': '0' }))
+            .mockResolvedValueOnce(reply(200, 'done'));
+
+        const response = await fetchWithRetry('https://api.example/test');
+        expect(await response.text()).toBe('done');
+        expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('returns the last error reply once the retries are used up', async () => {
+        globalThis.fetch = jest.fn(async () => reply(500, 'broken', { 'retry-after': '0' }));
+
+        const response = await fetchWithRetry('https://api.example/test', {}, { retries: 1 });
+        expect(response.status).toBe(500);
+        expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors or long Retry-After waits', async () => {
+        globalThis.fetch = jest.fn(async () => reply(404));
+        expect((await fetchWithRetry('https://api.example/test')).status).toBe(404);
+        expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+        globalThis.fetch = jest.fn(async () => reply(429, '', { 'retry-after': '120' }));
+        expect((await fetchWithRetry('https://api.example/test')).status).toBe(429);
+        expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('passes replies without a body through', async () => {
+        globalThis.fetch = jest.fn(async () => new Response(null, { status: 204 }));
+        expect((await fetchWithRetry('https://api.example/test')).status).toBe(204);
+    });
+
+    test('times out a reply whose body stalls', async () => {
+        globalThis.fetch = jest.fn(async (url, init) => stalledReply(init.signal));
+
+        await expect(fetchWithRetry('https://api.example/test', {}, { timeout: 20, retries: 0 }))
+            .rejects.toMatchObject({ name: 'TimeoutError' });
+    });
+
+    test('cancels a request in flight with an AbortError', async () => {
+        const controller = new AbortController();
+        globalThis.fetch = jest.fn(async (url, init) => {
+            setTimeout(() => controller.abort(), 10);
+            return stalledReply(init.signal);
+        });
+
+        const error = await fetchWithRetry('https://api.example/test', {}, { signal: controller.signal }).catch(e => e);
+        expect(isAbortError(error)).toBe(true);
+    });
+
+    test('does not start a request that is already cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        globalThis.fetch = jest.fn();
+
+        const error = await fetchWithRetry('https://api.example/test', {}, { signal: controller.signal }).catch(e => e);
+        expect(isAbortError(error)).toBe(true);
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,36 @@
+import { extractJSON } from '../js/utils/json.js';
+
+describe('extractJSON', () => {
+    test('parses a bare object or array', () => {
+        expect(extractJSON('{"name": "Apple", "calories": 95}')).toEqual({ name: 'Apple', calories: 95 });
+        expect(extractJSON('[1, 2, 3]')).toEqual([1, 2, 3]);
+    });
+
+    test('reads the object inside a markdown fence', () => {
+        const text = 'Here is the analysis:\n```json\n{"name": "Soup"}\n```\nEnjoy!';
+        expect(extractJSON(text)).toEqual({ name: 'Soup' });
+    });
+
+    test('skips prose around the JSON, brackets included', () => {
+        const text = 'Estimate [rough] based on {the photo}: {"name": "Rice", "items": [{"name": "rice"}]} hope this helps';
+        expect(extractJSON(text)).toEqual({ name: 'Rice', items: [{ name: 'rice' }] });
+    });
+
+    test('drops trailing commas outside strings', () => {
+        expect(extractJSON('{"items": [1, 2,], "note": "a, }",}')).toEqual({ items: [1, 2], note: 'a, }' });
+    });
+
+    test('keeps brackets and escaped quotes inside strings', () => {
+        expect(extractJSON('{"name": "Pie {\\"apple\\"} [slice]"}')).toEqual({ name: 'Pie {"apple"} [slice]' });
+    });
+
+    test('strips a byte order mark', () => {
+        expect(extractJSON('\uFEFF{"ok": true}')).toEqual({ ok: true });
+    });
+
+    test('throws a SyntaxError when there is no JSON', () => {
+        expect(() => extractJSON('Sorry, I cannot see any food.')).toThrow(SyntaxError);
+        expect(() => extractJSON(null)).toThrow(SyntaxError);
+        expect(() => extractJSON('{"name": "cut off')).toThrow(SyntaxError);
+    });
+});
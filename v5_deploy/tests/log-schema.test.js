@@ -0,0 +1,121 @@
+import { MOOD_COLORS, parseAmount, normalizeLogEntry, duplicateKey, entryDiffers } from '../js/services/log-schema.js';
+
+const valid = (overrides = {}) => ({
+    timestamp: '2025-05-14T08:30:00.000Z',
+    food: { name: 'Porridge', calories: 320, protein: '11g', carbs: '54g', fats: '7g' },
+    mood: { mood: 'Good', color: '#54a0ff' },
+    ...overrides
+});
+
+describe('parseAmount', () => {
+    test('reads numbers with units and decimal commas', () => {
+        expect(parseAmount(300)).toBe(300);
+        expect(parseAmount('300kcal')).toBe(300);
+        expect(parseAmount('12.5 g')).toBe(12.5);
+        expect(parseAmount('12,5 g')).toBe(12.5);
+        expect(parseAmount('-4')).toBe(-4);
+    });
+
+    test('returns null for anything without a number', () => {
+        expect(parseAmount('lots')).toBeNull();
+        expect(parseAmount(Infinity)).toBeNull();
+        expect(parseAmount(null)).toBeNull();
+        expect(parseAmount({ value: 3 })).toBeNull();
+    });
+});
+
+describe('normalizeLogEntry', () => {
+    test('keeps a valid entry, trimming the name and rounding amounts', () => {
+        const { entry, errors } = normalizeLogEntry(valid({
+            food: { name: '  Porridge ', calories: '320.6 kcal', protein: 10.5, carbs: '54,4g', fats: '' }
+        }));
+
+        expect(errors).toEqual([]);
+        expect(entry.food).toEqual({ name: 'Porridge', calories: 321, protein: '11g', carbs: '54g', fats: '0g' });
+    });
+
+    test('normalizes the timestamp and keeps unknown fields', () => {
+        const { entry } = normalizeLogEntry(valid({ timestamp: '2025-05-14T10:30:00+02:00', id: 'abc', note: 'from v6' }));
+        expect(entry).toMatchObject({ timestamp: '2025-05-14T08:30:00.000Z', id: 'abc', note: 'from v6' });
+    });
+
+    test('accepts a mood name and fills in its color', () => {
+        expect(normalizeLogEntry(valid({ mood: ' Bad ' })).entry.mood).toEqual({ mood: 'Bad', color: MOOD_COLORS.Bad });
+        expect(normalizeLogEntry(valid({ mood: 'Unlisted' })).entry.mood).toEqual({ mood: 'Unlisted', color: '#ccc' });
+        expect(normalizeLogEntry(valid({ mood: null })).entry.mood).toBeNull();
+    });
+
+    test('only takes hex mood colors from the file', () => {
+        const color = (value) => normalizeLogEntry(valid({ mood: { mood: 'Good', color: value } })).entry.mood.color;
+
+        expect(color('#ABC')).toBe('#ABC');
+        expect(color('#12ab9f')).toBe('#12ab9f');
+        expect(color('red')).toBe(MOOD_COLORS.Good);
+        expect(color('#12345')).toBe(MOOD_COLORS.Good);
+        expect(color('#fff;background:url(x)')).toBe(MOOD_COLORS.Good);
+        expect(color('"><script>alert(1)</script>')).toBe(MOOD_COLORS.Good);
+    });
+
+    test('keeps itemized meals with named items', () => {
+        const items = [{ name: 'Rice', calories: 200 }, { name: 'Chicken', calories: 250 }];
+        expect(normalizeLogEntry(valid({ food: { name: 'Lunch', calories: 450, items } })).entry.food.items).toEqual(items);
+    });
+
+    test.each([
+        ['not an object', 'soup', 'entry must be an object'],
+        ['an array', [], 'entry must be an object'],
+        ['no timestamp', valid({ timestamp: undefined }), 'timestamp is missing or not a valid date'],
+        ['a bad timestamp', valid({ timestamp: 'yesterday' }), 'timestamp is missing or not a valid date'],
+        ['no food', valid({ food: null }), 'food is missing'],
+        ['a blank name', valid({ food: { name: '  ' } }), 'food.name is missing'],
+        ['negative calories', valid({ food: { name: 'Soup', calories: -10 } }), 'food.calories must be a non-negative number'],
+        ['unreadable calories', valid({ food: { name: 'Soup', calories: 'lots' } }), 'food.calories must be a non-negative number'],
+        ['unreadable protein', valid({ food: { name: 'Soup', protein: 'some' } }), 'food.protein must be a non-negative amount'],
+        ['unnamed items', valid({ food: { name: 'Soup', items: [{ calories: 10 }] } }), 'food.items must be a list of items with names'],
+        ['a nameless mood', valid({ mood: { color: '#fff' } }), 'mood must be a mood name or { mood, color }'],
+        ['an object id', valid({ id: { a: 1 } }), 'id must be a number or string'],
+        ['a photo that is not an image', valid({ photo: { data: 'data:text/html,<b>' } }), 'photo must contain an image data URL']
+    ])('rejects an entry with %s', (_, raw, message) => {
+        const { entry, errors } = normalizeLogEntry(raw);
+        expect(entry).toBeNull();
+        expect(errors).toContain(message);
+    });
+
+    test('reports every problem at once', () => {
+        const { errors } = normalizeLogEntry({ timestamp: 'never', food: { name: '', calories: -1 } });
+        expect(errors).toHaveLength(3);
+    });
+});
+
+describe('duplicateKey', () => {
+    test('matches the same meal at second precision, ignoring case and spaces', () => {
+        const stored = valid({ timestamp: '2025-05-14T08:30:15.742Z' });
+        const fromCSV = valid({ timestamp: '2025-05-14T08:30:15Z', food: { name: ' porridge' } });
+        expect(duplicateKey(fromCSV)).toBe(duplicateKey(stored));
+    });
+
+    test('matches the same moment written in another time zone', () => {
+        expect(duplicateKey(valid({ timestamp: '2025-05-14T10:30:00+02:00' }))).toBe(duplicateKey(valid()));
+    });
+
+    test('tells apart meals a second apart or with other names', () => {
+        expect(duplicateKey(valid({ timestamp: '2025-05-14T08:30:01.000Z' }))).not.toBe(duplicateKey(valid()));
+        expect(duplicateKey(valid({ food: { name: 'Oatmeal' } }))).not.toBe(duplicateKey(valid()));
+    });
+});
+
+describe('entryDiffers', () => {
+    const existing = normalizeLogEntry(valid()).entry;
+
+    test('is false for the same values written differently', () => {
+        expect(entryDiffers(existing, valid({ food: { name: 'porridge', calories: '320', protein: 11, carbs: '54 g', fats: '7' } })))
+            .toBe(false);
+        expect(entryDiffers(existing, valid({ mood: null }))).toBe(false);
+    });
+
+    test('is true when an amount, the mood or the time changes', () => {
+        expect(entryDiffers(existing, valid({ food: { ...existing.food, calories: 330 } }))).toBe(true);
+        expect(entryDiffers(existing, valid({ mood: { mood: 'Bad' } }))).toBe(true);
+        expect(entryDiffers(existing, valid({ timestamp: '2025-05-14T09:30:00.000Z' }))).toBe(true);
+    });
+});
@@ -0,0 +1,125 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { MIGRATIONS, DB_VERSION, STORES, runMigrations, verifyMigrations } from '../js/services/migrations.js';
+import { StorageService } from '../js/services/storage.js';
+import { DEFAULT_PROFILE_ID, profileDBName } from '../js/services/profiles.js';
+
+// Records as version 1 stored them: numeric ids, macros as "12g", no revisions
+const V1_LOGS = [
+    {
+        id: 1700000000000,
+        timestamp: '2024-03-01T08:15:00.000Z',
+        food: { name: 'Porridge', calories: 320, protein: '11g', carbs: '54g', fats: '7g' },
+        mood: { mood: 'Good', color: '#54a0ff' },
+        image: null
+    },
+    {
+        id: 1700000000001,
+        timestamp: '2024-03-01T12:40:00.000Z',
+        food: { name: 'Chicken Salad', calories: 450, protein: '38g', carbs: '12g', fats: '26g' },
+        mood: { mood: 'Neutral', color: '#feca57' },
+        image: null
+    },
+    {
+        id: 1700000000002,
+        timestamp: '2024-03-02T19:05:00.000Z',
+        food: { name: 'Lentil Curry', calories: 520, protein: '24g', carbs: '70g', fats: '14g' },
+        mood: null,
+        image: null
+    }
+];
+
+function seedVersion1(name, logs) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = (event) => {
+            runMigrations(event.target.result, event.target.transaction, event.oldVersion, 1);
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            const transaction = db.transaction([STORES.LOGS], 'readwrite');
+            logs.forEach(log => transaction.objectStore(STORES.LOGS).put(log));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function indexNames(db, storeName) {
+    return Array.from(db.transaction([storeName], 'readonly').objectStore(storeName).indexNames);
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    console.log.mockRestore();
+});
+
+describe('migration registry', () => {
+    test('is ordered and gap-free', () => {
+        expect(MIGRATIONS.map(migration => migration.version))
+            .toEqual(Array.from({ length: DB_VERSION }, (_, index) => index + 1));
+    });
+});
+
+describe('upgrading a version 1 database', () => {
+    let storage;
+
+    beforeAll(async () => {
+        await seedVersion1(profileDBName(DEFAULT_PROFILE_ID), V1_LOGS);
+        storage = new StorageService();
+        await storage.ready;
+    });
+
+    afterAll(() => {
+        storage.db?.close();
+    });
+
+    test('runs every migration up to the current version', () => {
+        expect(storage.db.version).toBe(DB_VERSION);
+        expect(Array.from(storage.db.objectStoreNames).sort()).toEqual(Object.values(STORES).sort());
+    });
+
+    test('creates the indexes of each step', () => {
+        expect(indexNames(storage.db, STORES.LOGS).sort()).toEqual(['foodName', 'mood', 'timestamp']);
+        expect(indexNames(storage.db, STORES.TRASH)).toEqual(['deletedAt']);
+        expect(indexNames(storage.db, STORES.FOODS)).toEqual(['name']);
+        expect(indexNames(storage.db, STORES.PRODUCTS)).toEqual(['savedAt']);
+        expect(indexNames(storage.db, STORES.RESPONSES)).toEqual(['createdAt']);
+        expect(indexNames(storage.db, STORES.PENDING)).toEqual(['capturedAt']);
+        expect(indexNames(storage.db, STORES.USAGE)).toEqual(['at']);
+    });
+
+    test('keeps the version 1 logs intact', () => {
+        const byId = new Map(storage.getLogs().map(log => [log.id, log]));
+        expect(byId.size).toBe(V1_LOGS.length);
+        V1_LOGS.forEach(log => {
+            expect(byId.get(log.id)).toMatchObject({ timestamp: log.timestamp, food: log.food, mood: log.mood });
+        });
+    });
+
+    test('builds the daily aggregates from the old logs', () => {
+        const days = storage.getDailyAggregates();
+        expect(days.map(day => day.entries).reduce((sum, entries) => sum + entries, 0)).toBe(V1_LOGS.length);
+        expect(days.map(day => day.calories).reduce((sum, calories) => sum + calories, 0)).toBe(320 + 450 + 520);
+    });
+
+    test('accepts new writes on the upgraded schema', async () => {
+        await storage.addUsage({ at: new Date().toISOString(), provider: 'claude', model: 'claude-sonnet-4', feature: 'chat', inputTokens: 10, outputTokens: 5, cost: 0 });
+        expect(await storage.getUsage('2000-01-01T00:00:00.000Z')).toHaveLength(1);
+    });
+});
+
+describe('verifyMigrations', () => {
+    test.each(MIGRATIONS.slice(0, -1).map(migration => migration.version))('upgrades from version %i with the data intact', async (fromVersion) => {
+        const report = await verifyMigrations(fromVersion, V1_LOGS);
+        expect(report).toMatchObject({ ok: true, toVersion: DB_VERSION, seeded: V1_LOGS.length, found: V1_LOGS.length });
+        expect(report.stores.sort()).toEqual(Object.values(STORES).sort());
+    });
+});
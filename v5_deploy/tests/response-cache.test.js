@@ -0,0 +1,131 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { StorageService } from '../js/services/storage.js';
+import { ResponseCacheService } from '../js/services/response-cache.js';
+import { AnalysisService } from '../js/services/analysis.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let storage;
+let clock;
+
+function cachedCount() {
+    return new Promise((resolve, reject) => {
+        const request = storage.db.transaction(['responses'], 'readonly').objectStore('responses').count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new StorageService('cache-test');
+    await storage.ready;
+});
+
+afterAll(() => {
+    storage.db?.close();
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    await storage.clearCachedResponses();
+    clock = Date.parse('2025-05-14T10:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterEach(() => {
+    Date.now.mockRestore();
+});
+
+describe('ResponseCacheService', () => {
+    test('hashes the whole request into the key', async () => {
+        const cache = new ResponseCacheService(storage);
+        const key = await cache.key({ prompt: 'toast', model: 'a' });
+
+        expect(key).toMatch(/^[0-9a-f]{64}$/);
+        expect(await cache.key({ prompt: 'toast', model: 'a' })).toBe(key);
+        expect(await cache.key({ prompt: 'toast', model: 'b' })).not.toBe(key);
+    });
+
+    test('returns a reply until its TTL runs out', async () => {
+        const cache = new ResponseCacheService(storage, { ttl: HOUR });
+        await cache.set('toast', { calories: 180 });
+
+        clock += HOUR - 1;
+        expect(await cache.get('toast')).toEqual({ calories: 180 });
+
+        clock += 2;
+        expect(await cache.get('toast')).toBeNull();
+    });
+
+    test('drops expired entries and the oldest beyond maxEntries', async () => {
+        const cache = new ResponseCacheService(storage, { ttl: 10 * HOUR, maxEntries: 2 });
+        await cache.set('expired', 1);
+
+        clock += 11 * HOUR;
+        for (const key of ['first', 'second', 'third']) {
+            await cache.set(key, key);
+            clock += 1;
+        }
+
+        expect(await storage.getCachedResponse('expired')).toBeNull();
+        expect(await storage.getCachedResponse('first')).toBeNull();
+        expect(await cache.get('second')).toBe('second');
+        expect(await cache.get('third')).toBe('third');
+    });
+
+    test('has no key and caches nothing without Web Crypto', async () => {
+        const cache = new ResponseCacheService(storage);
+        const subtle = jest.spyOn(globalThis.crypto, 'subtle', 'get').mockReturnValue(undefined);
+
+        expect(await cache.key({ prompt: 'toast' })).toBeNull();
+        await cache.set(null, 'reply');
+        expect(await cache.get(null)).toBeNull();
+        expect(await cachedCount()).toBe(0);
+        subtle.mockRestore();
+    });
+});
+
+describe('AnalysisService with the cache', () => {
+    let service;
+    let provider;
+
+    beforeEach(() => {
+        provider = {
+            id: 'claude',
+            model: 'test-model',
+            isConfigured: () => true,
+            complete: jest.fn(async () => ({ text: '{"name": "Toast", "calories": 180}', usage: {} }))
+        };
+        service = new AnalysisService('cache-test', { responseCache: new ResponseCacheService(storage) });
+        service.provider = 'claude';
+        service.fallbacks = [];
+        service.providers.set('claude', provider);
+    });
+
+    test('answers a repeated request from the cache', async () => {
+        await service.analyze('text', { prompt: 'toast' }, { response: 'voice' });
+        await service.analyze('text', { prompt: 'toast' }, { response: 'voice' });
+
+        expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('cache: false neither reads nor keeps a reply', async () => {
+        await service.analyze('text', { prompt: 'toast' }, { response: 'voice' });
+        await service.analyze('text', { prompt: 'toast' }, { response: 'voice', cache: false });
+        expect(provider.complete).toHaveBeenCalledTimes(2);
+
+        await storage.clearCachedResponses();
+        await service.analyze('text', { prompt: 'toast' }, { response: 'voice', cache: false });
+        expect(await cachedCount()).toBe(0);
+    });
+
+    test('does not cache spoken logs', async () => {
+        await service.parseVoiceLog('toast', new Date(clock));
+        await service.parseVoiceLog('toast', new Date(clock));
+
+        expect(provider.complete).toHaveBeenCalledTimes(2);
+        expect(await cachedCount()).toBe(0);
+    });
+});
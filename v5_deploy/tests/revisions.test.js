@@ -0,0 +1,63 @@
+import { nextRevision, compareRevisions, resolveConflict } from '../js/utils/revisions.js';
+
+describe('nextRevision', () => {
+    const now = new Date('2025-05-14T10:00:00.000Z');
+
+    test('starts at 1 for a record without revisions', () => {
+        expect(nextRevision({ id: 1 }, 'device-a', now)).toEqual({ rev: 1, updatedAt: now.toISOString(), deviceId: 'device-a' });
+        expect(nextRevision(null, 'device-a', now).rev).toBe(1);
+    });
+
+    test('bumps the revision of an existing record', () => {
+        expect(nextRevision({ rev: 4 }, 'device-b', now)).toEqual({ rev: 5, updatedAt: now.toISOString(), deviceId: 'device-b' });
+    });
+});
+
+describe('compareRevisions', () => {
+    test('higher rev wins whatever the time', () => {
+        const a = { rev: 3, updatedAt: '2025-01-01T00:00:00.000Z', deviceId: 'a' };
+        const b = { rev: 2, updatedAt: '2025-06-01T00:00:00.000Z', deviceId: 'b' };
+        expect(compareRevisions(a, b)).toBeGreaterThan(0);
+        expect(compareRevisions(b, a)).toBeLessThan(0);
+    });
+
+    test('later updatedAt breaks a rev tie', () => {
+        const a = { rev: 2, updatedAt: '2025-06-01T00:00:00.000Z', deviceId: 'a' };
+        const b = { rev: 2, updatedAt: '2025-01-01T00:00:00.000Z', deviceId: 'b' };
+        expect(compareRevisions(a, b)).toBeGreaterThan(0);
+    });
+
+    test('greater deviceId breaks a full tie, so both sides agree', () => {
+        const a = { rev: 2, updatedAt: '2025-01-01T00:00:00.000Z', deviceId: 'a' };
+        const b = { rev: 2, updatedAt: '2025-01-01T00:00:00.000Z', deviceId: 'b' };
+        expect(compareRevisions(b, a)).toBe(1);
+        expect(compareRevisions(a, b)).toBe(-1);
+        expect(compareRevisions(a, { ...a })).toBe(0);
+    });
+
+    test('treats missing fields as the oldest revision', () => {
+        expect(compareRevisions({}, {})).toBe(0);
+        expect(compareRevisions({ rev: 1 }, undefined)).toBeGreaterThan(0);
+        expect(compareRevisions({ rev: 1, updatedAt: 'not a date' }, { rev: 1, updatedAt: '2025-01-01T00:00:00.000Z' })).toBeLessThan(0);
+    });
+});
+
+describe('resolveConflict', () => {
+    const older = { id: 1, rev: 1, updatedAt: '2025-01-01T00:00:00.000Z', deviceId: 'a' };
+    const newer = { id: 1, rev: 2, updatedAt: '2025-01-02T00:00:00.000Z', deviceId: 'b' };
+
+    test('picks the newer version', () => {
+        expect(resolveConflict(older, newer)).toBe(newer);
+        expect(resolveConflict(newer, older)).toBe(newer);
+    });
+
+    test('keeps the current version on a tie', () => {
+        const copy = { ...older };
+        expect(resolveConflict(older, copy)).toBe(older);
+    });
+
+    test('takes whichever side exists', () => {
+        expect(resolveConflict(null, newer)).toBe(newer);
+        expect(resolveConflict(older, null)).toBe(older);
+    });
+});
@@ -0,0 +1,120 @@
+import { coerce, validate } from '../js/utils/schema.js';
+import { AI_RESPONSE_SCHEMAS } from '../js/schemas/ai-responses.js';
+
+describe('coerce', () => {
+    const voice = AI_RESPONSE_SCHEMAS.voice;
+
+    test('reads numbers given with units or thousands separators', () => {
+        expect(coerce(voice, { name: 'Pasta', calories: '300kcal', protein: '12g', carbs: '1,200', fats: '12,5 g' }))
+            .toEqual({ name: 'Pasta', calories: 300, protein: 12, carbs: 1200, fats: 12.5 });
+        expect(coerce(voice, { name: 'Cake', calories: '1,200 kcal' }).calories).toBe(1200);
+    });
+
+    test('turns "null", "none" and empty strings into null where a number or null is expected', () => {
+        expect(coerce(AI_RESPONSE_SCHEMAS.label, { sodium: 'N/A', salt: 'none', fiber: '', sugar: '4g' }))
+            .toEqual({ sodium: null, salt: null, fiber: null, sugar: 4 });
+    });
+
+    test('leaves strings alone where strings are allowed', () => {
+        expect(coerce(voice, { name: 'Tea', calories: 2, mood: 'null' }).mood).toBe('null');
+    });
+
+    test('rounds integers and converts numbers to strings', () => {
+        const schema = { type: 'object', properties: { count: { type: 'integer' }, code: { type: 'string' } } };
+        expect(coerce(schema, { count: '2.6 servings', code: 4006381333931 })).toEqual({ count: 3, code: '4006381333931' });
+    });
+
+    test('coerces array items and nested objects', () => {
+        const result = coerce(AI_RESPONSE_SCHEMAS.image, {
+            name: 'Lunch',
+            items: [{ name: 'Rice', calories: '200 kcal', protein: '4g' }]
+        });
+        expect(result.items).toEqual([{ name: 'Rice', calories: 200, protein: 4 }]);
+    });
+
+    test('leaves values it cannot read for validate to report', () => {
+        const result = coerce(voice, { name: 'Soup', calories: 'lots' });
+        expect(result.calories).toBe('lots');
+        expect(validate(voice, result).valid).toBe(false);
+    });
+
+    test('does not change the input', () => {
+        const input = { name: 'Soup', calories: '90' };
+        coerce(voice, input);
+        expect(input.calories).toBe('90');
+    });
+});
+
+describe('validate', () => {
+    test('accepts a matching value', () => {
+        expect(validate(AI_RESPONSE_SCHEMAS.voice, { name: 'Soup', calories: 90, mood: null })).toEqual({ valid: true, errors: [] });
+    });
+
+    test('reports type, required and range errors with paths', () => {
+        const { valid, errors } = validate(AI_RESPONSE_SCHEMAS.image, {
+            items: [{ name: '', calories: -5 }, { calories: 10 }, 'rice']
+        });
+        expect(valid).toBe(false);
+        expect(errors).toEqual(expect.arrayContaining([
+            '$.items[0].name: must be at least 1 characters',
+            '$.items[0].calories: must be >= 0',
+            '$.items[1].name: is required',
+            '$.items[2]: expected object, got string'
+        ]));
+    });
+
+    test('checks enum, const, pattern, formats and additional properties', () => {
+        const schema = {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                unit: { enum: ['g', 'kcal'] },
+                kind: { const: 'meal' },
+                code: { type: 'string', pattern: '^\\d{8}$' },
+                at: { type: 'string', format: 'date-time' },
+                link: { type: 'string', format: 'uri' }
+            }
+        };
+        const { errors } = validate(schema, { unit: 'oz', kind: 'snack', code: '12', at: '2025-13-45', link: 'not a uri', extra: 1 });
+        expect(errors).toEqual([
+            '$.unit: must be one of "g", "kcal"',
+            '$.kind: must be "meal"',
+            '$.code: does not match ^\\d{8}$',
+            '$.at: is not a valid date-time',
+            '$.link: is not a valid uri',
+            '$.extra: is not allowed'
+        ]);
+    });
+
+    test('checks array lengths', () => {
+        const schema = { type: 'array', minItems: 1, maxItems: 2 };
+        expect(validate(schema, []).errors).toEqual(['$: must have at least 1 items']);
+        expect(validate(schema, [1, 2, 3]).errors).toEqual(['$: must have at most 2 items']);
+    });
+
+    test('resolves $ref and reports the intended shape of a failed anyOf', () => {
+        const schema = {
+            definitions: {
+                apple: { type: 'object', required: ['kind', 'crunch'], properties: { kind: { const: 'apple' }, crunch: { type: 'number' } } },
+                pear: { type: 'object', required: ['kind', 'ripe'], properties: { kind: { const: 'pear' }, ripe: { type: 'boolean' } } }
+            },
+            anyOf: [{ $ref: '#/definitions/apple' }, { $ref: '#/definitions/pear' }]
+        };
+        expect(validate(schema, { kind: 'pear', ripe: true }).valid).toBe(true);
+        expect(validate(schema, { kind: 'pear', ripe: 'yes' }).errors).toEqual([
+            '$: does not match any allowed shape',
+            '$.ripe: expected boolean, got string'
+        ]);
+    });
+
+    test('rejects a value matching more than one oneOf option', () => {
+        const schema = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+        expect(validate(schema, 2.5).valid).toBe(true);
+        expect(validate(schema, 2).errors).toEqual(['$: matches more than one allowed shape']);
+    });
+
+    test('throws on a $ref it cannot resolve', () => {
+        expect(() => validate({ $ref: '#/definitions/missing' }, 1)).toThrow('Unresolved $ref');
+        expect(() => validate({ $ref: 'other.json#/a' }, 1)).toThrow('Unsupported $ref');
+    });
+});
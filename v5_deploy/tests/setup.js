@@ -0,0 +1,40 @@
+/**
+ * Test Setup
+ * The services run in the browser; in Node they need `window`, a
+ * localStorage and an online `navigator`. IndexedDB comes from
+ * fake-indexeddb in the tests that use it.
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.window = globalThis;
+globalThis.localStorage = new MemoryStorage();
+if (!globalThis.navigator) globalThis.navigator = { onLine: true };
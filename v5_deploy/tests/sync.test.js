@@ -0,0 +1,59 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { StorageService } from '../js/services/storage.js';
+
+function change(id, log, rev = 1) {
+    return { id, rev, updatedAt: '2025-05-14T10:00:00.000Z', deviceId: 'other-device', log };
+}
+
+let storage;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new StorageService('sync-test');
+    await storage.ready;
+});
+
+afterAll(() => {
+    storage.db?.close();
+    jest.restoreAllMocks();
+});
+
+describe('applyRemoteChanges', () => {
+    test('stores valid remote logs normalized, with the remote revision', async () => {
+        const applied = await storage.applyRemoteChanges([
+            change('remote-1', {
+                timestamp: '2025-05-14T08:00:00.000Z',
+                food: { name: ' Oatmeal ', calories: '310.4', protein: '10.6', carbs: '52g', fats: '6' },
+                mood: { mood: 'Good', color: 'red;background:url(https://evil.example)' }
+            }, 3)
+        ]);
+
+        expect(applied).toEqual(['remote-1']);
+        expect(storage.getLog('remote-1')).toMatchObject({
+            rev: 3,
+            deviceId: 'other-device',
+            food: { name: 'Oatmeal', calories: 310, protein: '11g', carbs: '52g', fats: '6g' },
+            mood: { mood: 'Good', color: '#54a0ff' }
+        });
+    });
+
+    test('drops remote logs that fail validation', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const applied = await storage.applyRemoteChanges([
+            change('remote-2', {
+                timestamp: '2025-05-14T09:00:00.000Z',
+                food: { name: 'Cake', calories: '<b>lots</b>' }
+            }),
+            change('remote-3', { food: { name: 'No time' } }),
+            change('remote-4', null)
+        ]);
+
+        expect(applied).toEqual([]);
+        expect(storage.getLog('remote-2')).toBeFalsy();
+        expect(storage.getLog('remote-3')).toBeFalsy();
+        expect(storage.getLog('remote-4')).toBeFalsy();
+        expect(console.warn).toHaveBeenCalledTimes(3);
+    });
+});